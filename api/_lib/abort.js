@@ -0,0 +1,14 @@
+// Client disconnects for the api/ handlers: an AbortSignal that fires when the browser goes away
+// before the response is finished (a closed tab, or a search the app aborted), so long-running
+// handlers can stop calling Google.
+
+const clientSignal = (req, res) => {
+  const controller = new AbortController();
+  // 'close' also fires after a normal end; only an unfinished response means the client left
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  return controller.signal;
+};
+
+module.exports = { clientSignal };
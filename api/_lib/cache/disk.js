@@ -0,0 +1,37 @@
+// On-disk cache backend: one JSON file per key, so entries survive server restarts and are
+// shared between serverless invocations that land on the same instance (/tmp on Vercel).
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const createDiskCache = ({ dir }) => {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+
+  const get = async (key) => {
+    const file = fileFor(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (err) {
+      return undefined; // missing or half-written file: treat as a miss
+    }
+    if (!entry || entry.expiresAt <= Date.now()) {
+      fs.promises.unlink(file).catch(() => {});
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = async (key, value, ttlSec) => {
+    const file = fileFor(key);
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(tmp, JSON.stringify({ key, expiresAt: Date.now() + ttlSec * 1000, value }));
+    await fs.promises.rename(tmp, file);
+  };
+
+  return { name: 'disk', get, set };
+};
+
+module.exports = { createDiskCache };
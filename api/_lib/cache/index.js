@@ -0,0 +1,72 @@
+// Response cache for the api/ handlers.
+// MAPETITE_CACHE picks the backend: "memory" (default, LRU), "disk" or "off".
+// Keys round coordinates (MAPETITE_CACHE_COORD_PRECISION decimals, default 4 ≈ 11 m) so repeated
+// searches from nearly the same spot reuse responses. TTLs are per kind, in seconds, and can be
+// overridden with MAPETITE_CACHE_TTL_<KIND> (e.g. MAPETITE_CACHE_TTL_DIRECTIONS=300).
+
+const os = require('os');
+const path = require('path');
+const { normalizeParams } = require('../params');
+const { createMemoryCache } = require('./memory');
+const { createDiskCache } = require('./disk');
+
+const DEFAULT_TTL_SEC = {
+  places: 60 * 60,
+  directions: 15 * 60,
+  matrix: 15 * 60,
+  details: 6 * 60 * 60,
+};
+
+let backend; // created lazily so env changes in tests/dev are picked up on first use
+
+const getBackend = () => {
+  if (backend !== undefined) return backend;
+  const mode = (process.env.MAPETITE_CACHE || 'memory').trim().toLowerCase();
+  if (mode === 'off') {
+    backend = null;
+  } else if (mode === 'disk') {
+    backend = createDiskCache({ dir: process.env.MAPETITE_CACHE_DIR || path.join(os.tmpdir(), 'mapetite-cache') });
+  } else {
+    backend = createMemoryCache({ maxEntries: Number(process.env.MAPETITE_CACHE_MAX_ENTRIES) || 500 });
+  }
+  return backend;
+};
+
+const ttlFor = (kind) => {
+  const override = Number(process.env[`MAPETITE_CACHE_TTL_${kind.toUpperCase()}`]);
+  return Number.isFinite(override) && override > 0 ? override : (DEFAULT_TTL_SEC[kind] || 5 * 60);
+};
+
+const cacheKey = (namespace, kind, params) => {
+  const precision = Number.isInteger(Number(process.env.MAPETITE_CACHE_COORD_PRECISION))
+    ? Number(process.env.MAPETITE_CACHE_COORD_PRECISION)
+    : 4;
+  return `${namespace}:${kind}:${normalizeParams(params, precision)}`;
+};
+
+// Returns { data, cache } where cache is "HIT", "MISS" or "BYPASS" (cache disabled).
+// Only OK responses are stored so transient upstream errors are retried on the next request.
+const cached = async ({ namespace, kind, params }, fetcher) => {
+  const store = getBackend();
+  if (!store) return { data: await fetcher(), cache: 'BYPASS' };
+
+  const key = cacheKey(namespace, kind, params);
+  try {
+    const hit = await store.get(key);
+    if (hit !== undefined) return { data: hit, cache: 'HIT' };
+  } catch (err) {
+    console.warn(`Cache read failed for ${kind}:`, err.message);
+  }
+
+  const data = await fetcher();
+  if (data && data.status === 'OK') {
+    try {
+      await store.set(key, data, ttlFor(kind));
+    } catch (err) {
+      console.warn(`Cache write failed for ${kind}:`, err.message);
+    }
+  }
+  return { data, cache: 'MISS' };
+};
+
+module.exports = { cached, cacheKey };
@@ -0,0 +1,27 @@
+// In-memory LRU cache backend. Map iteration order is insertion order, so re-inserting on read
+// keeps the most recently used entries at the end and the eviction candidate at the front.
+
+const createMemoryCache = ({ maxEntries = 500 } = {}) => {
+  const entries = new Map();
+
+  const get = async (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    entries.delete(key);
+    if (entry.expiresAt <= Date.now()) return undefined;
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = async (key, value, ttlSec) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlSec * 1000 });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  return { name: 'memory', get, set };
+};
+
+module.exports = { createMemoryCache };
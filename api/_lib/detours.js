@@ -0,0 +1,244 @@
+// Server-side detour search: base route -> route sampling -> Nearby Search per sample ->
+// corridor filter -> batched Distance Matrix scoring of every corridor place. Progress is reported through `emit`
+// so the handler can stream it to the browser as it happens. In meal-window mode only the
+// stretch of road driven during the window is sampled and searched, and the user can narrow the
+// search to a stretch of the route (stretch=startKm,endKm) or replace the corridor with an area
+// drawn on the map (polygon=lat,lng|lat,lng|...). An aborted `signal` (the client went away)
+// stops it from making further Google calls.
+
+const polyline = require('@mapbox/polyline');
+const { cached } = require('./cache');
+const { parseAvoid, parseDeparture, withRouteOptions } = require('./params');
+const { MAX_CANDIDATES, MAX_PER_SIDE, chunk, scoreBatch, withAddedTime } = require('./matrix');
+// Shared with the React app; lives under src/ because CRA only compiles files there
+const {
+  KM_PER_MILE,
+  sampleRoute,
+  slicePathByKm,
+  routeLengthKm,
+  distanceFromPointToPolylineKm,
+  pointInPolygon,
+  samplePolygon,
+} = require('../../src/shared/geo');
+const { createRouteTimeline, windowKmRange, routeSeconds } = require('../../src/shared/routeTiming');
+const { normalizeTravelMode, clampCorridorMiles, sampleEveryKmFor } = require('../../src/shared/travelModes');
+const { createRouteIndex, rankPlacesInCorridor } = require('../../src/shared/routeIndex');
+
+const CONCURRENCY = 5;
+const MATRIX_CONCURRENCY = 2; // each batch is already two matrix calls
+const MAX_POLYGON_VERTICES = 100;
+
+// Run `fn` over `items` with at most `limit` calls in flight; no new calls start once `signal` aborts
+const mapWithConcurrency = async (items, limit, fn, signal) => {
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length && !(signal && signal.aborted)) {
+      const idx = next++;
+      await fn(items[idx], idx);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
+// "startKm,endKm" along the base route -> { startKm, endKm }, or null
+const parseStretch = (value) => {
+  const [a, b] = String(value || '').split(',').map(Number);
+  if (!Number.isFinite(a) || !Number.isFinite(b)) return null;
+  const startKm = Math.max(0, Math.min(a, b));
+  const endKm = Math.max(0, Math.max(a, b));
+  return endKm > startKm ? { startKm, endKm } : null;
+};
+
+// "lat,lng|lat,lng|..." -> [[lat, lng], ...] with at least three vertices, or null
+const parsePolygon = (value) => {
+  const points = String(value || '')
+    .split('|')
+    .map((pair) => pair.split(',').map(Number))
+    .filter(([lat, lng]) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180);
+  return points.length >= 3 ? points.slice(0, MAX_POLYGON_VERTICES) : null;
+};
+
+// Parse and clamp the detour search options from a request query
+const parseDetourQuery = (query = {}) => {
+  const mode = normalizeTravelMode(query.mode);
+  // Corridor width and sampling defaults depend on the travel mode (see src/shared/travelModes)
+  const corridorMiles = clampCorridorMiles(mode, query.corridor);
+  const thorough = String(query.sampling || '').toLowerCase() === 'thorough';
+  // Scored places are capped like /api/matrix candidates; `max` can only lower the cap
+  const maxDetours = Math.min(MAX_CANDIDATES, parseInt(query.max, 10) > 0 ? parseInt(query.max, 10) : Infinity);
+  const price = (v) => (v === undefined || v === '' || !Number.isFinite(Number(v))
+    ? undefined
+    : String(Math.max(0, Math.min(4, Number(v)))));
+  // Meal window in minutes after departure; both ends are needed to switch the mode on
+  const minutes = (v) => (v === undefined || v === '' || !Number.isFinite(Number(v)) ? null : Math.max(0, Number(v)));
+  const mealFrom = minutes(query.mealfrom);
+  const mealTo = minutes(query.mealto);
+  return {
+    origin: query.origin,
+    destination: query.destination,
+    mode,
+    avoid: parseAvoid(query.avoid),
+    departure: parseDeparture(query, mode),
+    // Which of the Directions alternatives to search along (alternatives=true&route=N)
+    alternatives: String(query.alternatives).toLowerCase() === 'true',
+    routeIndex: Math.max(0, parseInt(query.route, 10) || 0),
+    corridorMiles,
+    sampleEveryKm: sampleEveryKmFor(mode, corridorMiles, thorough),
+    keyword: query.keyword || undefined,
+    minprice: price(query.minprice),
+    maxprice: price(query.maxprice),
+    maxDetours,
+    mealWindow: mealFrom !== null && mealTo !== null
+      ? { fromSec: Math.min(mealFrom, mealTo) * 60, toSec: Math.max(mealFrom, mealTo) * 60 }
+      : null,
+    // Custom search area: a stretch of the route, or a polygon that replaces the corridor
+    stretch: parseStretch(query.stretch),
+    polygon: parsePolygon(query.polygon),
+  };
+};
+
+const fetchDirections = async (provider, params, signal) => {
+  const { data } = await cached({ namespace: provider.name, kind: 'directions', params }, () => provider.directions(params, { signal }));
+  return data;
+};
+
+// The base route to search along. With alternatives the params match the client's
+// /api/directions?alternatives=true call, so the route the user picked comes from the cache.
+// Rejects once `signal` aborts.
+const fetchBaseRoute = async (provider, { origin, destination, mode, avoid, departure, alternatives, routeIndex = 0 }, { signal } = {}) => {
+  const params = withRouteOptions({ origin, destination }, { mode, avoid, departure });
+  if (alternatives) params.alternatives = 'true';
+  const data = await fetchDirections(provider, params, signal);
+  if (data.status && data.status !== 'OK') return { error: data };
+  const route = data.routes?.[routeIndex];
+  if (!route?.overview_polyline?.points) return { error: { status: 'ZERO_RESULTS' } };
+  return { route };
+};
+
+const findCorridorPlaces = async (provider, opts, searchPath, emit, signal) => {
+  const samples = opts.polygon
+    ? samplePolygon(opts.polygon, opts.sampleEveryKm)
+    : sampleRoute(searchPath, opts.sampleEveryKm);
+  const dedupeMap = new Map();
+  let nextPageToken = null;
+  let done = 0;
+  emit({ type: 'progress', phase: 'sampling', done: 0, total: samples.length, found: 0 });
+
+  await mapWithConcurrency(samples, CONCURRENCY, async ([sLat, sLng]) => {
+    const params = { location: `${sLat},${sLng}`, rankby: 'distance', type: 'restaurant' };
+    if (opts.keyword) params.keyword = opts.keyword;
+    if (opts.minprice !== undefined) params.minprice = opts.minprice;
+    if (opts.maxprice !== undefined) params.maxprice = opts.maxprice;
+    try {
+      const { data } = await cached({ namespace: provider.name, kind: 'places', params }, () => provider.nearbySearch(params, { signal }));
+      if (data.status === 'OK') {
+        for (const p of data.results || []) {
+          if (!dedupeMap.has(p.place_id)) dedupeMap.set(p.place_id, p);
+        }
+        if (!nextPageToken && data.next_page_token) nextPageToken = data.next_page_token;
+      }
+    } catch (err) {
+      if (!signal?.aborted) console.error('❌ Sample places fetch failed:', err.message);
+    }
+    done++;
+    emit({ type: 'progress', phase: 'sampling', done, total: samples.length, found: dedupeMap.size });
+  }, signal);
+
+  // A drawn area replaces the corridor: keep the places inside it, closest to the route first
+  if (opts.polygon) {
+    const inside = Array.from(dedupeMap.values())
+      .filter((p) => pointInPolygon(p.geometry?.location?.lat, p.geometry?.location?.lng, opts.polygon))
+      .map((p) => ({ place: p, offsetKm: distanceFromPointToPolylineKm(p.geometry.location.lat, p.geometry.location.lng, searchPath) }))
+      .sort((a, b) => a.offsetKm - b.offsetKm);
+    return { places: inside.map((p) => p.place), nextPageToken };
+  }
+
+  // Keep places within the corridor, closest to the path first
+  const corridorKm = opts.corridorMiles * KM_PER_MILE;
+  const index = createRouteIndex(searchPath, { cellKm: Math.max(1, corridorKm) });
+  const places = rankPlacesInCorridor(index, Array.from(dedupeMap.values()), corridorKm);
+  return { places: places.map((p) => p.place), nextPageToken };
+};
+
+// Score every corridor place with batched Distance Matrix calls (see ./matrix); options carry
+// leg times but no route, which the client fetches only for the option the user picks
+const scoreDetours = async (provider, opts, candidates, { baseTimeSec, typicalBaseTimeSec }, emit, signal) => {
+  const batches = chunk(candidates, MAX_PER_SIDE);
+  // Same travel mode, avoid and departure settings as the base route, so added time compares like-for-like
+  const endpoints = { origin: opts.origin, destination: opts.destination, mode: opts.mode, avoid: opts.avoid, departure: opts.departure };
+  let done = 0;
+  let scored = 0;
+  emit({ type: 'progress', phase: 'scoring', done: 0, total: candidates.length });
+
+  await mapWithConcurrency(batches, MATRIX_CONCURRENCY, async (batch) => {
+    try {
+      const { results, error } = await scoreBatch(provider, endpoints, batch.map((p) => p.place_id), { signal });
+      if (error) {
+        console.error('❌ Distance Matrix batch failed:', error.status, error.error_message || '');
+      } else {
+        const byId = new Map(batch.map((p) => [p.place_id, p]));
+        for (const result of results) {
+          const { place_id: placeId, ...scores } = withAddedTime(result, baseTimeSec, typicalBaseTimeSec);
+          emit({ type: 'option', option: { place: byId.get(placeId), ...scores } });
+          scored++;
+        }
+      }
+    } catch (err) {
+      if (!signal?.aborted) console.error('❌ Distance Matrix batch failed:', err.message);
+    }
+    done += batch.length;
+    emit({ type: 'progress', phase: 'scoring', done, total: candidates.length });
+  }, signal);
+  return scored;
+};
+
+// Runs the whole search for an already-fetched base route; resolves once every event is emitted
+const runDetourSearch = async (provider, opts, baseRoute, emit, { signal } = {}) => {
+  const mainPath = polyline.decode(baseRoute.overview_polyline.points);
+  // Traffic-aware when the route has duration_in_traffic (driving with a departure_time)
+  const baseTimeSec = routeSeconds(baseRoute);
+  const typicalBaseTimeSec = routeSeconds(baseRoute, false);
+
+  const nothingToSearch = (error) => {
+    emit({ type: 'route', route: baseRoute, baseTimeSec, typicalBaseTimeSec });
+    emit({ type: 'error', error });
+    emit({ type: 'done', count: 0 });
+  };
+
+  // Meal-window mode: narrow the search to the stretch driven between fromSec and toSec
+  let range = null;
+  let mealStretch;
+  if (opts.mealWindow) {
+    range = windowKmRange(createRouteTimeline(baseRoute, mainPath), opts.mealWindow.fromSec, opts.mealWindow.toSec);
+    if (!range) {
+      nothingToSearch(`Meal window starts after you arrive (the drive takes ${Math.round(baseTimeSec / 60)} min)`);
+      return;
+    }
+    mealStretch = { ...opts.mealWindow, ...range };
+  }
+  // A stretch picked on the map narrows it further
+  if (opts.stretch) {
+    const startKm = Math.max(opts.stretch.startKm, range ? range.startKm : 0);
+    const endKm = Math.min(opts.stretch.endKm, range ? range.endKm : routeLengthKm(mainPath));
+    if (endKm <= startKm) {
+      nothingToSearch(range ? 'The part of the route you picked is outside the meal window' : 'The part of the route you picked is past the destination');
+      return;
+    }
+    range = { startKm, endKm };
+  }
+  const searchPath = range ? slicePathByKm(mainPath, range.startKm, range.endKm) : mainPath;
+  emit({ type: 'route', route: baseRoute, baseTimeSec, typicalBaseTimeSec, mealStretch });
+
+  const { places, nextPageToken } = await findCorridorPlaces(provider, opts, searchPath, emit, signal);
+  if (signal && signal.aborted) return;
+  emit({ type: 'places', places, nextPageToken });
+
+  const candidates = places.slice(0, opts.maxDetours);
+  const count = await scoreDetours(provider, opts, candidates, { baseTimeSec, typicalBaseTimeSec }, emit, signal);
+  if (signal && signal.aborted) return;
+  // The closest maxDetours places are scored; the client scores the rest with /api/matrix on demand
+  const remaining = places.length - candidates.length;
+  emit({ type: 'done', count, truncated: remaining > 0, remaining });
+};
+
+module.exports = { parseDetourQuery, fetchBaseRoute, runDetourSearch };
@@ -0,0 +1,83 @@
+// Detour scoring with the Distance Matrix API: origin -> candidate and candidate -> destination
+// times for up to 25 candidates per pair of calls, instead of one Directions call per candidate.
+// Added time is (leg1 + leg2 - baseline); the full route is only fetched for the option picked.
+
+const { cached } = require('./cache');
+const { withRouteOptions } = require('./params');
+
+const MAX_PER_SIDE = 25; // Google limit on origins or destinations per request
+const MAX_CANDIDATES = 100;
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+};
+
+const fetchMatrix = async (provider, params, signal) => {
+  const { data } = await cached({ namespace: provider.name, kind: 'matrix', params }, () => provider.distanceMatrix(params, { signal }));
+  return data;
+};
+
+// sec is traffic-aware (duration_in_traffic) when Google returned it, typicalSec never is
+const elementLeg = (el) => (el && el.status === 'OK' && el.duration
+  ? { sec: (el.duration_in_traffic || el.duration).value, typicalSec: el.duration.value, meters: el.distance?.value || 0 }
+  : null);
+
+// Matrix request params with the endpoints' travel mode, avoid and departure preferences
+const matrixParams = (origins, destinations, endpoints) => withRouteOptions({ origins, destinations }, endpoints);
+
+// Score up to MAX_PER_SIDE place_ids. Resolves to { results } (places either leg can't reach
+// are left out) or { error } with the failing Google response; rejects once `signal` aborts.
+const scoreBatch = async (provider, endpoints, placeIds, { signal } = {}) => {
+  const waypoints = placeIds.map((id) => `place_id:${id}`).join('|');
+  const [outbound, inbound] = await Promise.all([
+    fetchMatrix(provider, matrixParams(endpoints.origin, waypoints, endpoints), signal),
+    fetchMatrix(provider, matrixParams(waypoints, endpoints.destination, endpoints), signal),
+  ]);
+  if (outbound.status !== 'OK') return { error: outbound };
+  if (inbound.status !== 'OK') return { error: inbound };
+
+  const results = [];
+  placeIds.forEach((placeId, i) => {
+    const leg1 = elementLeg(outbound.rows?.[0]?.elements?.[i]);
+    const leg2 = elementLeg(inbound.rows?.[i]?.elements?.[0]);
+    if (!leg1 || !leg2) return;
+    results.push({
+      place_id: placeId,
+      leg1Sec: leg1.sec,
+      leg2Sec: leg2.sec,
+      typicalLeg1Sec: leg1.typicalSec,
+      typicalLeg2Sec: leg2.typicalSec,
+      totalTime: leg1.sec + leg2.sec,
+      typicalTotalTime: leg1.typicalSec + leg2.typicalSec,
+      distanceMeters: leg1.meters + leg2.meters,
+    });
+  });
+  return { results };
+};
+
+// Direct origin -> destination time ({ baseTimeSec, typicalBaseTimeSec } or { error }), for callers without a baseline
+const fetchBaseline = async (provider, endpoints, { signal } = {}) => {
+  const data = await fetchMatrix(provider, matrixParams(endpoints.origin, endpoints.destination, endpoints), signal);
+  if (data.status !== 'OK') return { error: data };
+  const leg = elementLeg(data.rows?.[0]?.elements?.[0]);
+  if (!leg) return { error: { status: data.rows?.[0]?.elements?.[0]?.status || 'ZERO_RESULTS' } };
+  return { baseTimeSec: leg.sec, typicalBaseTimeSec: leg.typicalSec };
+};
+
+// addedTime compares traffic-aware times, typicalAddedTime the typical (no-traffic) ones
+const withAddedTime = (result, baseTimeSec, typicalBaseTimeSec = baseTimeSec) => ({
+  ...result,
+  addedTime: Math.max(0, result.totalTime - baseTimeSec),
+  typicalAddedTime: Math.max(0, result.typicalTotalTime - typicalBaseTimeSec),
+});
+
+module.exports = {
+  MAX_PER_SIDE,
+  MAX_CANDIDATES,
+  chunk,
+  scoreBatch,
+  fetchBaseline,
+  withAddedTime,
+};
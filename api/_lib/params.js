@@ -0,0 +1,62 @@
+// Query param normalization shared by the fixture keys and the response cache
+
+// Round every decimal number (lat/lng pairs, "lat,lng|lat,lng" lists) to `precision` places
+const roundCoords = (value, precision) => {
+  const str = String(value).trim();
+  return str.replace(/-?\d+\.\d+/g, (num) => String(Number(Number(num).toFixed(precision))));
+};
+
+// Stable "k=v&k=v" string: drops empty values, sorts keys, rounds coordinates
+const normalizeParams = (params, precision) => {
+  return Object.keys(params || {})
+    .filter((k) => params[k] !== undefined && params[k] !== null && params[k] !== '')
+    .sort()
+    .map((k) => `${k}=${roundCoords(params[k], precision)}`)
+    .join('&');
+};
+
+// Add Google's `mode` parameter. Driving is Google's default, so it is left out and the
+// cache keys and fixtures of driving requests stay the same.
+const withTravelMode = (params, mode) => (mode && mode !== 'driving' ? { ...params, mode } : params);
+
+const AVOIDABLE = ['tolls', 'highways', 'ferries'];
+
+// "tolls|ferries" (or "tolls,ferries") -> "ferries|tolls": known features only, sorted so the
+// same preferences always share a cache key; undefined when nothing is avoided
+const parseAvoid = (value) => {
+  const features = String(value || '').toLowerCase().split(/[|,]/).map((s) => s.trim());
+  const avoid = AVOIDABLE.filter((f) => features.includes(f)).sort();
+  return avoid.length > 0 ? avoid.join('|') : undefined;
+};
+
+// Add Google's `avoid` parameter (Directions and Distance Matrix) when anything is avoided
+const withAvoid = (params, avoid) => (avoid ? { ...params, avoid } : params);
+
+const TRAFFIC_MODELS = ['best_guess', 'pessimistic', 'optimistic'];
+
+// departure_time ("now" or unix seconds) and traffic_model from a request query. Google uses
+// them for traffic-aware driving times (duration_in_traffic) and for transit schedules; past
+// times are sent as "now" because Google rejects them. {} when no departure time was given.
+const parseDeparture = (query = {}, mode = 'driving') => {
+  if (!query.departure_time || (mode !== 'driving' && mode !== 'transit')) return {};
+  const at = parseInt(query.departure_time, 10);
+  const departure = { departure_time: at > Date.now() / 1000 ? String(at) : 'now' };
+  if (mode === 'driving' && TRAFFIC_MODELS.includes(query.traffic_model)) departure.traffic_model = query.traffic_model;
+  return departure;
+};
+
+// Directions / Distance Matrix params with the travel mode, avoid and departure preferences
+const withRouteOptions = (params, { mode, avoid, departure } = {}) => ({
+  ...withAvoid(withTravelMode(params, mode), avoid),
+  ...departure,
+});
+
+module.exports = {
+  roundCoords,
+  normalizeParams,
+  withTravelMode,
+  parseAvoid,
+  withAvoid,
+  parseDeparture,
+  withRouteOptions,
+};
@@ -0,0 +1,71 @@
+// Fixture provider: serves recorded Google responses from disk so the API runs fully offline.
+// Responses live in <MAPETITE_FIXTURES_DIR>/<kind>/<key>.json, where <key> is a hash of the
+// normalized query params (see fixtureKey). A <kind>/default.json file, if present, answers misses.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeParams } = require('../params');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', '..', 'fixtures');
+const COORD_PRECISION = 5; // ~1 m, absorbs float noise from the browser
+
+const fixturesDir = () => process.env.MAPETITE_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+const fixtureKey = (params) => {
+  const normalized = normalizeParams(params, COORD_PRECISION);
+  return crypto.createHash('sha1').update(normalized).digest('hex').slice(0, 16);
+};
+
+const fixturePath = (kind, params) => path.join(fixturesDir(), kind, `${fixtureKey(params)}.json`);
+
+const readJson = async (file) => JSON.parse(await fs.promises.readFile(file, 'utf8'));
+
+const load = async (kind, params) => {
+  const file = fixturePath(kind, params);
+  try {
+    return await readJson(file);
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  try {
+    return await readJson(path.join(fixturesDir(), kind, 'default.json'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+  }
+  return {
+    status: 'NOT_FOUND',
+    error_message: `No ${kind} fixture recorded at ${path.relative(process.cwd(), file)}`,
+  };
+};
+
+// Wrap a live provider so every successful response is written out as a fixture
+const recording = (provider) => {
+  const save = (kind, fetcher) => async (params, options) => {
+    const data = await fetcher(params, options);
+    if (data && data.status === 'OK') {
+      const file = fixturePath(kind, params);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, `${JSON.stringify({ request: params, ...data }, null, 2)}\n`);
+    }
+    return data;
+  };
+  return {
+    ...provider,
+    nearbySearch: save('places', provider.nearbySearch),
+    directions: save('directions', provider.directions),
+    distanceMatrix: save('matrix', provider.distanceMatrix),
+    placeDetails: save('details', provider.placeDetails),
+  };
+};
+
+module.exports = {
+  name: 'fixture',
+  configError: () => null,
+  nearbySearch: (params) => load('places', params),
+  directions: (params) => load('directions', params),
+  distanceMatrix: (params) => load('matrix', params),
+  placeDetails: (params) => load('details', params),
+  fixtureKey,
+  recording,
+};
@@ -0,0 +1,30 @@
+// Google Maps Platform provider: forwards normalized params to the Google web service APIs
+// using the server-side key (GOOGLE_API_KEY)
+
+const BASE_URL = 'https://maps.googleapis.com/maps/api';
+
+const ENDPOINTS = {
+  places: 'place/nearbysearch/json',
+  directions: 'directions/json',
+  matrix: 'distancematrix/json',
+  details: 'place/details/json',
+};
+
+const configError = () => (process.env.GOOGLE_API_KEY ? null : 'GOOGLE_API_KEY not set');
+
+// `signal` aborts the request when the client that asked for it has gone away
+const request = async (kind, params, { signal } = {}) => {
+  const search = new URLSearchParams(params);
+  search.set('key', process.env.GOOGLE_API_KEY);
+  const response = await fetch(`${BASE_URL}/${ENDPOINTS[kind]}?${search.toString()}`, { signal });
+  return response.json();
+};
+
+module.exports = {
+  name: 'google',
+  configError,
+  nearbySearch: (params, options) => request('places', params, options),
+  directions: (params, options) => request('directions', params, options),
+  distanceMatrix: (params, options) => request('matrix', params, options),
+  placeDetails: (params, options) => request('details', params, options),
+};
@@ -0,0 +1,26 @@
+// Provider registry for the api/ handlers.
+// MAPETITE_PROVIDER selects the backend ("google" by default, "fixture" for offline dev and CI);
+// MAPETITE_RECORD_FIXTURES=1 saves live responses so they can be replayed by the fixture provider.
+
+const google = require('./google');
+const fixture = require('./fixture');
+
+const PROVIDERS = { google, fixture };
+
+const getProvider = () => {
+  const name = (process.env.MAPETITE_PROVIDER || 'google').trim().toLowerCase();
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    // Surface as a config error so handlers answer with their usual "Server misconfigured" 500
+    return {
+      name,
+      configError: () => `unknown MAPETITE_PROVIDER "${name}" (expected one of: ${Object.keys(PROVIDERS).join(', ')})`,
+    };
+  }
+  if (process.env.MAPETITE_RECORD_FIXTURES === '1' && provider !== fixture) {
+    return fixture.recording(provider);
+  }
+  return provider;
+};
+
+module.exports = { getProvider };
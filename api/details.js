@@ -0,0 +1,40 @@
+// Vercel Serverless Function: /api/details
+// Place Details proxy limited to the fields the app needs to check opening hours on arrival
+
+const { getProvider } = require('./_lib/providers');
+const { cached } = require('./_lib/cache');
+const { clientSignal } = require('./_lib/abort');
+
+const DETAILS_FIELDS = 'place_id,name,opening_hours,utc_offset_minutes';
+
+module.exports = async (req, res) => {
+  const signal = clientSignal(req, res);
+  try {
+    const provider = getProvider();
+    const misconfigured = provider.configError();
+    if (misconfigured) {
+      return res.status(500).json({ error: `Server misconfigured: ${misconfigured}` });
+    }
+
+    const { place_id: placeId } = req.query || {};
+    if (!placeId) {
+      return res.status(400).json({ error: 'Missing place_id parameter' });
+    }
+
+    const params = { place_id: placeId, fields: DETAILS_FIELDS };
+    const { data, cache } = await cached(
+      { namespace: provider.name, kind: 'details', params },
+      () => provider.placeDetails(params, { signal })
+    );
+    res.setHeader('X-Cache', cache);
+
+    if (data.status && data.status !== 'OK') {
+      return res.status(502).json({ error: 'Google Place Details API error', google: data });
+    }
+
+    return res.status(200).json({ result: data.result || null });
+  } catch (err) {
+    if (signal.aborted) return res.end();
+    return res.status(500).json({ error: 'Failed to fetch from Google Place Details API' });
+  }
+};
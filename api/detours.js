@@ -0,0 +1,59 @@
+// Vercel Serverless Function: /api/detours
+// Runs the whole corridor search + detour scoring server-side and streams progress, corridor
+// places and scored options back as they are ready. Responds with NDJSON (one JSON event per
+// line) by default, or Server-Sent Events when the client sends Accept: text/event-stream.
+// If the client disconnects mid-search, the search stops making Google calls.
+
+const { getProvider } = require('./_lib/providers');
+const { parseDetourQuery, fetchBaseRoute, runDetourSearch } = require('./_lib/detours');
+const { clientSignal } = require('./_lib/abort');
+
+module.exports = async (req, res) => {
+  let streaming = false;
+  const signal = clientSignal(req, res);
+  try {
+    const provider = getProvider();
+    const misconfigured = provider.configError();
+    if (misconfigured) {
+      return res.status(500).json({ error: `Server misconfigured: ${misconfigured}` });
+    }
+
+    const opts = parseDetourQuery(req.query || {});
+    if (!opts.origin || !opts.destination) {
+      return res.status(400).json({ error: 'Missing origin or destination parameter' });
+    }
+
+    // Fetch the base route before committing to a stream so failures keep a real status code
+    const { route, error } = await fetchBaseRoute(provider, opts, { signal });
+    if (signal.aborted) return res.end();
+    if (error) {
+      return res.status(502).json({ error: 'Google Directions API error', google: error });
+    }
+
+    const sse = (req.headers?.accept || '').includes('text/event-stream');
+    res.statusCode = 200;
+    res.setHeader('Content-Type', sse ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('X-Accel-Buffering', 'no');
+    if (typeof res.flushHeaders === 'function') res.flushHeaders();
+    streaming = true;
+
+    const emit = (event) => {
+      if (signal.aborted) return;
+      const json = JSON.stringify(event);
+      res.write(sse ? `event: ${event.type}\ndata: ${json}\n\n` : `${json}\n`);
+    };
+
+    try {
+      await runDetourSearch(provider, opts, route, emit, { signal });
+      if (signal.aborted) console.log('🔌 Client disconnected; stopped the detour search');
+    } catch (err) {
+      console.error('❌ Detour search failed:', err);
+      emit({ type: 'error', error: 'Detour search failed' });
+    }
+    return res.end();
+  } catch (err) {
+    if (streaming || signal.aborted) return res.end();
+    return res.status(500).json({ error: 'Failed to run detour search' });
+  }
+};
@@ -1,27 +1,86 @@
 // Vercel Serverless Function: /api/directions
-// Calls Google Directions API with server-side key (GOOGLE_API_KEY)
+// Fetches directions from the configured provider (Google by default, see api/_lib/providers)
+
+const polyline = require('@mapbox/polyline');
+const { getProvider } = require('./_lib/providers');
+const { cached } = require('./_lib/cache');
+const { parseAvoid, parseDeparture, withRouteOptions } = require('./_lib/params');
+const { normalizeTravelMode } = require('../src/shared/travelModes');
+const { clientSignal } = require('./_lib/abort');
+
+const MAX_WAYPOINTS = 25; // Google Directions limit
+
+// Transit directions don't take waypoints, so route each hop between stops on its own and
+// join the hops into one route with a leg per hop (the shape a waypoint route would have)
+const fetchHopByHop = async (provider, { origin, destination, ...options }, stops, signal) => {
+  const points = [origin, ...stops.map((id) => `place_id:${id}`), destination];
+  const hops = await Promise.all(points.slice(1).map((to, i) => {
+    const params = withRouteOptions({ origin: points[i], destination: to }, options);
+    return cached({ namespace: provider.name, kind: 'directions', params }, () => provider.directions(params, { signal }));
+  }));
+  const cache = hops.every((h) => h.cache === 'HIT') ? 'HIT' : hops[0].cache === 'BYPASS' ? 'BYPASS' : 'MISS';
+  const failed = hops.find((h) => h.data.status !== 'OK' || !h.data.routes?.[0]);
+  if (failed) return { data: failed.data, cache };
+
+  const routes = hops.map((h) => h.data.routes[0]);
+  const path = routes.flatMap((r) => polyline.decode(r.overview_polyline.points));
+  const route = {
+    summary: Array.from(new Set(routes.map((r) => r.summary).filter(Boolean))).join(' · '),
+    legs: routes.flatMap((r) => r.legs),
+    overview_polyline: { points: polyline.encode(path) },
+    warnings: Array.from(new Set(routes.flatMap((r) => r.warnings || []))),
+    waypoint_order: stops.map((_, i) => i),
+  };
+  return { data: { status: 'OK', routes: [route] }, cache };
+};
 
 module.exports = async (req, res) => {
+  const signal = clientSignal(req, res);
   try {
-    const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-    if (!GOOGLE_API_KEY) {
-      return res.status(500).json({ error: 'Server misconfigured: GOOGLE_API_KEY not set' });
+    const provider = getProvider();
+    const misconfigured = provider.configError();
+    if (misconfigured) {
+      return res.status(500).json({ error: `Server misconfigured: ${misconfigured}` });
     }
 
-    const { origin, destination, waypoint } = req.query || {};
+    const { origin, destination, waypoint, waypoints, optimize } = req.query || {};
+    const mode = normalizeTravelMode(req.query?.mode);
+    const options = { mode, avoid: parseAvoid(req.query?.avoid), departure: parseDeparture(req.query, mode) };
     if (!origin || !destination) {
       return res.status(400).json({ error: 'Missing origin or destination parameter' });
     }
 
-    const params = new URLSearchParams();
-    params.set('origin', origin);
-    params.set('destination', destination);
-    if (waypoint) params.set('waypoints', `place_id:${waypoint}`);
-    params.set('key', GOOGLE_API_KEY);
+    // Ordered stops as place_ids: `waypoints=id1|id2|...`, or a single legacy `waypoint=id`
+    const stops = String(waypoints || waypoint || '').split('|').map((s) => s.trim()).filter(Boolean);
+    if (stops.length > MAX_WAYPOINTS) {
+      return res.status(400).json({ error: `Too many waypoints (max ${MAX_WAYPOINTS})` });
+    }
+
+    if (mode === 'transit' && stops.length > 0) {
+      const { data, cache } = await fetchHopByHop(provider, { origin, destination, ...options }, stops, signal);
+      res.setHeader('X-Cache', cache);
+      if (data.status && data.status !== 'OK') {
+        return res.status(502).json({ error: 'Google Directions API error', google: data });
+      }
+      return res.status(200).json(data);
+    }
+
+    const params = withRouteOptions({ origin, destination }, options);
+    if (String(req.query?.alternatives).toLowerCase() === 'true' && stops.length === 0) {
+      // Up to three candidate base routes; Google ignores alternatives on routes with waypoints
+      params.alternatives = 'true';
+    }
+    if (stops.length > 0) {
+      // optimize:true lets Google reorder the stops; the new order comes back as routes[0].waypoint_order
+      const prefix = String(optimize).toLowerCase() === 'true' && stops.length > 1 ? ['optimize:true'] : [];
+      params.waypoints = [...prefix, ...stops.map((id) => `place_id:${id}`)].join('|');
+    }
 
-    const url = `https://maps.googleapis.com/maps/api/directions/json?${params.toString()}`;
-    const response = await fetch(url);
-    const data = await response.json();
+    const { data, cache } = await cached(
+      { namespace: provider.name, kind: 'directions', params },
+      () => provider.directions(params, { signal })
+    );
+    res.setHeader('X-Cache', cache);
 
     if (data.status && data.status !== 'OK') {
       return res.status(502).json({ error: 'Google Directions API error', google: data });
@@ -29,6 +88,7 @@ module.exports = async (req, res) => {
 
     return res.status(200).json(data);
   } catch (err) {
+    if (signal.aborted) return res.end();
     return res.status(500).json({ error: 'Failed to fetch from Google Directions API' });
   }
 };
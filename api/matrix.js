@@ -0,0 +1,61 @@
+// Vercel Serverless Function: /api/matrix
+// Scores detours through a list of places with batched Distance Matrix calls.
+// Query: origin, destination, places (place_ids separated by | or ,), optional baseline and
+// typical_baseline (sec), mode (driving, walking, bicycling or transit), avoid
+// (tolls|highways|ferries), departure_time and traffic_model. Pending Distance Matrix calls are
+// aborted if the client disconnects.
+
+const { getProvider } = require('./_lib/providers');
+const { MAX_PER_SIDE, MAX_CANDIDATES, chunk, scoreBatch, fetchBaseline, withAddedTime } = require('./_lib/matrix');
+const { parseAvoid, parseDeparture } = require('./_lib/params');
+const { normalizeTravelMode } = require('../src/shared/travelModes');
+const { clientSignal } = require('./_lib/abort');
+
+module.exports = async (req, res) => {
+  const signal = clientSignal(req, res);
+  try {
+    const provider = getProvider();
+    const misconfigured = provider.configError();
+    if (misconfigured) {
+      return res.status(500).json({ error: `Server misconfigured: ${misconfigured}` });
+    }
+
+    const { origin, destination, places, baseline, avoid } = req.query || {};
+    const mode = normalizeTravelMode(req.query?.mode);
+    if (!origin || !destination) {
+      return res.status(400).json({ error: 'Missing origin or destination parameter' });
+    }
+    const placeIds = Array.from(new Set(String(places || '').split(/[|,]/).map((s) => s.trim()).filter(Boolean)));
+    if (placeIds.length === 0) {
+      return res.status(400).json({ error: 'Missing places parameter' });
+    }
+    if (placeIds.length > MAX_CANDIDATES) {
+      return res.status(400).json({ error: `Too many places (max ${MAX_CANDIDATES})` });
+    }
+
+    const endpoints = { origin, destination, mode, avoid: parseAvoid(avoid), departure: parseDeparture(req.query, mode) };
+    let baseTimeSec = Number(baseline);
+    let typicalBaseTimeSec = Number(req.query.typical_baseline);
+    if (baseline === undefined || baseline === '' || !Number.isFinite(baseTimeSec)) {
+      const base = await fetchBaseline(provider, endpoints, { signal });
+      if (signal.aborted) return res.end();
+      if (base.error) {
+        return res.status(502).json({ error: 'Google Distance Matrix API error', google: base.error });
+      }
+      ({ baseTimeSec, typicalBaseTimeSec } = base);
+    }
+    if (!Number.isFinite(typicalBaseTimeSec)) typicalBaseTimeSec = baseTimeSec;
+
+    const batches = await Promise.all(chunk(placeIds, MAX_PER_SIDE).map((ids) => scoreBatch(provider, endpoints, ids, { signal })));
+    const failed = batches.find((b) => b.error);
+    if (failed) {
+      return res.status(502).json({ error: 'Google Distance Matrix API error', google: failed.error });
+    }
+    const results = batches.flatMap((b) => b.results).map((r) => withAddedTime(r, baseTimeSec, typicalBaseTimeSec));
+
+    return res.status(200).json({ baseTimeSec, typicalBaseTimeSec, results });
+  } catch (err) {
+    if (signal.aborted) return res.end();
+    return res.status(500).json({ error: 'Failed to fetch from Google Distance Matrix API' });
+  }
+};
@@ -1,11 +1,17 @@
 // Vercel Serverless Function: /api/places
-// Calls Google Places Nearby Search with server-side key (GOOGLE_API_KEY)
+// Places Nearby Search through the configured provider (Google by default, see api/_lib/providers)
+
+const { getProvider } = require('./_lib/providers');
+const { cached } = require('./_lib/cache');
+const { clientSignal } = require('./_lib/abort');
 
 module.exports = async (req, res) => {
+  const signal = clientSignal(req, res);
   try {
-    const GOOGLE_API_KEY = process.env.GOOGLE_API_KEY;
-    if (!GOOGLE_API_KEY) {
-      return res.status(500).json({ error: 'Server misconfigured: GOOGLE_API_KEY not set' });
+    const provider = getProvider();
+    const misconfigured = provider.configError();
+    if (misconfigured) {
+      return res.status(500).json({ error: `Server misconfigured: ${misconfigured}` });
     }
 
     const {
@@ -37,30 +43,30 @@ module.exports = async (req, res) => {
       }
     }
 
-    const params = new URLSearchParams();
-    params.set('location', `${lat},${lng}`);
-    params.set('key', GOOGLE_API_KEY);
+    const params = { location: `${lat},${lng}` };
 
     const effectiveType = typeQuery || 'restaurant';
-    if (effectiveType) params.set('type', effectiveType);
-    if (keywordQuery) params.set('keyword', keywordQuery);
+    if (effectiveType) params.type = effectiveType;
+    if (keywordQuery) params.keyword = keywordQuery;
 
     const minP = Number.isFinite(Number(minprice)) ? Math.max(0, Math.min(4, Number(minprice))) : undefined;
     const maxP = Number.isFinite(Number(maxprice)) ? Math.max(0, Math.min(4, Number(maxprice))) : undefined;
-    if (minP !== undefined) params.set('minprice', String(minP));
-    if (maxP !== undefined) params.set('maxprice', String(maxP));
+    if (minP !== undefined) params.minprice = String(minP);
+    if (maxP !== undefined) params.maxprice = String(maxP);
 
     if (useRankByDistance) {
-      params.set('rankby', 'distance');
+      params.rankby = 'distance';
     } else {
-      params.set('radius', String(normalizedRadius));
+      params.radius = String(normalizedRadius);
     }
 
-    if (pagetoken) params.set('pagetoken', pagetoken);
+    if (pagetoken) params.pagetoken = pagetoken;
 
-    const url = `https://maps.googleapis.com/maps/api/place/nearbysearch/json?${params.toString()}`;
-    const response = await fetch(url);
-    const data = await response.json();
+    const { data, cache } = await cached(
+      { namespace: provider.name, kind: 'places', params },
+      () => provider.nearbySearch(params, { signal })
+    );
+    res.setHeader('X-Cache', cache);
 
     if (data.status && data.status !== 'OK') {
       return res.status(502).json({ error: 'Google Places API error', google: data });
@@ -71,6 +77,7 @@ module.exports = async (req, res) => {
       next_page_token: data.next_page_token || null,
     });
   } catch (err) {
+    if (signal.aborted) return res.end();
     return res.status(500).json({ error: 'Failed to fetch from Google Places API' });
   }
 };
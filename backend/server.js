@@ -0,0 +1,92 @@
+// Local API server for development.
+// Mounts every Vercel function in api/ under the same /api/<name> route, so dev and production
+// run the exact same handler code. Start with `npm run server` (PORT defaults to 3001).
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const cors = require('cors');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const API_DIR = path.join(ROOT_DIR, 'api');
+
+// Load server-side env (GOOGLE_API_KEY, ...) the same way CRA loads the browser env
+const loadEnvFiles = () => {
+  if (typeof process.loadEnvFile !== 'function') return;
+  for (const name of ['.env.local', '.env']) {
+    const file = path.join(ROOT_DIR, name);
+    if (fs.existsSync(file)) process.loadEnvFile(file);
+  }
+};
+
+// Vercel maps api/<name>.js to /api/<name>; files and folders starting with "_" are not routes
+const discoverHandlers = () => {
+  return fs.readdirSync(API_DIR)
+    .filter((file) => file.endsWith('.js') && !file.startsWith('_'))
+    .map((file) => ({
+      route: `/api/${path.basename(file, '.js')}`,
+      handler: require(path.join(API_DIR, file)),
+    }));
+};
+
+const requestLogger = (req, res, next) => {
+  const startTs = Date.now();
+  res.on('finish', () => {
+    const ms = Date.now() - startTs;
+    const cache = res.getHeader('X-Cache');
+    console.log(`${req.method} ${req.originalUrl} -> ${res.statusCode} (${ms}ms)${cache ? ` [cache ${cache}]` : ''}`);
+  });
+  next();
+};
+
+// CORS_ORIGINS is a comma-separated allow-list; defaults to the CRA dev server
+const corsOptions = () => {
+  const origins = (process.env.CORS_ORIGINS || 'http://localhost:3000')
+    .split(',')
+    .map((o) => o.trim())
+    .filter(Boolean);
+  return {
+    origin: origins.includes('*') ? true : origins,
+    methods: ['GET', 'POST', 'OPTIONS'],
+    exposedHeaders: ['X-Cache'],
+  };
+};
+
+const createApp = () => {
+  const app = express();
+  app.disable('x-powered-by');
+  app.use(requestLogger);
+  app.use(cors(corsOptions()));
+  app.use(express.json());
+
+  app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok', uptimeSec: Math.round(process.uptime()) });
+  });
+
+  for (const { route, handler } of discoverHandlers()) {
+    app.all(route, handler);
+  }
+
+  app.use((req, res) => {
+    res.status(404).json({ error: `No route for ${req.method} ${req.path}` });
+  });
+
+  // Express 5 forwards rejected promises from async handlers here
+  app.use((err, req, res, next) => {
+    console.error(`❌ Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+    if (res.headersSent) return next(err);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+
+  return app;
+};
+
+if (require.main === module) {
+  loadEnvFiles();
+  const port = Number(process.env.PORT) || 3001;
+  createApp().listen(port, () => {
+    console.log(`🚀 Mapetite API listening on http://localhost:${port}`);
+  });
+}
+
+module.exports = { createApp };
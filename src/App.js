@@ -1,11 +1,58 @@
-import React, { useState, useEffect, useRef, useMemo } from 'react';
+import React, { useState, useEffect, useRef, useMemo, useCallback, lazy, Suspense } from 'react';
 import axios from 'axios';
 import polyline from '@mapbox/polyline';
 import GoogleMap from './GoogleMap';
+import { MAP_ENGINES, DEFAULT_MAP_ENGINE } from './mapEngine';
+import { rankPlaces, markerColor } from './mapMarkers';
+import { COMPARE_COUNT, BASE_ROUTE_ID, comparisonRows, routeOverlays } from './routeComparison';
+import {
+  CORRIDOR_SHAPES,
+  WHOLE_ROUTE,
+  isAreaComplete,
+  corridorParams,
+  corridorView,
+  moveStretchEnd,
+  setStretchEnd,
+} from './searchCorridor';
+import TripPanel from './TripPanel';
+import { moveStop, routeDurationSec } from './trip';
+import { arrivalStatus } from './openingHours';
+import { mealWindowParams } from './mealWindow';
+import { API_BASE } from './api';
+import { loadGoogleMaps } from './googleMaps';
+import { createSearchController } from './searchController';
+import { KM_PER_MILE, haversineDistanceKm, bearingDeg, routeLengthKm } from './shared/geo';
+import { TRAVEL_MODES, DEFAULT_TRAVEL_MODE, clampCorridorMiles } from './shared/travelModes';
+import { legTransitRides } from './transit';
+import {
+  buildStepsFromRoute,
+  locateOnSteps,
+  updateOffRoute,
+  initialOffRouteState,
+  STEP_ARRIVAL_KM,
+  navigationProgress,
+  updateObservedSpeed,
+  stepIcon,
+  upcomingManeuvers,
+} from './navigation';
+import { speechSupported, guidanceCues, speak, formatDistance } from './voiceGuidance';
+import {
+  LOCATION_SOURCES,
+  createGeolocationSource,
+  createRouteReplaySource,
+  createTrackPlaybackSource,
+  parseTrackFile,
+} from './locationSource';
+import { rankPlacesAlongRoute } from './corridorRanker';
 import './App.scss';
-// Dynamic API base: production -> '/api' (Vercel), development -> 'http://localhost:3001'
-const API_BASE = process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3001';
 
+// Mapbox GL is only downloaded when someone switches to it
+const MapboxMap = lazy(() => import('./MapboxMap'));
+
+
+const REROUTE_COOLDOWN_MS = 15000; // at most one automatic reroute per 15 s
+const HEADING_MIN_MOVE_KM = 0.005; // derive heading from fixes at least ~5 m apart
+const RERUN_DEBOUNCE_MS = 700; // wait for sliders to settle before searching again
 
 function App() {
   const [position, setPosition] = useState(null);
@@ -16,12 +63,40 @@ function App() {
   const [detourOptions, setDetourOptions] = useState([]);
   const [selectedPlace, setSelectedPlace] = useState(null);
   const [showInfoPopup, setShowInfoPopup] = useState(false);
-  const [baseRouteTimeSec, setBaseRouteTimeSec] = useState(0);
-  const [confirmRoute, setConfirmRoute] = useState(null); // holds { place, totalTime, addedTime, route }
+  const [baseRoute, setBaseRoute] = useState(null); // Directions route the last detour search ran along
+  const [compareRoutes, setCompareRoutes] = useState(false); // draw the base route and top detours together
+  const [comparedId, setComparedId] = useState(null); // route selected in comparison mode (place_id or 'base')
+  const [corridorShape, setCorridorShape] = useState(WHOLE_ROUTE); // area the next search covers, see ./searchCorridor
+  const [searchedCorridor, setSearchedCorridor] = useState(WHOLE_ROUTE); // area the last search covered
+  const [drawingArea, setDrawingArea] = useState(null); // [[lat, lng], ...] while the user draws a search area
+  const searchRef = useRef(createSearchController()); // aborts superseded searches and reuses finished ones
+  const lastSearchRef = useRef(null); // { dest, baseRoute } of the last search, re-run when filters change
+  const searchGenRef = useRef(0); // generation of the latest search; results of older ones are dropped
+  const searchAbortRef = useRef(null); // AbortController of the latest search
+  const compareFetchedRef = useRef(new WeakSet()); // options whose route comparison mode already requested
+  const [baseRouteTimeSec, setBaseRouteTimeSec] = useState(0); // traffic-aware when Google returns duration_in_traffic
+  const [typicalBaseTimeSec, setTypicalBaseTimeSec] = useState(0); // same route without traffic
+  const [confirmRoute, setConfirmRoute] = useState(null); // planned trip { stops: [option], route, optimize }
+  const [addingStop, setAddingStop] = useState(false); // picking another stop for the planned trip
+  const [tripUpdating, setTripUpdating] = useState(false);
   const [navigation, setNavigation] = useState(null); // { steps: [], current: 0, route }
-  const watchIdRef = useRef(null);
+  const [mapEngine, setMapEngine] = useState(DEFAULT_MAP_ENGINE); // 'google' | 'mapbox', see ./mapEngine
+  const [hoveredPlaceId, setHoveredPlaceId] = useState(null); // place whose map marker is hovered
+  const [heading, setHeading] = useState(null); // direction of travel in degrees while navigating
+  const [observedMps, setObservedMps] = useState(null); // smoothed speed while navigating (m/s)
+  // Where navigation fixes come from: live GPS, a simulated drive along the route or a recorded track
+  const [locationSource, setLocationSource] = useState({ kind: 'gps', speedKmh: 50, rate: 4, track: null, trackName: '', trackError: null });
+  const navigationRef = useRef(null); // latest `navigation`, for the position watcher
+  const offRouteRef = useRef(initialOffRouteState); // off-route hysteresis state
+  const rerouteRef = useRef({ inFlight: false, lastAt: 0 });
+  const lastFixRef = useRef(null); // last fix used for heading when the device reports none
+  const speedRef = useRef(null); // smoothed ground speed from the navigation fixes
+  const [voicePrefs, setVoicePrefs] = useState({ muted: false, voiceURI: '', rate: 1, units: 'mi' }); // spoken guidance settings
+  const [voices, setVoices] = useState([]); // speechSynthesis voices (loaded asynchronously by most browsers)
+  const spokenRef = useRef({ steps: null, keys: new Set() }); // guidance cues already announced for the current steps
   const [loadingDetours, setLoadingDetours] = useState({ active: false, total: 0, done: 0, etaSec: null, label: '', found: 0 });
-  const [corridorMiles, setCorridorMiles] = useState(1); // adjustable corridor width (1-6 miles)
+  const [travelMode, setTravelMode] = useState(DEFAULT_TRAVEL_MODE); // driving | walking | bicycling | transit
+  const [corridorMiles, setCorridorMiles] = useState(TRAVEL_MODES[DEFAULT_TRAVEL_MODE].corridorMiles.default); // adjustable corridor width (range depends on travel mode)
   const [samplingBoost, setSamplingBoost] = useState(false); // if true, use denser sampling
   const [cuisine, setCuisine] = useState(''); // keyword filter (fetch-time)
   const [minPrice, setMinPrice] = useState(''); // 0-4 (fetch-time)
@@ -33,6 +108,18 @@ function App() {
   const [allPlaces, setAllPlaces] = useState([]);
   const [nextPageToken, setNextPageToken] = useState(null);
   const [loadingMore, setLoadingMore] = useState(false);
+  const [departureTime, setDepartureTime] = useState(''); // datetime-local value; '' = leave now
+  const [hideClosed, setHideClosed] = useState(false); // hide options that are closed when we'd arrive
+  const [placeHours, setPlaceHours] = useState({}); // place_id -> Place Details ({ opening_hours, utc_offset_minutes }) or null
+  const hoursRequestedRef = useRef(new Set());
+  const [mealWindow, setMealWindow] = useState({ mode: 'off', from: '', to: '' }); // mode: off | clock | drive (hours)
+  const [mealStretch, setMealStretch] = useState(null); // { fromSec, toSec, startKm, endKm } searched in meal-window mode
+  const [searchNotice, setSearchNotice] = useState(null); // error reported by the last detour search
+  const [unscoredCount, setUnscoredCount] = useState(0); // corridor places the last search left for Load more (server cap)
+  const [avoid, setAvoid] = useState({ tolls: false, highways: false, ferries: false }); // route preferences
+  const [offerAlternatives, setOfferAlternatives] = useState(false); // pick among Google's alternative routes before searching
+  const [routeChoices, setRouteChoices] = useState(null); // { dest, routes } while the user picks a base route
+  const [trafficModel, setTrafficModel] = useState(''); // Google traffic_model; '' = typical times
   const autocompleteRef = useRef(null);
   const inputRef = useRef(null);
   const mapRef = useRef(null);
@@ -45,6 +132,31 @@ function App() {
     setUiMaxPrice(maxPrice);
   }, [cuisine, minPrice, maxPrice]);
 
+  // Google's avoid parameter, e.g. "tolls|ferries"
+  const avoidParam = Object.keys(avoid).filter(k => avoid[k]).join('|') || undefined;
+
+  // departure_time / traffic_model for Google: traffic-aware driving times (duration_in_traffic)
+  // and transit schedules, from the "Leave" time or now
+  // Driving times are typical unless the user picks a traffic model or a Leave time
+  const departureParams = useMemo(() => ((travelMode === 'transit' || (travelMode === 'driving' && (trafficModel || departureTime)))
+    ? {
+      departure_time: departureTime ? Math.floor(new Date(departureTime).getTime() / 1000) : 'now',
+      traffic_model: travelMode === 'driving' ? trafficModel || undefined : undefined,
+    }
+    : {}), [travelMode, trafficModel, departureTime]);
+
+  const departureDate = useCallback(() => (departureTime ? new Date(departureTime) : new Date()), [departureTime]);
+
+  // When we'd reach an option's stop and whether it's open then.
+  // status: 'open' | 'closed' | 'unknown' (no hours listed) | 'pending' (details not loaded yet)
+  const arrivalFor = useCallback((opt) => {
+    const toStopSec = Number.isFinite(opt.leg1Sec) ? opt.leg1Sec : opt.route?.legs?.[0]?.duration?.value;
+    if (!Number.isFinite(toStopSec)) return null;
+    const date = new Date(departureDate().getTime() + toStopSec * 1000);
+    const id = opt.place.place_id;
+    return { date, status: id in placeHours ? arrivalStatus(placeHours[id], date) : 'pending' };
+  }, [departureDate, placeHours]);
+
   // Compute visible options based on popup filters (client-side)
   const visibleOptions = useMemo(() => {
     const matchesCuisine = (p) => {
@@ -65,78 +177,204 @@ function App() {
       const maxOk = uiMaxPrice === '' || lvl <= Number(uiMaxPrice);
       return minOk && maxOk;
     };
+    const openOnArrival = (p) => !hideClosed || arrivalFor(p)?.status !== 'closed';
     return (detourOptions || [])
       .filter(matchesCuisine)
       .filter(inPrice)
+      .filter(openOnArrival)
       .slice()
       .sort((a,b)=>a.addedTime-b.addedTime || a.totalTime-b.totalTime);
-  }, [detourOptions, uiCuisine, uiMinPrice, uiMaxPrice]);
-
-  // Strip HTML tags from Google instruction strings
-  const stripHtml = (s) => (s || '').replace(/<[^>]+>/g, '');
-
-  // Build steps array from a Google Directions route
-  const buildStepsFromRoute = (route) => {
-    const steps = [];
-    const legs = route?.legs || [];
-    for (const leg of legs) {
-      for (const st of (leg.steps || [])) {
-        steps.push({
-          instruction: stripHtml(st.html_instructions),
-          durationSec: st.duration?.value || 0,
-          distanceMeters: st.distance?.value || 0,
-          end: {
-            lat: st.end_location?.lat,
-            lng: st.end_location?.lng
-          }
-        });
+  }, [detourOptions, uiCuisine, uiMinPrice, uiMaxPrice, hideClosed, arrivalFor]);
+
+  // Map marker rank and added time for each listed option (list order)
+  const placeRanking = useMemo(() => rankPlaces(visibleOptions), [visibleOptions]);
+
+  // Fetch opening hours (Place Details) for the top visible options, the open popup and the
+  // trip's stops, so we can tell whether they'll be open when we get there
+  useEffect(() => {
+    const HOURS_LOOKAHEAD = 20;
+    const ids = [
+      ...visibleOptions.slice(0, HOURS_LOOKAHEAD).map(o => o.place.place_id),
+      selectedPlace?.place?.place_id,
+      ...(confirmRoute?.stops || []).map(s => s.place.place_id),
+    ].filter(id => id && !hoursRequestedRef.current.has(id));
+    if (ids.length === 0) return;
+    ids.forEach(id => hoursRequestedRef.current.add(id));
+    (async () => {
+      for (const id of ids) {
+        try {
+          const res = await axios.get(`${API_BASE}/details`, { params: { place_id: id } });
+          setPlaceHours(prev => ({ ...prev, [id]: res.data.result || null }));
+        } catch (err) {
+          console.warn(`Failed to fetch opening hours for ${id}:`, err?.response?.data || err);
+          setPlaceHours(prev => ({ ...prev, [id]: null }));
+        }
       }
+    })();
+  }, [visibleOptions, selectedPlace, confirmRoute]);
+
+  // Keep the latest navigation state readable from the position watcher without restarting it
+  useEffect(() => {
+    navigationRef.current = navigation;
+  }, [navigation]);
+
+  // Fetch a new route from `from` through the food stops not reached yet to the destination,
+  // and swap it into the navigation
+  const rerouteNavigation = async (from) => {
+    const nav = navigationRef.current;
+    if (!nav || rerouteRef.current.inFlight) return;
+    rerouteRef.current = { inFlight: true, lastAt: Date.now() };
+    const remainingStops = (nav.stops || []).slice(nav.steps[nav.current || 0]?.legIndex || 0);
+    console.log(`🔀 Off route, rerouting through ${remainingStops.length} remaining stop(s)`);
+    setNavigation(prev => (prev ? { ...prev, rerouting: true } : prev));
+    try {
+      const res = await axios.get(`${API_BASE}/directions`, {
+        params: {
+          origin: `${from[0]},${from[1]}`,
+          destination: `${nav.destination[0]},${nav.destination[1]}`,
+          waypoints: remainingStops.map(s => s.place.place_id).join('|') || undefined,
+          ...nav.routeOptions,
+        },
+      });
+      const route = res.data.routes?.[0];
+      const steps = buildStepsFromRoute(route);
+      if (steps.length > 0) {
+        offRouteRef.current = initialOffRouteState;
+        setBestRouteCoords(polyline.decode(route.overview_polyline.points));
+        setNavigation(prev => (prev ? { ...prev, steps, current: 0, route, stops: remainingStops, offRoute: false, rerouting: false } : prev));
+        return;
+      }
+    } catch (err) {
+      console.warn('Reroute failed:', err?.response?.data || err);
+    } finally {
+      rerouteRef.current = { ...rerouteRef.current, inFlight: false };
     }
-    return steps;
+    setNavigation(prev => (prev ? { ...prev, rerouting: false } : prev));
   };
 
-  // Navigation: watch user position and advance steps
+  // Voice guidance: list the available voices (most browsers load them asynchronously)
+  useEffect(() => {
+    if (!speechSupported()) return;
+    const loadVoices = () => setVoices(window.speechSynthesis.getVoices());
+    loadVoices();
+    window.speechSynthesis.addEventListener?.('voiceschanged', loadVoices);
+    return () => window.speechSynthesis.removeEventListener?.('voiceschanged', loadVoices);
+  }, []);
+
+  // Distance and time left, from the position projected onto the current step
+  const navProgress = useMemo(() => (navigation && position
+    ? navigationProgress(navigation, position[0], position[1], observedMps)
+    : null), [navigation, position, observedMps]);
+
+  // Announce upcoming maneuvers and arrivals as the position updates. Cues are marked as said
+  // even while muted so unmuting doesn't replay stale ones; a new set of steps (reroute) starts over.
   useEffect(() => {
-    if (!navigation) return;
-    if (!navigator.geolocation) return;
+    if (!navigation || !navProgress) return;
+    if (spokenRef.current.steps !== navigation.steps) spokenRef.current = { steps: navigation.steps, keys: new Set() };
+    const cues = guidanceCues(navigation, navProgress.metersToManeuver, { units: voicePrefs.units, mode: navigation.routeOptions?.mode })
+      .filter(c => !spokenRef.current.keys.has(c.key));
+    if (cues.length === 0) return;
+    cues.forEach(c => spokenRef.current.keys.add(c.key));
+    if (!voicePrefs.muted) speak(cues.map(c => c.text).join('. '), voicePrefs);
+  }, [navigation, navProgress, voicePrefs]);
 
-    // Start high-accuracy watch
-    watchIdRef.current = navigator.geolocation.watchPosition(
+  // Stop talking when muted or when navigation ends
+  useEffect(() => {
+    if ((voicePrefs.muted || !navigation) && speechSupported()) window.speechSynthesis.cancel();
+  }, [voicePrefs.muted, navigation]);
+
+  // Navigation: watch user position, advance steps and reroute when off course
+  const navigating = Boolean(navigation);
+  useEffect(() => {
+    if (!navigating) return;
+    offRouteRef.current = initialOffRouteState;
+    lastFixRef.current = null;
+    speedRef.current = null;
+    setHeading(null);
+    setObservedMps(null);
+
+    let source = createGeolocationSource();
+    let sourceKind = 'gps';
+    const routePoints = navigationRef.current?.route?.overview_polyline?.points;
+    if (locationSource.kind === 'route' && routePoints) {
+      source = createRouteReplaySource(polyline.decode(routePoints), { speedKmh: locationSource.speedKmh });
+      sourceKind = 'route';
+    } else if (locationSource.kind === 'track' && locationSource.track?.length) {
+      source = createTrackPlaybackSource(locationSource.track, { rate: locationSource.rate });
+      sourceKind = 'track';
+    }
+    console.log(`📍 Navigation location source: ${LOCATION_SOURCES[sourceKind]}`);
+
+    // Start watching (high-accuracy GPS, or the simulated source)
+    return source.watch(
       (pos) => {
-        const { latitude, longitude } = pos.coords;
+        const { latitude, longitude, accuracy } = pos.coords;
         setPosition([latitude, longitude]);
-        // Advance step if close to end of current step
+        speedRef.current = updateObservedSpeed(speedRef.current, { lat: latitude, lng: longitude, at: pos.timestamp || Date.now(), speed: pos.coords.speed });
+        setObservedMps(speedRef.current.mps);
+
+        // Direction of travel: the device's heading when moving, else the bearing between fixes
+        const reported = pos.coords.heading;
+        const last = lastFixRef.current;
+        if (Number.isFinite(reported) && (pos.coords.speed || 0) > 0) {
+          setHeading(reported);
+        } else if (!last || haversineDistanceKm(last[0], last[1], latitude, longitude) >= HEADING_MIN_MOVE_KM) {
+          if (last) setHeading(bearingDeg(last[0], last[1], latitude, longitude));
+          lastFixRef.current = [latitude, longitude];
+        }
+
+        const nav = navigationRef.current;
+        if (!nav) return;
+
+        // Distance to the rest of the route, with hysteresis so GPS jitter doesn't flap
+        const idx = nav.current || 0;
+        const { stepIndex, offsetKm } = locateOnSteps(nav.steps, idx, latitude, longitude);
+        offRouteRef.current = updateOffRoute(offRouteRef.current, offsetKm, accuracy);
+        const { offRoute } = offRouteRef.current;
+        if (offRoute && Date.now() - rerouteRef.current.lastAt > REROUTE_COOLDOWN_MS) {
+          rerouteNavigation([latitude, longitude]);
+        }
+
         setNavigation((prev) => {
           if (!prev) return prev;
-          const idx = prev.current || 0;
-          const step = prev.steps[idx];
+          const current = prev.current || 0;
+          const step = prev.steps[current];
           if (!step) return prev;
+          // Advance step if close to end of current step
           const dKm = haversineDistanceKm(latitude, longitude, step.end.lat, step.end.lng);
-          const thresholdKm = 0.04; // ~40 meters
-          if (dKm <= thresholdKm) {
-            const nextIdx = idx + 1;
+          if (dKm <= STEP_ARRIVAL_KM) {
+            const nextIdx = current + 1;
             if (nextIdx >= prev.steps.length) {
               // Arrived at destination
               return null; // end navigation
             }
-            return { ...prev, current: nextIdx };
+            return { ...prev, current: nextIdx, offRoute };
           }
-          return prev;
+          // Skip ahead when we're already on a later step (e.g. missed the end of a short one)
+          if (!offRoute && stepIndex > current) return { ...prev, current: stepIndex, offRoute };
+          return prev.offRoute === offRoute ? prev : { ...prev, offRoute };
         });
       },
       (err) => {
         console.warn('Geolocation watch error:', err);
-      },
-      { enableHighAccuracy: true, maximumAge: 1000, timeout: 10000 }
+      }
     );
+  }, [navigating, locationSource]);
 
-    return () => {
-      if (watchIdRef.current !== null) {
-        navigator.geolocation.clearWatch(watchIdRef.current);
-        watchIdRef.current = null;
+  // Load a recorded GPX/JSON track for playback
+  const loadTrackFile = (file) => {
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const track = parseTrackFile(file.name, String(reader.result));
+        setLocationSource(s => ({ ...s, track, trackName: file.name, trackError: track.length ? null : 'No track points in that file' }));
+      } catch (err) {
+        setLocationSource(s => ({ ...s, track: null, trackName: file.name, trackError: 'Could not read that track file' }));
       }
     };
-  }, [navigation]);
+    reader.readAsText(file);
+  };
 
   // Compute counts per cuisine option based on currently loaded detours and current price filters
   const cuisineCounts = useMemo(() => {
@@ -178,9 +416,110 @@ function App() {
     setShowInfoPopup(true);
   };
 
+  // Detour options are scored with the Distance Matrix, so they carry no route until one is
+  // picked. Fetch the full Directions route via the place and remember it on the option.
+  const withRoute = useCallback(async (opt, origin = position, dest = destination, { signal } = {}) => {
+    if (opt.route || !origin || !dest) return opt;
+    // IMPORTANT: Our backend expects 'waypoint' to be a place_id and will
+    // construct &waypoints=place_id:... when calling Google. Passing lat,lng
+    // here causes Google to ignore the stop and returns base time (0 added).
+    const res = await axios.get(`${API_BASE}/directions`, {
+      params: {
+        origin: `${origin[0]},${origin[1]}`,
+        destination: `${dest[0]},${dest[1]}`,
+        waypoint: opt.place.place_id,
+        mode: travelMode,
+        avoid: avoidParam,
+        ...departureParams,
+      },
+      signal,
+    });
+    const route = res.data.routes?.[0];
+    if (!route) return opt;
+    const updated = { ...opt, route };
+    setDetourOptions(prev => prev.map(o => (o.place.place_id === opt.place.place_id ? updated : o)));
+    return updated;
+  }, [position, destination, travelMode, avoidParam, departureParams]);
+
+  // Comparison mode: fetch the Directions route of each compared option so it can be drawn
+  const comparedOptions = useMemo(() => visibleOptions.slice(0, COMPARE_COUNT), [visibleOptions]);
+  useEffect(() => {
+    if (!compareRoutes) return;
+    comparedOptions
+      .filter(opt => !opt.route && !compareFetchedRef.current.has(opt))
+      .forEach((opt) => {
+        compareFetchedRef.current.add(opt);
+        withRoute(opt).catch(err => console.warn(`Failed to fetch route via "${opt.place.name}":`, err));
+      });
+  }, [compareRoutes, comparedOptions, withRoute]);
+
+  const comparisonOverlays = useMemo(
+    () => (compareRoutes && !navigation && !confirmRoute ? routeOverlays(baseRoute, comparedOptions, comparedId) : []),
+    [compareRoutes, navigation, confirmRoute, baseRoute, comparedOptions, comparedId]
+  );
+
+  // Search corridor drawn on the map (hidden once a trip is planned or navigation starts)
+  const baseRouteCoords = useMemo(
+    () => (baseRoute?.overview_polyline?.points ? polyline.decode(baseRoute.overview_polyline.points) : []),
+    [baseRoute]
+  );
+  const baseRouteKm = useMemo(() => routeLengthKm(baseRouteCoords), [baseRouteCoords]);
+  const searchCorridor = useMemo(
+    () => (navigation || confirmRoute
+      ? null
+      : corridorView(baseRouteCoords, corridorShape, clampCorridorMiles(travelMode, corridorMiles), { mealStretch, drawing: drawingArea })),
+    [navigation, confirmRoute, baseRouteCoords, corridorShape, travelMode, corridorMiles, mealStretch, drawingArea]
+  );
+  const moveCorridorHandle = (handleId, lat, lng) => {
+    setCorridorShape(shape => moveStretchEnd(shape, baseRouteCoords, handleId, lat, lng));
+  };
+  const addAreaPoint = (lat, lng) => setDrawingArea(points => (points ? [...points, [lat, lng]] : points));
+  const pickCorridorShape = (kind) => {
+    setDrawingArea(kind === 'area' ? [] : null);
+    if (kind === 'stretch') setCorridorShape({ kind, startKm: 0, endKm: baseRouteKm });
+    else if (kind === 'area') setCorridorShape({ kind, points: [] });
+    else setCorridorShape(WHOLE_ROUTE);
+  };
+  const setStretchMiles = (handleId, miles) => setCorridorShape(shape => setStretchEnd(shape, handleId, miles * KM_PER_MILE));
+
+  // Fetch the route through the trip's stops (in order, or Google's optimized order) and show it
+  const planTrip = async (stops, optimize = false) => {
+    if (stops.length === 0) {
+      setConfirmRoute(null);
+      return;
+    }
+    if (!position || !destination) return;
+    setTripUpdating(true);
+    try {
+      const res = await axios.get(`${API_BASE}/directions`, {
+        params: {
+          origin: `${position[0]},${position[1]}`,
+          destination: `${destination[0]},${destination[1]}`,
+          waypoints: stops.map(s => s.place.place_id).join('|'),
+          optimize: optimize && stops.length > 1 ? 'true' : undefined,
+          mode: travelMode,
+          avoid: avoidParam,
+          ...departureParams,
+        },
+      });
+      const route = res.data.routes?.[0];
+      if (!route) return;
+      const order = optimize && Array.isArray(route.waypoint_order) ? route.waypoint_order : stops.map((_, i) => i);
+      const decoded = polyline.decode(route.overview_polyline.points);
+      setBestRouteCoords(decoded.map(([lat, lng]) => [lat, lng]));
+      setConfirmRoute({ stops: order.map(i => stops[i]), route, optimize });
+    } catch (err) {
+      console.warn('Failed to plan trip:', err);
+    } finally {
+      setTripUpdating(false);
+    }
+  };
+
   const loadMorePlaces = async () => {
     if (loadingMore || !position || !destination) return;
-    
+
+    // Loading more is a search too: a newer one (or Cancel) aborts it and drops its results
+    const { signal, isLatest } = beginSearch();
     setLoadingMore(true);
     try {
       // Get places that haven't been processed for detour routes yet
@@ -195,169 +534,246 @@ function App() {
         return;
       }
       
-      // Get the main route path for distance calculations
-      const mainPath = bestRouteCoords.map(([lat, lng]) => [lat, lng]);
-      const CORRIDOR_KM = 3 * 1.60934; // 3 miles in km
-      
-      // Filter unprocessed places to only those within the corridor
-      const unprocessedPlacesInCorridor = unprocessedPlaces.filter(place => {
-        const lat = place.geometry?.location?.lat;
-        const lng = place.geometry?.location?.lng;
-        if (!lat || !lng) return false;
-        const distanceKm = distanceFromPointToPolylineKm(lat, lng, mainPath);
-        return distanceKm <= (Math.max(1, Math.min(6, Number(corridorMiles) || 1)) * 1.60934);
-      });
-      
-      console.log(`🍕 Unprocessed places within corridor: ${unprocessedPlacesInCorridor.length}/${unprocessedPlaces.length}`);
-      
-      // Sort unprocessed places by closeness to the main path so we process the next-best candidates first
-      const sortedUnprocessed = unprocessedPlacesInCorridor
-        .map(place => {
-          const lat = place.geometry?.location?.lat;
-          const lng = place.geometry?.location?.lng;
-          if (!lat || !lng) return null;
-          const m = computeAlongRouteDistanceKm(lat, lng, mainPath);
-          return { place, off: m.offsetKm };
-        })
-        .filter(Boolean)
-        .sort((a,b)=>a.off-b.off)
-        .map(x=>x.place);
-
-      // Calculate detour routes for next 10 unprocessed places
-      const newOptions = [];
-      for (const place of sortedUnprocessed.slice(0, 10)) {
-        try {
-          const lat = place.geometry?.location?.lat;
-          const lng = place.geometry?.location?.lng;
-          if (!lat || !lng) continue;
-          
-          // IMPORTANT: Our backend expects 'waypoint' to be a place_id and will
-          // construct &waypoints=place_id:... when calling Google. Passing lat,lng
-          // here causes Google to ignore the stop and returns base time (0 added).
-          const routeUrl = `${API_BASE}/directions?origin=${position[0]},${position[1]}&destination=${destination[0]},${destination[1]}&waypoint=${place.place_id}`;
-          const res = await axios.get(routeUrl);
-          const route = res.data.routes?.[0];
-          if (!route) continue;
-          
-          const totalTime = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0);
-          const addedTime = Math.max(0, totalTime - baseRouteTimeSec);
-          newOptions.push({ place, totalTime, addedTime, route });
-          console.log(`⏱️ New route via "${place.name}" takes ${totalTime}s (+${addedTime}s)`);
-        } catch (error) {
-          console.error(`❌ Error fetching route via "${place.name}":`, error);
-        }
+      // Keep unprocessed places within the corridor, sorted by closeness to the main path so we
+      // process the next-best candidates first. Ranking runs in a worker so long routes don't
+      // stall the map. Places from a drawn area were already filtered and sorted by the server.
+      const CORRIDOR_KM = clampCorridorMiles(travelMode, corridorMiles) * KM_PER_MILE;
+      const sortedUnprocessed = isAreaComplete(searchedCorridor)
+        ? unprocessedPlaces
+        : (await rankPlacesAlongRoute(bestRouteCoords, unprocessedPlaces, CORRIDOR_KM)).map(x => x.place);
+      if (!isLatest()) return;
+
+      console.log(`🍕 Unprocessed places within corridor: ${sortedUnprocessed.length}/${unprocessedPlaces.length}`);
+
+      // Score the next 10 unprocessed places with one batched Distance Matrix request
+      const nextPlaces = sortedUnprocessed.slice(0, 10);
+      let newOptions = [];
+      if (nextPlaces.length > 0) {
+        const res = await axios.get(`${API_BASE}/matrix`, {
+          params: {
+            origin: `${position[0]},${position[1]}`,
+            destination: `${destination[0]},${destination[1]}`,
+            places: nextPlaces.map(p => p.place_id).join('|'),
+            baseline: baseRouteTimeSec,
+            typical_baseline: typicalBaseTimeSec,
+            mode: travelMode,
+            avoid: avoidParam,
+            ...departureParams,
+          },
+          signal,
+        });
+        if (!isLatest()) return;
+        const byId = new Map(nextPlaces.map(p => [p.place_id, p]));
+        newOptions = (res.data.results || []).map(({ place_id, ...scores }) => ({ place: byId.get(place_id), ...scores }));
       }
-      
+
       // Add new options to existing ones and sort by added time
-      const allOptions = [...detourOptions, ...newOptions]
-        .sort((a, b) => a.addedTime - b.addedTime || a.totalTime - b.totalTime);
-      
-      setDetourOptions(allOptions);
-      console.log(`✅ Added ${newOptions.length} new detour options. Total: ${allOptions.length}`);
+      setDetourOptions(prev => {
+        const seen = new Set(prev.map(opt => opt.place.place_id));
+        return [...prev, ...newOptions.filter(opt => !seen.has(opt.place.place_id))]
+          .sort((a, b) => a.addedTime - b.addedTime || a.totalTime - b.totalTime);
+      });
+      console.log(`✅ Added ${newOptions.length} new detour options`);
       
     } catch (error) {
-      console.error('❌ Failed to load more detour options:', error);
+      if (isLatest()) console.error('❌ Failed to load more detour options:', error);
     } finally {
       setLoadingMore(false);
     }
   };
 
-  // Distance helpers (WGS84 haversine + point-to-segment distance)
-  const toRadians = (deg) => (deg * Math.PI) / 180;
-  const haversineDistanceKm = (lat1, lon1, lat2, lon2) => {
-    const R = 6371; // km
-    const dLat = toRadians(lat2 - lat1);
-    const dLon = toRadians(lon2 - lon1);
-    const a =
-      Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-      Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
+  // Each search gets a generation ID and an AbortController. Starting another search, or Cancel,
+  // aborts its requests, and whatever it still tries to apply is dropped.
+  const beginSearch = () => {
+    searchAbortRef.current?.abort();
+    const controller = new AbortController();
+    searchAbortRef.current = controller;
+    const gen = ++searchGenRef.current;
+    return { signal: controller.signal, isLatest: () => gen === searchGenRef.current };
   };
 
-  // Approx distance from point to polyline (min distance to any segment)
-  const distanceFromPointToPolylineKm = (pointLat, pointLng, pathLatLngs) => {
-    if (!pathLatLngs || pathLatLngs.length < 2) return Infinity;
-    let minKm = Infinity;
-    for (let i = 0; i < pathLatLngs.length - 1; i++) {
-      const [lat1, lon1] = pathLatLngs[i];
-      const [lat2, lon2] = pathLatLngs[i + 1];
-
-      // Equirectangular projection for short segments (good enough locally)
-      const x1 = toRadians(lon1) * Math.cos(toRadians((lat1 + lat2) / 2));
-      const y1 = toRadians(lat1);
-      const x2 = toRadians(lon2) * Math.cos(toRadians((lat1 + lat2) / 2));
-      const y2 = toRadians(lat2);
-      const xp = toRadians(pointLng) * Math.cos(toRadians((lat1 + lat2) / 2));
-      const yp = toRadians(pointLat);
-
-      const dx = x2 - x1;
-      const dy = y2 - y1;
-      const segLen2 = dx * dx + dy * dy;
-      let t = 0;
-      if (segLen2 > 0) {
-        t = ((xp - x1) * dx + (yp - y1) * dy) / segLen2;
-        t = Math.max(0, Math.min(1, t));
-      }
-      const xProj = x1 + t * dx;
-      const yProj = y1 + t * dy;
-
-      // Convert projected radian-space distance back to km
-      // Use small-angle approximation by mapping back to lat/lon near segment
-      const approxLon = xProj / Math.cos(toRadians((lat1 + lat2) / 2)) * (180 / Math.PI);
-      const approxLat = yProj * (180 / Math.PI);
-      const km = haversineDistanceKm(pointLat, pointLng, approxLat, approxLon);
-      if (km < minKm) minKm = km;
-    }
-    return minKm;
+  // Stop the search in progress, keeping whatever it found so far
+  const cancelSearch = () => {
+    searchAbortRef.current?.abort();
+    searchGenRef.current++;
+    setLoadingDetours({ active: false, total: 0, done: 0, etaSec: null, label: '', found: 0 });
+    setSearchNotice('Search cancelled');
+    console.log('⏹️ Detour search cancelled');
   };
 
-  // Compute along-route distance (km) for the closest projection of a point onto the route
-  const computeAlongRouteDistanceKm = (pointLat, pointLng, pathLatLngs) => {
-    if (!pathLatLngs || pathLatLngs.length < 2) return { alongKm: 0, offsetKm: Infinity };
-    // Build prefix distances once per call; small path so okay to recompute here
-    const prefixKm = [0];
-    for (let i = 0; i < pathLatLngs.length - 1; i++) {
-      const [aLat, aLng] = pathLatLngs[i];
-      const [bLat, bLng] = pathLatLngs[i + 1];
-      prefixKm.push(prefixKm[i] + haversineDistanceKm(aLat, aLng, bLat, bLng));
+  // /api/detours query for a search to `dest` with the current settings
+  const detourParams = (dest, baseRoute, shape) => ({
+    origin: `${position[0]},${position[1]}`,
+    destination: `${dest[0]},${dest[1]}`,
+    mode: travelMode,
+    avoid: avoidParam,
+    ...departureParams,
+    alternatives: baseRoute.alternatives ? 'true' : undefined,
+    route: baseRoute.alternatives ? baseRoute.index : undefined,
+    corridor: clampCorridorMiles(travelMode, corridorMiles),
+    sampling: samplingBoost ? 'thorough' : 'fast',
+    keyword: cuisine,
+    minprice: minPrice,
+    maxprice: maxPrice,
+    ...mealWindowParams(mealWindow, departureDate()),
+    ...corridorParams(shape),
+  });
+
+  // Corridor search along the base route to `dest`. `baseRoute` selects one of the Directions
+  // alternatives the user picked (see chooseBaseRoute); by default Google's first route is used.
+  // `shape` narrows the search to a stretch of the route or a drawn area (see ./searchCorridor).
+  // Starting a search aborts the one in flight (see ./searchController).
+  const searchDetours = async (dest, baseRoute = { alternatives: false, index: 0 }, shape = corridorShape) => {
+    console.log('🚀 Starting detour search...');
+    console.log('📍 Current position:', position);
+    
+    if (!position) {
+      console.log('❌ Missing position:', { position });
+      return;
     }
+    lastSearchRef.current = { dest, baseRoute };
+    const { signal, isLatest } = beginSearch();
 
-    let best = { alongKm: 0, offsetKm: Infinity };
-    for (let i = 0; i < pathLatLngs.length - 1; i++) {
-      const [lat1, lon1] = pathLatLngs[i];
-      const [lat2, lon2] = pathLatLngs[i + 1];
-
-      const midLat = (lat1 + lat2) / 2;
-      const x1 = toRadians(lon1) * Math.cos(toRadians(midLat));
-      const y1 = toRadians(lat1);
-      const x2 = toRadians(lon2) * Math.cos(toRadians(midLat));
-      const y2 = toRadians(lat2);
-      const xp = toRadians(pointLng) * Math.cos(toRadians(midLat));
-      const yp = toRadians(pointLat);
-
-      const dx = x2 - x1;
-      const dy = y2 - y1;
-      const segLen2 = dx * dx + dy * dy;
-      let t = 0;
-      if (segLen2 > 0) {
-        t = ((xp - x1) * dx + (yp - y1) * dy) / segLen2;
-        t = Math.max(0, Math.min(1, t));
-      }
-      const xProj = x1 + t * dx;
-      const yProj = y1 + t * dy;
-      const approxLon = xProj / Math.cos(toRadians(midLat)) * (180 / Math.PI);
-      const approxLat = yProj * (180 / Math.PI);
-      const offsetKm = haversineDistanceKm(pointLat, pointLng, approxLat, approxLon);
-
-      if (offsetKm < best.offsetKm) {
-        const segKm = prefixKm[i + 1] - prefixKm[i];
-        const alongKm = prefixKm[i] + t * segKm;
-        best = { alongKm, offsetKm };
+    // Show loading immediately while the server computes the base route and gathers places
+    setLoadingDetours({ active: true, total: 0, done: 0, etaSec: null, label: 'Calculating route...', found: 0 });
+
+    // Reset prior results while we compute options
+    setPlaces([]);
+    setDetourOptions([]);
+    setSearchNotice(null);
+    setUnscoredCount(0);
+    setSearchedCorridor(shape);
+
+    // The whole pipeline (base route, sampling, corridor filter, scoring) runs in /api/detours;
+    // we just apply its streamed (or replayed) events so the sidebar fills in progressively.
+    const options = [];
+    let scoringStartTs = null;
+    let status = 'done';
+    try {
+      status = await searchRef.current.run(detourParams(dest, baseRoute, shape), (event) => {
+        if (!isLatest()) return;
+        switch (event.type) {
+          case 'route': {
+            // Immediately draw the base route polyline before restaurants come in
+            const baseLatLngs = polyline.decode(event.route.overview_polyline.points);
+            setBestRouteCoords(baseLatLngs);
+            setBaseRoute(event.route);
+            setBaseRouteTimeSec(event.baseTimeSec || 0);
+            setTypicalBaseTimeSec(event.typicalBaseTimeSec ?? event.baseTimeSec ?? 0);
+            setMealStretch(event.mealStretch || null);
+            console.log('🖊️ Drew base route polyline');
+            break;
+          }
+          case 'progress': {
+            if (event.phase === 'sampling') {
+              setLoadingDetours(prev => ({ ...prev, active: true, total: event.total, done: event.done, label: 'Finding restaurants along your route...', found: event.found }));
+            } else {
+              if (scoringStartTs === null) scoringStartTs = Date.now();
+              const elapsed = Math.max(0.001, (Date.now() - scoringStartTs) / 1000);
+              const etaSec = event.done > 0 ? Math.max(0, Math.round((elapsed / event.done) * (event.total - event.done))) : null;
+              setLoadingDetours(prev => ({ ...prev, active: true, total: event.total, done: event.done, etaSec, label: 'Scoring fastest detours...' }));
+            }
+            break;
+          }
+          case 'places': {
+            console.log(`🍕 Places within corridor: ${event.places.length}`);
+            setPlaces(event.places);
+            setAllPlaces(event.places);
+            setNextPageToken(event.nextPageToken);
+            break;
+          }
+          case 'option': {
+            // Stream update: refresh list with best-so-far
+            options.push(event.option);
+            const merged = [...options];
+            merged.sort((a, b) => a.addedTime - b.addedTime || a.totalTime - b.totalTime);
+            setDetourOptions(merged);
+            break;
+          }
+          case 'error': {
+            console.error('❌ Detour search error:', event.error);
+            setSearchNotice(event.error);
+            break;
+          }
+          case 'done': {
+            // The server scores at most 100 places per search; the rest wait for Load more
+            if (event.truncated) console.log(`✂️ Scoring capped, ${event.remaining} places left unscored`);
+            setUnscoredCount(event.remaining || 0);
+            break;
+          }
+          default:
+            break;
+        }
+      }, { signal });
+    } catch (err) {
+      if (isLatest()) console.error('❌ Detour search failed:', err?.data || err);
+    }
+    // A newer search (or Cancel) took over; it owns the results and the loading overlay now
+    if (status === 'aborted' || !isLatest()) {
+      console.log('⏹️ Detour search superseded');
+      return;
+    }
+
+    options.sort((a, b) => a.addedTime - b.addedTime || a.totalTime - b.totalTime);
+    setDetourOptions(options);
+    console.log('✅ Detour options ready:', options.length);
+
+    // Hide loading overlay
+    setLoadingDetours({ active: false, total: 0, done: 0, etaSec: null, label: '' });
+
+    // Draw best route (top option); only its full route is fetched
+    if (options.length > 0) {
+      console.log('🎯 Drawing best route');
+      try {
+        const best = await withRoute(options[0], position, dest, { signal });
+        if (!isLatest()) return;
+        if (best.route) {
+          const decoded = polyline.decode(best.route.overview_polyline.points);
+          const latLngs = decoded.map(([lat, lng]) => [lat, lng]);
+          setBestRouteCoords(latLngs);
+          console.log('✅ Route coordinates set:', latLngs.length, 'points');
+        }
+      } catch (err) {
+        if (isLatest()) console.error('❌ Failed to fetch best route:', err);
       }
+    } else {
+      console.log('❌ No best route found');
+    }
+  };
+
+  // Fetch Google's alternative routes to `dest` and let the user pick one to search along.
+  // With a single route there is nothing to choose, so the search starts right away.
+  const chooseBaseRoute = async (dest, shape = corridorShape) => {
+    if (!position) return;
+    const { signal, isLatest } = beginSearch();
+    setLoadingDetours({ active: true, total: 0, done: 0, etaSec: null, label: 'Finding route options...', found: 0 });
+    let routes = [];
+    try {
+      const res = await axios.get(`${API_BASE}/directions`, {
+        params: {
+          origin: `${position[0]},${position[1]}`,
+          destination: `${dest[0]},${dest[1]}`,
+          mode: travelMode,
+          avoid: avoidParam,
+          alternatives: 'true',
+          ...departureParams,
+        },
+        signal,
+      });
+      routes = res.data.routes || [];
+    } catch (err) {
+      if (isLatest()) console.warn('Failed to fetch route alternatives:', err);
+    }
+    if (!isLatest()) return;
+    setLoadingDetours({ active: false, total: 0, done: 0, etaSec: null, label: '' });
+    if (routes.length > 1) {
+      setPlaces([]);
+      setDetourOptions([]);
+      setRouteChoices({ dest, routes });
+      setBestRouteCoords(polyline.decode(routes[0].overview_polyline.points));
+      return;
     }
-    return best;
+    searchDetours(dest, { alternatives: routes.length === 1, index: 0 }, shape);
   };
 
   useEffect(() => {
@@ -379,228 +795,66 @@ function App() {
     }
   }, []);
 
-  // Google Places Autocomplete effect
-  useEffect(() => {
-    if (!window.google || !inputRef.current) return; // wait for Google Maps API to load
+  // A destination picked in the search box starts a new search. Kept in a ref so the Autocomplete
+  // listener, registered once, always runs the latest settings.
+  const onDestinationPickedRef = useRef(null);
+  onDestinationPickedRef.current = (place) => {
+    const loc = place.geometry?.location;
+    console.log('🔍 Place selected:', place);
+    console.log('📍 Location:', loc);
 
-    // Initialize the autocomplete after Google Maps is loaded
-    autocompleteRef.current = new window.google.maps.places.Autocomplete(inputRef.current, {
-      types: ['geocode'],
-    });
+    if (loc) {
+      setDestination([loc.lat(), loc.lng()]);
+      setDestinationQuery(place.formatted_address || '');
+      console.log('✅ Destination set to:', [loc.lat(), loc.lng()]);
 
-    autocompleteRef.current.addListener('place_changed', () => {
-      const place = autocompleteRef.current.getPlace();
-      const loc = place.geometry?.location;
-      console.log('🔍 Place selected:', place);
-      console.log('📍 Location:', loc);
-      
-      if (loc) {
-        setDestination([loc.lat(), loc.lng()]);
-        setDestinationQuery(place.formatted_address || '');
-        console.log('✅ Destination set to:', [loc.lat(), loc.lng()]);
-
-        (async () => {
-          console.log('🚀 Starting route calculation...');
-          console.log('📍 Current position:', position);
-          
-          if (!position) {
-            console.log('❌ Missing position:', { position });
-            return;
-          }
-
-          // Show loading immediately while we compute base route and gather places
-          setLoadingDetours({ active: true, total: 0, done: 0, etaSec: null, label: 'Calculating route...', found: 0 });
-
-          // Step 1: Get base route
-          const mainRouteUrl = `${API_BASE}/directions?origin=${position[0]},${position[1]}&destination=${loc.lat()},${loc.lng()}`;
-          console.log('🛣️ Fetching base route:', mainRouteUrl);
-          let mainRoute;
-          let baseTimeSec = 0; // baseline (direct) route duration in seconds
-          try {
-            const mainRouteRes = await axios.get(mainRouteUrl);
-            console.log('✅ Base route response:', mainRouteRes.data);
-            mainRoute = mainRouteRes.data.routes[0];
-            console.log('📊 Main route:', mainRoute);
-            // Immediately draw the base route polyline before searching restaurants
-            if (mainRoute?.overview_polyline?.points) {
-              const baseDecoded = polyline.decode(mainRoute.overview_polyline.points);
-              const baseLatLngs = baseDecoded.map(([lat, lng]) => [lat, lng]);
-              setBestRouteCoords(baseLatLngs);
-              console.log('🖊️ Drew base route polyline');
-            }
-            // Compute base route time (seconds)
-            baseTimeSec = (mainRoute?.legs || []).reduce((sum, l) => sum + (l.duration?.value || 0), 0);
-            setBaseRouteTimeSec(baseTimeSec);
-          } catch (err) {
-            console.error("❌ Failed to fetch base route:", err);
-            // Hide loading overlay on error
-            setLoadingDetours({ active: false, total: 0, done: 0, etaSec: null, label: '', found: 0 });
-            return;
-          }
-
-          // Step 2: Decode main route polyline
-          const mainPath = polyline.decode(mainRoute.overview_polyline.points); // [[lat, lng], ...]
-          console.log('🗺️ Decoded main path points:', mainPath.length);
-          const CORRIDOR_MILES = Math.max(1, Math.min(6, Number(corridorMiles) || 1));
-          const CORRIDOR_KM = CORRIDOR_MILES * 1.60934;
-
-          // Reset prior results while we compute options
-          setPlaces([]);
-          setDetourOptions([]);
-
-          // Step 3: Sample along the route and fetch places near those samples
-          // Adaptive sampling: if corridor is tight (1 mile) and boost is off, sample sparser for speed
-          const sampleEveryKm = samplingBoost ? 5 : ((Math.max(1, Math.min(6, Number(corridorMiles) || 1)) === 1) ? 9 : 5);
-          const sampledCoords = [];
-          let accumulatedKm = 0;
-          for (let i = 0; i < mainPath.length - 1; i++) {
-            const [aLat, aLng] = mainPath[i];
-            const [bLat, bLng] = mainPath[i + 1];
-            const segKm = haversineDistanceKm(aLat, aLng, bLat, bLng);
-            accumulatedKm += segKm;
-            if (accumulatedKm >= sampleEveryKm || i === 0) {
-              sampledCoords.push([aLat, aLng]);
-              accumulatedKm = 0;
-            }
-          }
-          sampledCoords.push(mainPath[mainPath.length - 1]);
-          console.log('📍 Sample points along route:', sampledCoords.length);
-
-          // Fetch places per sample point (radius ~ 4.8km = 3mi)
-          const dedupeMap = new Map();
-          let firstPageToken = null;
-          // Initialize loading for sampling phase
-          setLoadingDetours(prev => ({ ...prev, active: true, total: sampledCoords.length, done: 0, label: 'Finding restaurants along your route...', found: 0 }));
-          for (const [sLat, sLng] of sampledCoords) {
-            // Prefer rankby=distance to get places nearest to the path sample without sticking to a static radius
-            const parts = [
-              `lat=${sLat}`,
-              `lng=${sLng}`,
-              `rankby=distance`,
-              `type=restaurant`
-            ];
-            if (cuisine) parts.push(`keyword=${encodeURIComponent(cuisine)}`);
-            if (minPrice !== '') parts.push(`minprice=${minPrice}`);
-            if (maxPrice !== '') parts.push(`maxprice=${maxPrice}`);
-            const url = `${API_BASE}/places?${parts.join('&')}`;
-            console.log('🍕 Fetching places near sample:', url);
-            try {
-              const resp = await axios.get(url);
-              const results = resp.data.results || [];
-              for (const p of results) {
-                if (!dedupeMap.has(p.place_id)) dedupeMap.set(p.place_id, p);
-              }
-              // Store the nextPageToken from the first successful request
-              if (!firstPageToken && resp.data.next_page_token) {
-                firstPageToken = resp.data.next_page_token;
-              }
-              console.log(`🍕 Added ${results.length}, unique so far: ${dedupeMap.size}`);
-            } catch (e) {
-              console.error('❌ Sample places fetch failed:', e?.response?.status, e?.response?.data || e);
-            }
-            // Update progress for sampling
-            setLoadingDetours(prev => {
-              const done = Math.min((prev.done || 0) + 1, prev.total || sampledCoords.length);
-              return { ...prev, done, found: dedupeMap.size };
-            });
-          }
+      // A stretch or area picked for the old destination doesn't apply to the new one
+      setCorridorShape(WHOLE_ROUTE);
+      setDrawingArea(null);
+      if (offerAlternatives) {
+        chooseBaseRoute([loc.lat(), loc.lng()], WHOLE_ROUTE);
+      } else {
+        searchDetours([loc.lat(), loc.lng()], undefined, WHOLE_ROUTE);
+      }
+    }
+  };
 
-          const sampledPlaces = Array.from(dedupeMap.values());
-          console.log('🍕 Total unique places from samples:', sampledPlaces.length);
-
-          // Step 4: Filter to 3-mile corridor distance to the actual path
-          console.log('🔍 Filtering places within 3-mile corridor...');
-          const onRouteFoodPlaces = sampledPlaces.filter((place) => {
-            const lat = place.geometry?.location?.lat;
-            const lng = place.geometry?.location?.lng;
-            if (!lat || !lng) return false;
-            const distanceKm = distanceFromPointToPolylineKm(lat, lng, mainPath);
-            return distanceKm <= CORRIDOR_KM;
-          });
-          console.log(`🍕 Places within corridor: ${onRouteFoodPlaces.length}/${sampledPlaces.length}`);
-          setPlaces(onRouteFoodPlaces);
-          setAllPlaces(onRouteFoodPlaces);
-          setNextPageToken(firstPageToken);
-          console.log('✅ Set corridor places to state');
-
-          // Step 4: Determine fastest detour routes via corridor places
-          console.log('⏱️ Finding fastest detour routes...');
-          const MAX_DETOURS = 30; // cap to reduce API calls
-          // Prioritize by minimal offset to the main path (closest to route likely smaller detour)
-          let candidates = onRouteFoodPlaces
-            .map(p => {
-              const lat = p.geometry?.location?.lat; const lng = p.geometry?.location?.lng;
-              if (!lat || !lng) return null;
-              const m = computeAlongRouteDistanceKm(lat, lng, mainPath);
-              return { p, off: m.offsetKm };
-            })
-            .filter(Boolean)
-            .sort((a,b)=>a.off-b.off)
-            .slice(0, MAX_DETOURS)
-            .map(x=>x.p);
-          const options = [];
-
-          // Initialize detour routing phase (keep found count, switch label; total now candidates length)
-          const startTs = Date.now();
-          setLoadingDetours(prev => ({ active: true, total: candidates.length, done: 0, etaSec: null, label: 'Scoring fastest detours...', found: prev.found || 0 }));
-
-          // Concurrency: stream results in batches so UI updates immediately
-          const CONCURRENCY = 5;
-          const fetchOption = async (place) => {
-            const url = `${API_BASE}/directions?origin=${position[0]},${position[1]}&destination=${loc.lat()},${loc.lng()}&waypoint=${place.place_id}`;
-            console.log(`🛣️ Checking route via "${place.name}":`, url);
-            try {
-              const res = await axios.get(url);
-              const route = res.data.routes?.[0];
-              if (!route) return;
-              const totalTime = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0);
-              const addedTime = Math.max(0, totalTime - (baseTimeSec || 0));
-              options.push({ place, totalTime, addedTime, route });
-              // Stream update: refresh list with best-so-far
-              setDetourOptions(prev => {
-                const merged = [...options];
-                merged.sort((a, b) => a.addedTime - b.addedTime || a.totalTime - b.totalTime);
-                return merged;
-              });
-            } catch (error) {
-              console.error(`❌ Error fetching route via "${place.name}":`, error);
-            } finally {
-              setLoadingDetours(prev => {
-                const done = Math.min((prev.done || 0) + 1, prev.total || candidates.length);
-                const elapsed = Math.max(0.001, (Date.now() - startTs) / 1000);
-                const avg = elapsed / done;
-                const remaining = Math.max(0, Math.round(avg * ((prev.total || candidates.length) - done)));
-                return { ...prev, done, etaSec: remaining };
-              });
-            }
-          };
+  // Google Places Autocomplete, set up once the Maps script has loaded
+  useEffect(() => {
+    let unmounted = false;
+    loadGoogleMaps()
+      .then((google) => {
+        if (unmounted || autocompleteRef.current || !inputRef.current) return;
+        autocompleteRef.current = new google.maps.places.Autocomplete(inputRef.current, {
+          types: ['geocode'],
+        });
+        autocompleteRef.current.addListener('place_changed', () => {
+          onDestinationPickedRef.current(autocompleteRef.current.getPlace());
+        });
+      })
+      .catch((err) => console.warn('Destination search unavailable:', err.message));
+    return () => {
+      unmounted = true;
+    };
+  }, []);
 
-          for (let i = 0; i < candidates.length; i += CONCURRENCY) {
-            const batch = candidates.slice(i, i + CONCURRENCY);
-            await Promise.all(batch.map(fetchOption));
-          }
+  // Re-run the last search when the corridor width, sampling density, fetch-time filters or
+  // search area change. Debounced so dragging a slider searches once; the search controller
+  // aborts the run in flight and reuses results that still apply. The check runs through a ref
+  // when the timer fires, so it sees the current navigation and trip state.
+  const rerunSearchRef = useRef(null);
+  rerunSearchRef.current = () => {
+    const last = lastSearchRef.current;
+    if (!last || !position || navigation || (confirmRoute && !addingStop) || drawingArea) return;
+    if (searchRef.current.isCurrent(detourParams(last.dest, last.baseRoute, corridorShape))) return;
+    searchDetours(last.dest, last.baseRoute);
+  };
+  useEffect(() => {
+    const timer = setTimeout(() => rerunSearchRef.current(), RERUN_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [corridorMiles, samplingBoost, cuisine, minPrice, maxPrice, corridorShape, drawingArea]);
 
-          options.sort((a, b) => a.addedTime - b.addedTime || a.totalTime - b.totalTime);
-          setDetourOptions(options);
-          console.log('✅ Detour options ready:', options.length);
-
-          // Hide loading overlay
-          setLoadingDetours({ active: false, total: 0, done: 0, etaSec: null, label: '' });
-
-          // Step 5: Draw best route (top option)
-          if (options.length > 0) {
-            console.log('🎯 Drawing best route');
-            const decoded = polyline.decode(options[0].route.overview_polyline.points);
-            const latLngs = decoded.map(([lat, lng]) => [lat, lng]);
-            setBestRouteCoords(latLngs);
-            console.log('✅ Route coordinates set:', latLngs.length, 'points');
-          } else {
-            console.log('❌ No best route found');
-          }
-        })();
-      }
-    });
-  }, [position, places, cuisine, minPrice, maxPrice, corridorMiles, samplingBoost]);
+  const MapView = mapEngine === 'mapbox' ? MapboxMap : GoogleMap;
 
   return (
     <div style={{ height: '100vh', width: '100vw', display: 'flex' }}>
@@ -629,6 +883,12 @@ function App() {
           <div style={{ marginTop: 4, fontFamily: 'DM Sans, sans-serif', color: '#555', fontSize: 12 }}>
             {loadingDetours.done}/{loadingDetours.total}{loadingDetours.etaSec != null ? ` · ETA ~${Math.max(1, loadingDetours.etaSec)}s` : ''}
           </div>
+          <button
+            onClick={cancelSearch}
+            style={{ marginTop: 12, padding: '6px 14px', background: 'white', color: '#e11d48', border: '1px solid #e11d48', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600, pointerEvents: 'auto' }}
+          >
+            Cancel
+          </button>
         </div>
       )}
       <div className="fancy-search">
@@ -700,19 +960,281 @@ function App() {
           fontFamily: 'DM Sans, sans-serif'
         }}>
           <div style={{ fontSize: '14px', fontWeight: '600', color: '#333', marginBottom: '4px' }}>
-            🚗 Baseline Route
+            {TRAVEL_MODES[travelMode].icon} Baseline Route
           </div>
           <div style={{ fontSize: '18px', fontWeight: 'bold', color: '#0a7' }}>
             {Math.round(baseRouteTimeSec / 60)} minutes
           </div>
+          {Math.round(typicalBaseTimeSec / 60) !== Math.round(baseRouteTimeSec / 60) && (
+            <div style={{ fontSize: '12px', color: '#b45309' }}>
+              With traffic · typically {Math.round(typicalBaseTimeSec / 60)} minutes
+            </div>
+          )}
           <div style={{ fontSize: '12px', color: '#666' }}>
             Direct route (no stops)
           </div>
         </div>
       )}
 
+      {/* When Panel - departure time, meal window and search area, used by the next search */}
+      {!navigation && (
+        <div style={{
+          position: 'absolute',
+          bottom: '20px',
+          right: '20px',
+          backgroundColor: 'white',
+          padding: '12px',
+          borderRadius: '8px',
+          boxShadow: '0 2px 8px rgba(0,0,0,0.1)',
+          display: 'flex',
+          flexDirection: 'column',
+          gap: '8px',
+          width: '280px',
+          zIndex: 1000,
+          fontFamily: 'DM Sans, sans-serif'
+        }}>
+          <div style={{ display: 'flex', gap: '4px' }}>
+            {Object.entries(TRAVEL_MODES).map(([mode, m]) => (
+              <button
+                key={mode}
+                onClick={() => {
+                  setTravelMode(mode);
+                  setCorridorMiles(m.corridorMiles.default);
+                }}
+                style={{ flex: 1, padding: '6px 4px', background: travelMode === mode ? '#0ea5e9' : '#e5e7eb', color: travelMode === mode ? 'white' : '#111827', border: 'none', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}
+              >
+                {m.icon} {m.label}
+              </button>
+            ))}
+          </div>
+
+          {travelMode !== 'transit' && (
+            <div style={{ display: 'flex', gap: '10px', alignItems: 'center', fontSize: '12px', color: '#444' }}>
+              <span style={{ color: '#666', minWidth: '40px' }}>Avoid:</span>
+              {Object.keys(avoid).map(feature => (
+                <label key={feature} style={{ display: 'flex', gap: '4px', alignItems: 'center' }}>
+                  <input type="checkbox" checked={avoid[feature]} onChange={(e)=>setAvoid(a => ({ ...a, [feature]: e.target.checked }))} />
+                  {feature}
+                </label>
+              ))}
+            </div>
+          )}
+
+          <label style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '12px', color: '#444' }}>
+            <input type="checkbox" checked={offerAlternatives} onChange={(e)=>setOfferAlternatives(e.target.checked)} />
+            Let me pick the route before searching
+          </label>
+
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <span style={{ fontSize: '12px', color: '#666', minWidth: '40px' }}>Leave:</span>
+            <input
+              type="datetime-local"
+              value={departureTime}
+              onChange={(e)=>setDepartureTime(e.target.value)}
+              style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1, minWidth: 0 }}
+            />
+            <button
+              onClick={() => setDepartureTime('')}
+              disabled={!departureTime}
+              style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', background: departureTime ? 'white' : '#f3f4f6', cursor: departureTime ? 'pointer' : 'default', fontSize: '12px' }}
+            >
+              Now
+            </button>
+          </div>
+
+          {travelMode === 'driving' && (
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <span style={{ fontSize: '12px', color: '#666', minWidth: '40px' }}>Traffic:</span>
+              <select
+                value={trafficModel}
+                onChange={(e)=>setTrafficModel(e.target.value)}
+                style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1 }}
+              >
+                <option value="">Typical times</option>
+                <option value="best_guess">Best guess</option>
+                <option value="pessimistic">Pessimistic</option>
+                <option value="optimistic">Optimistic</option>
+              </select>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <span style={{ fontSize: '12px', color: '#666', minWidth: '40px' }}>GPS:</span>
+            <select
+              value={locationSource.kind}
+              onChange={(e)=>setLocationSource(s => ({ ...s, kind: e.target.value }))}
+              style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1 }}
+            >
+              {Object.entries(LOCATION_SOURCES).map(([kind, label]) => (
+                <option key={kind} value={kind}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {locationSource.kind === 'route' && (
+            <label style={{ display: 'flex', gap: '8px', alignItems: 'center', fontSize: '12px', color: '#444' }}>
+              Speed
+              <input
+                type="range"
+                min={5}
+                max={200}
+                step={5}
+                value={locationSource.speedKmh}
+                onChange={(e)=>setLocationSource(s => ({ ...s, speedKmh: Number(e.target.value) }))}
+                style={{ flex: 1 }}
+              />
+              <span style={{ minWidth: '52px', textAlign: 'right' }}>{locationSource.speedKmh} km/h</span>
+            </label>
+          )}
+
+          {locationSource.kind === 'track' && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '6px', fontSize: '12px', color: '#444' }}>
+              <input type="file" accept=".gpx,.json,.geojson" onChange={(e)=>loadTrackFile(e.target.files?.[0])} />
+              <label style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                Playback
+                <select
+                  value={locationSource.rate}
+                  onChange={(e)=>setLocationSource(s => ({ ...s, rate: Number(e.target.value) }))}
+                  style={{ padding: '4px 6px', border: '1px solid #ddd', borderRadius: '6px' }}
+                >
+                  {[1, 2, 4, 10, 30].map(r => <option key={r} value={r}>{r}×</option>)}
+                </select>
+              </label>
+              {locationSource.track?.length > 0 && (
+                <span style={{ color: '#555' }}>{locationSource.trackName}: {locationSource.track.length} points</span>
+              )}
+              {locationSource.trackError && (
+                <span style={{ color: '#e11d48', fontWeight: 600 }}>{locationSource.trackError}</span>
+              )}
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <span style={{ fontSize: '12px', color: '#666', minWidth: '40px' }}>Eat:</span>
+            <select
+              value={mealWindow.mode}
+              onChange={(e)=>setMealWindow({ mode: e.target.value, from: '', to: '' })}
+              style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1 }}
+            >
+              <option value="off">Anywhere along the route</option>
+              <option value="clock">Between clock times</option>
+              <option value="drive">Hours into the drive</option>
+            </select>
+          </div>
+
+          {mealWindow.mode !== 'off' && (
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <input
+                type={mealWindow.mode === 'clock' ? 'time' : 'number'}
+                min={0}
+                step={mealWindow.mode === 'clock' ? 300 : 0.5}
+                placeholder="from (h)"
+                value={mealWindow.from}
+                onChange={(e)=>setMealWindow(w => ({ ...w, from: e.target.value }))}
+                style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1, minWidth: 0 }}
+              />
+              <span style={{ color: '#999', fontSize: '12px' }}>to</span>
+              <input
+                type={mealWindow.mode === 'clock' ? 'time' : 'number'}
+                min={0}
+                step={mealWindow.mode === 'clock' ? 300 : 0.5}
+                placeholder="to (h)"
+                value={mealWindow.to}
+                onChange={(e)=>setMealWindow(w => ({ ...w, to: e.target.value }))}
+                style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1, minWidth: 0 }}
+              />
+            </div>
+          )}
+
+          <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+            <span style={{ fontSize: '12px', color: '#666', minWidth: '40px' }}>Search:</span>
+            <select
+              value={corridorShape.kind}
+              onChange={(e)=>pickCorridorShape(e.target.value)}
+              style={{ padding: '6px 8px', border: '1px solid #ddd', borderRadius: '6px', flex: 1 }}
+            >
+              {Object.entries(CORRIDOR_SHAPES).map(([kind, label]) => (
+                <option key={kind} value={kind} disabled={kind === 'stretch' && baseRouteKm === 0}>{label}</option>
+              ))}
+            </select>
+          </div>
+
+          {corridorShape.kind === 'stretch' && (
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '4px', fontSize: '12px', color: '#444' }}>
+              {['start', 'end'].map(end => (
+                <label key={end} style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                  <span style={{ minWidth: '34px' }}>{end === 'start' ? 'From' : 'To'}</span>
+                  <input
+                    type="range"
+                    min={0}
+                    max={Math.ceil(baseRouteKm / KM_PER_MILE)}
+                    step={1}
+                    value={Math.round((end === 'start' ? corridorShape.startKm : corridorShape.endKm) / KM_PER_MILE)}
+                    onChange={(e)=>setStretchMiles(end, Math.min(baseRouteKm / KM_PER_MILE, Number(e.target.value)))}
+                    style={{ flex: 1 }}
+                  />
+                  <span style={{ minWidth: '52px', textAlign: 'right' }}>
+                    mi {Math.round((end === 'start' ? corridorShape.startKm : corridorShape.endKm) / KM_PER_MILE)}
+                  </span>
+                </label>
+              ))}
+              <span style={{ fontSize: '11px', color: '#777' }}>or drag the handles on the map</span>
+            </div>
+          )}
+
+          {corridorShape.kind === 'area' && (
+            <div style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '12px', color: '#444' }}>
+              {drawingArea ? (
+                <>
+                  <span style={{ flex: 1 }}>Click the map to add corners ({drawingArea.length})</span>
+                  <button
+                    onClick={() => {
+                      setCorridorShape({ kind: 'area', points: drawingArea });
+                      setDrawingArea(null);
+                    }}
+                    disabled={drawingArea.length < 3}
+                    style={{ padding: '4px 8px', background: drawingArea.length >= 3 ? '#0ea5e9' : '#e5e7eb', color: drawingArea.length >= 3 ? 'white' : '#9ca3af', border: 'none', borderRadius: 6, cursor: drawingArea.length >= 3 ? 'pointer' : 'default', fontSize: 12, fontWeight: 600 }}
+                  >
+                    Done
+                  </button>
+                  <button
+                    onClick={() => {
+                      setDrawingArea(null);
+                      if (!isAreaComplete(corridorShape)) setCorridorShape(WHOLE_ROUTE);
+                    }}
+                    style={{ padding: '4px 8px', border: '1px solid #ddd', borderRadius: 6, background: 'white', cursor: 'pointer', fontSize: 12 }}
+                  >
+                    Cancel
+                  </button>
+                </>
+              ) : (
+                <>
+                  <span style={{ flex: 1 }}>Searching inside a {corridorShape.points.length}-corner area</span>
+                  <button
+                    onClick={() => setDrawingArea([])}
+                    style={{ padding: '4px 8px', border: '1px solid #ddd', borderRadius: 6, background: 'white', cursor: 'pointer', fontSize: 12 }}
+                  >
+                    Redraw
+                  </button>
+                </>
+              )}
+            </div>
+          )}
+
+          {mealStretch && (
+            <div style={{ fontSize: '11px', color: '#555' }}>
+              🍽️ Searched the stretch driven {Math.round(mealStretch.fromSec / 60)}–{Math.round(mealStretch.toSec / 60)} min in
+              (mi {Math.round(mealStretch.startKm / KM_PER_MILE)}–{Math.round(mealStretch.endKm / KM_PER_MILE)})
+            </div>
+          )}
+          {searchNotice && (
+            <div style={{ fontSize: '11px', color: '#e11d48', fontWeight: 600 }}>{searchNotice}</div>
+          )}
+        </div>
+      )}
+
       {/* Filter Panel - Only shows after search results */}
-      {(!confirmRoute && !navigation) && detourOptions && detourOptions.length > 0 && (
+      {(!confirmRoute || addingStop) && !navigation && detourOptions && detourOptions.length > 0 && (
         <div style={{ 
           position: 'absolute', 
           top: '20px', 
@@ -736,9 +1258,9 @@ function App() {
             <span style={{ fontSize: '12px', color: '#666', minWidth: 80 }}>Search width</span>
             <input
               type="range"
-              min={1}
-              max={6}
-              step={1}
+              min={TRAVEL_MODES[travelMode].corridorMiles.min}
+              max={TRAVEL_MODES[travelMode].corridorMiles.max}
+              step={TRAVEL_MODES[travelMode].corridorMiles.step}
               value={corridorMiles}
               onChange={(e)=>setCorridorMiles(Number(e.target.value))}
               style={{ flex: 1 }}
@@ -752,7 +1274,9 @@ function App() {
               onClick={()=>setSamplingBoost(v=>!v)}
               style={{ padding: '6px 10px', background: samplingBoost ? '#0ea5e9' : '#e5e7eb', color: samplingBoost ? 'white' : '#111827', border: 'none', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}
             >
-              {samplingBoost ? 'Thorough (5 km)' : 'Fast (9/5 km)'}
+              {samplingBoost
+                ? `Thorough (${TRAVEL_MODES[travelMode].sampleEveryKm.dense} km)`
+                : `Fast (${TRAVEL_MODES[travelMode].sampleEveryKm.sparse}/${TRAVEL_MODES[travelMode].sampleEveryKm.dense} km)`}
             </button>
             <span style={{ fontSize: '11px', color: '#777' }}>
               {samplingBoost ? 'Higher coverage' : 'Faster load'}
@@ -810,6 +1334,11 @@ function App() {
             </select>
           </div>
           
+          <label style={{ display: 'flex', gap: '6px', alignItems: 'center', fontSize: '12px', color: '#444' }}>
+            <input type="checkbox" checked={hideClosed} onChange={(e)=>setHideClosed(e.target.checked)} />
+            Hide places closed on arrival
+          </label>
+          
           <div style={{ fontSize: '11px', color: '#777', fontStyle: 'italic' }}>
             Filtering {detourOptions.length} found restaurants
           </div>
@@ -819,28 +1348,75 @@ function App() {
       {/* Animated Sidebar */}
       <div 
         style={{ 
-          width: (navigation || confirmRoute || detourOptions.length > 0) ? '360px' : '0px',
+          width: (navigation || confirmRoute || routeChoices || detourOptions.length > 0) ? '360px' : '0px',
           maxWidth: '40vw', 
           borderRight: '1px solid #eee', 
-          padding: (navigation || confirmRoute || detourOptions.length > 0) ? '12px' : '0px',
+          padding: (navigation || confirmRoute || routeChoices || detourOptions.length > 0) ? '12px' : '0px',
           overflowY: 'auto',
           transition: 'all 0.5s cubic-bezier(0.4, 0, 0.2, 1)',
-          transform: (navigation || confirmRoute || detourOptions.length > 0) ? 'translateX(0)' : 'translateX(-100%)',
-          opacity: (navigation || confirmRoute || detourOptions.length > 0) ? 1 : 0,
+          transform: (navigation || confirmRoute || routeChoices || detourOptions.length > 0) ? 'translateX(0)' : 'translateX(-100%)',
+          opacity: (navigation || confirmRoute || routeChoices || detourOptions.length > 0) ? 1 : 0,
           whiteSpace: 'nowrap'
         }}
       >
         {navigation ? (
           <div style={{ whiteSpace: 'normal' }}>
-            <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '8px' }}>Navigation</div>
+            <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '8px' }}>
+              Navigation
+              {(locationSource.kind === 'route' || (locationSource.kind === 'track' && locationSource.track?.length > 0)) && (
+                <span style={{ marginLeft: '8px', padding: '2px 6px', background: '#ede9fe', color: '#5b21b6', borderRadius: '6px', fontSize: '11px', fontWeight: 600 }}>
+                  {locationSource.kind === 'route' ? `Simulated · ${locationSource.speedKmh} km/h` : `Track playback · ${locationSource.rate}×`}
+                </span>
+              )}
+            </div>
+            {(navigation.offRoute || navigation.rerouting) && (
+              <div style={{ padding: '8px 10px', marginBottom: '8px', background: '#fef3c7', color: '#92400e', borderRadius: '8px', fontSize: '13px', fontWeight: 600 }}>
+                {navigation.rerouting ? '🔀 Rerouting…' : '⚠️ Off route'}
+              </div>
+            )}
             {(() => {
               const idx = navigation.current || 0;
               const step = navigation.steps[idx];
-              const remainingSec = navigation.steps.slice(idx).reduce((s, st) => s + (st.durationSec || 0), 0);
+              const remainingSec = navProgress
+                ? navProgress.remainingSec
+                : navigation.steps.slice(idx).reduce((s, st) => s + (st.durationSec || 0), 0);
+              const [next, then] = upcomingManeuvers(navigation, 2);
+              const describe = (item) => {
+                if (item.type === 'step') return `${stepIcon(item.step)} ${item.step.instruction}`;
+                return item.type === 'stop' ? `🍽️ Arriving at ${item.name}` : '🏁 Arriving at your destination';
+              };
+              const arrivalClock = new Date(Date.now() + remainingSec * 1000).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
               return (
                 <div style={{ padding: '12px', background: '#f8f9fa', border: '1px solid #e9ecef', borderRadius: '8px', marginBottom: '12px' }}>
-                  <div style={{ fontSize: '16px', fontWeight: 600, marginBottom: '6px' }}>{step ? step.instruction : 'Arrived'}</div>
-                  <div style={{ color: '#0a7', fontSize: '14px', fontWeight: 600 }}>ETA: {Math.max(1, Math.round(remainingSec/60))} min</div>
+                  <div style={{ display: 'flex', gap: '10px', alignItems: 'center', fontSize: '16px', fontWeight: 600, marginBottom: '6px' }}>
+                    {step && <span style={{ fontSize: '26px', lineHeight: 1, minWidth: '28px', textAlign: 'center' }}>{stepIcon(step)}</span>}
+                    <span>{step ? step.instruction : 'Arrived'}</span>
+                  </div>
+                  {next && navProgress && (
+                    <div style={{
+                      color: next.type === 'step' ? '#333' : '#9a3412',
+                      background: next.type === 'step' ? 'transparent' : '#ffedd5',
+                      padding: next.type === 'step' ? 0 : '6px 8px',
+                      borderRadius: '6px',
+                      fontSize: '13px',
+                      fontWeight: next.type === 'step' ? 400 : 600,
+                      marginBottom: '6px'
+                    }}>
+                      In {formatDistance(navProgress.metersToManeuver, voicePrefs.units)}: {describe(next)}
+                    </div>
+                  )}
+                  {then && (
+                    <div style={{ color: '#777', fontSize: '12px', marginBottom: '6px' }}>Then: {describe(then)}</div>
+                  )}
+                  <div style={{ color: '#0a7', fontSize: '14px', fontWeight: 600 }}>
+                    Arrive {arrivalClock} · {Math.max(1, Math.round(remainingSec/60))} min
+                    {navProgress && ` · ${formatDistance(navProgress.remainingMeters, voicePrefs.units)}`}
+                  </div>
+                  {Number.isFinite(observedMps) && (
+                    <div style={{ color: '#666', fontSize: '12px', marginTop: '4px' }}>
+                      {voicePrefs.units === 'km' ? `${Math.round(observedMps * 3.6)} km/h` : `${Math.round(observedMps * 2.23694)} mph`}
+                    </div>
+                  )}
                   <div style={{ color: '#666', fontSize: '12px', marginTop: '6px' }}>Step {Math.min(idx+1, navigation.steps.length)} of {navigation.steps.length}</div>
                 </div>
               );
@@ -859,74 +1435,181 @@ function App() {
                 Skip step
               </button>
             </div>
+            <div style={{ marginTop: '12px', padding: '10px', background: '#f8f9fa', border: '1px solid #e9ecef', borderRadius: '8px', display: 'flex', flexDirection: 'column', gap: '8px', fontSize: '12px' }}>
+              {speechSupported() ? (
+                <>
+                  <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                    <button
+                      onClick={() => setVoicePrefs(p => ({ ...p, muted: !p.muted }))}
+                      style={{ padding: '6px 10px', background: voicePrefs.muted ? '#e5e7eb' : '#0ea5e9', color: voicePrefs.muted ? '#111827' : 'white', border: 'none', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}
+                    >
+                      {voicePrefs.muted ? '🔇 Voice off' : '🔊 Voice on'}
+                    </button>
+                    <select
+                      value={voicePrefs.rate}
+                      onChange={(e) => setVoicePrefs(p => ({ ...p, rate: Number(e.target.value) }))}
+                      style={{ padding: '4px 6px', border: '1px solid #ddd', borderRadius: '6px' }}
+                      aria-label="Speech rate"
+                    >
+                      <option value={0.8}>Slow</option>
+                      <option value={1}>Normal</option>
+                      <option value={1.25}>Fast</option>
+                    </select>
+                  </div>
+                  {voices.length > 0 && (
+                    <select
+                      value={voicePrefs.voiceURI}
+                      onChange={(e) => setVoicePrefs(p => ({ ...p, voiceURI: e.target.value }))}
+                      style={{ padding: '4px 6px', border: '1px solid #ddd', borderRadius: '6px' }}
+                      aria-label="Voice"
+                    >
+                      <option value="">Default voice</option>
+                      {voices.map(v => (
+                        <option key={v.voiceURI} value={v.voiceURI}>{v.name} ({v.lang})</option>
+                      ))}
+                    </select>
+                  )}
+                </>
+              ) : (
+                <div style={{ color: '#777' }}>Voice guidance isn't available in this browser.</div>
+              )}
+              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                <span style={{ color: '#666' }}>Units</span>
+                {['mi', 'km'].map(u => (
+                  <button
+                    key={u}
+                    onClick={() => setVoicePrefs(p => ({ ...p, units: u }))}
+                    style={{ padding: '4px 10px', background: voicePrefs.units === u ? '#0ea5e9' : '#e5e7eb', color: voicePrefs.units === u ? 'white' : '#111827', border: 'none', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}
+                  >
+                    {u}
+                  </button>
+                ))}
+              </div>
+            </div>
           </div>
-        ) : confirmRoute ? (
+        ) : routeChoices ? (
           <div style={{ whiteSpace: 'normal' }}>
-            <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '8px' }}>Route Confirmation</div>
-            <div style={{ padding: '12px', background: '#f8f9fa', border: '1px solid #e9ecef', borderRadius: '8px', marginBottom: '12px' }}>
-              <div style={{ fontSize: '16px', fontWeight: 600, marginBottom: '6px' }}>{confirmRoute.place.name}</div>
-              <div style={{ fontSize: '12px', color: '#666', marginBottom: '8px' }}>{confirmRoute.place.vicinity || confirmRoute.place.formatted_address || ''}</div>
-              <div style={{ color: '#0a7', fontSize: '14px', fontWeight: '600' }}>Total: {Math.round((confirmRoute.totalTime||0)/60)} minutes</div>
-              <div style={{ color: '#e11d48', fontSize: '13px', fontWeight: '700', marginTop: '2px' }}>+{Math.round((confirmRoute.addedTime||0)/60)} minutes vs baseline</div>
-              <div style={{ color: '#666', fontSize: '12px', marginTop: '6px' }}>Baseline: {Math.round((baseRouteTimeSec||0)/60)} minutes</div>
-            </div>
-            <div style={{ display: 'flex', gap: '8px' }}>
-              <button
-                style={{ flex: 1, padding: '10px', background: '#10b981', color: 'white', border: 'none', borderRadius: '8px', fontWeight: 600, cursor: 'pointer' }}
-                onClick={() => {
-                  if (!confirmRoute?.route) return;
-                  const steps = buildStepsFromRoute(confirmRoute.route);
-                  if (steps.length === 0) return;
-                  setNavigation({ steps, current: 0, route: confirmRoute.route });
-                }}
-              >
-                Go
-              </button>
-              <button
-                style={{ flex: 1, padding: '10px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '8px', fontWeight: 600, cursor: 'pointer' }}
-                onClick={() => setConfirmRoute(null)}
-              >
-                Back
-              </button>
-            </div>
-            {/* External Maps Links */}
-            {(() => {
-              if (!position || !destination || !confirmRoute?.place) return null;
-              const o = `${position[0]},${position[1]}`;
-              const d = `${destination[0]},${destination[1]}`;
-              const wLat = confirmRoute.place.geometry?.location?.lat;
-              const wLng = confirmRoute.place.geometry?.location?.lng;
-              const pid = confirmRoute.place.place_id;
-              // Build Google Maps URL using coordinates for waypoints plus waypoint_place_ids to bind to the exact place
-              const wp = (Number.isFinite(wLat) && Number.isFinite(wLng)) ? `${wLat},${wLng}` : '';
-              const googleUrl = `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(o)}&destination=${encodeURIComponent(d)}&waypoints=${encodeURIComponent(wp)}&waypoint_place_ids=${pid}&travelmode=driving`;
-              const appleLeg1 = (Number.isFinite(wLat) && Number.isFinite(wLng)) ? `https://maps.apple.com/?saddr=${encodeURIComponent(o)}&daddr=${encodeURIComponent(`${wLat},${wLng}`)}&dirflg=d` : null;
-              const appleLeg2 = (Number.isFinite(wLat) && Number.isFinite(wLng)) ? `https://maps.apple.com/?saddr=${encodeURIComponent(`${wLat},${wLng}`)}&daddr=${encodeURIComponent(d)}&dirflg=d` : null;
+            <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '4px' }}>Choose your route</div>
+            <div style={{ color: '#666', fontSize: '12px', marginBottom: '8px' }}>We'll look for food along the route you pick.</div>
+            {routeChoices.routes.map((r, i) => {
+              const sec = (r.legs || []).reduce((sum, l) => sum + (l.duration?.value || 0), 0);
+              const meters = (r.legs || []).reduce((sum, l) => sum + (l.distance?.value || 0), 0);
               return (
-                <div style={{ marginTop: '12px', display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
-                  <a href={googleUrl} target="_blank" rel="noreferrer" style={{ textDecoration: 'none' }}>
-                    <div style={{ padding: '8px 12px', background: '#1a73e8', color: 'white', borderRadius: '6px', fontSize: '12px', fontWeight: 600 }}>Open in Google Maps</div>
-                  </a>
-                  {appleLeg1 && appleLeg2 && (
-                    <>
-                      <a href={appleLeg1} target="_blank" rel="noreferrer" style={{ textDecoration: 'none' }}>
-                        <div style={{ padding: '8px 12px', background: '#111827', color: 'white', borderRadius: '6px', fontSize: '12px', fontWeight: 600 }}>Apple Maps (to stop)</div>
-                      </a>
-                      <a href={appleLeg2} target="_blank" rel="noreferrer" style={{ textDecoration: 'none' }}>
-                        <div style={{ padding: '8px 12px', background: '#111827', color: 'white', borderRadius: '6px', fontSize: '12px', fontWeight: 600 }}>Apple Maps (to destination)</div>
-                      </a>
-                    </>
-                  )}
+                <div
+                  key={i}
+                  style={{ padding: '12px 8px', borderBottom: '1px solid #f0f0f0', cursor: 'pointer', borderRadius: '8px', marginBottom: '4px', backgroundColor: '#fafafa' }}
+                  onMouseEnter={(e) => {
+                    e.currentTarget.style.backgroundColor = '#f0f8ff';
+                    setBestRouteCoords(polyline.decode(r.overview_polyline.points));
+                  }}
+                  onMouseLeave={(e) => { e.currentTarget.style.backgroundColor = '#fafafa'; }}
+                  onClick={() => {
+                    setRouteChoices(null);
+                    searchDetours(routeChoices.dest, { alternatives: true, index: i });
+                  }}
+                >
+                  <div style={{ fontWeight: 600, fontSize: '15px' }}>{r.summary ? `via ${r.summary}` : `Route ${i + 1}`}</div>
+                  <div style={{ color: '#0a7', fontSize: '13px', fontWeight: 600 }}>
+                    {Math.round(sec / 60)} min · {(meters / 1000 / KM_PER_MILE).toFixed(1)} mi
+                  </div>
+                  {(r.warnings || []).map(w => (
+                    <div key={w} style={{ color: '#b45309', fontSize: '11px', marginTop: '2px' }}>{w}</div>
+                  ))}
                 </div>
               );
-            })()}
+            })}
+            <button
+              style={{ marginTop: '8px', padding: '8px 12px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '6px', fontWeight: 600, cursor: 'pointer' }}
+              onClick={() => {
+                setRouteChoices(null);
+                setBestRouteCoords([]);
+              }}
+            >
+              Cancel
+            </button>
           </div>
+        ) : (confirmRoute && !addingStop) ? (
+          <TripPanel
+            trip={confirmRoute}
+            baseRouteTimeSec={baseRouteTimeSec}
+            typicalBaseTimeSec={typicalBaseTimeSec}
+            position={position}
+            destination={destination}
+            updating={tripUpdating}
+            travelMode={travelMode}
+            departure={departureDate()}
+            placeHours={placeHours}
+            onMoveStop={(from, to) => planTrip(moveStop(confirmRoute.stops, from, to), false)}
+            onRemoveStop={(i) => planTrip(confirmRoute.stops.filter((_, j) => j !== i), confirmRoute.optimize)}
+            onToggleOptimize={() => planTrip(confirmRoute.stops, !confirmRoute.optimize)}
+            onAddStop={() => setAddingStop(true)}
+            onGo={() => {
+              if (!confirmRoute?.route) return;
+              const steps = buildStepsFromRoute(confirmRoute.route);
+              if (steps.length === 0) return;
+              setNavigation({
+                steps,
+                current: 0,
+                route: confirmRoute.route,
+                // What rerouting needs: the food stops still ahead and the trip's route options
+                stops: confirmRoute.stops,
+                destination,
+                routeOptions: {
+                  mode: travelMode,
+                  avoid: avoidParam,
+                  ...(departureParams.departure_time ? { ...departureParams, departure_time: 'now' } : {}),
+                },
+              });
+            }}
+            onBack={() => setConfirmRoute(null)}
+          />
         ) : (
           <>
-            <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '8px', whiteSpace: 'normal' }}>
-              🍕 Fastest food detours
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '8px', marginBottom: '8px' }}>
+              <div style={{ fontWeight: 'bold', fontSize: '18px', whiteSpace: 'normal' }}>
+                🍕 Fastest food detours
+              </div>
+              {visibleOptions.length > 0 && (
+                <button
+                  onClick={() => {
+                    setCompareRoutes(c => !c);
+                    setComparedId(null);
+                  }}
+                  style={{ padding: '4px 8px', background: compareRoutes ? '#0ea5e9' : '#e5e7eb', color: compareRoutes ? 'white' : '#111827', border: 'none', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600, whiteSpace: 'nowrap' }}
+                >
+                  ⚖️ Compare top {COMPARE_COUNT}
+                </button>
+              )}
             </div>
 
+            {compareRoutes && visibleOptions.length > 0 && (
+              <ComparisonCard
+                rows={comparisonRows(baseRoute, baseRouteTimeSec, comparedOptions)}
+                selectedId={comparedId}
+                onSelect={setComparedId}
+                onOpen={(id) => {
+                  const opt = comparedOptions.find(o => o.place.place_id === id);
+                  if (!opt) return;
+                  if (opt.route) setBestRouteCoords(polyline.decode(opt.route.overview_polyline.points));
+                  showPlaceInfo(opt.place, opt);
+                }}
+              />
+            )}
+
+            {addingStop && confirmRoute && (
+              <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '8px', padding: '8px 10px', marginBottom: '8px', background: '#e0f2fe', borderRadius: '8px', whiteSpace: 'normal' }}>
+                <span style={{ fontSize: '12px', color: '#075985', fontWeight: 600 }}>
+                  Pick stop {confirmRoute.stops.length + 1} for your trip
+                </span>
+                <button
+                  style={{ padding: '4px 8px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '6px', fontSize: '12px', cursor: 'pointer' }}
+                  onClick={() => setAddingStop(false)}
+                >
+                  Cancel
+                </button>
+              </div>
+            )}
+
             {/* Results list */}
             {visibleOptions.length === 0 && (
               <div style={{ color: '#666', whiteSpace: 'normal' }}>Select a destination to see options.</div>
@@ -942,32 +1625,43 @@ function App() {
                   marginBottom: '4px',
                   transition: 'all 0.2s ease',
                   whiteSpace: 'normal',
-                  backgroundColor: '#fafafa'
+                  backgroundColor: hoveredPlaceId && hoveredPlaceId === opt.place.place_id ? '#f0f8ff' : '#fafafa',
+                  boxShadow: hoveredPlaceId && hoveredPlaceId === opt.place.place_id ? `inset 3px 0 0 ${markerColor(opt.addedTime)}` : 'none'
                 }}
                 onMouseEnter={(e) => {
                   e.currentTarget.style.backgroundColor = '#f0f8ff';
                   e.currentTarget.style.transform = 'translateX(4px)';
+                  markerRefs.current[opt.place.place_id]?.highlight(true);
                 }}
                 onMouseLeave={(e) => {
                   e.currentTarget.style.backgroundColor = '#fafafa';
                   e.currentTarget.style.transform = 'translateX(0)';
+                  markerRefs.current[opt.place.place_id]?.highlight(false);
                 }}
-                onClick={() => {
-                  const decoded = polyline.decode(opt.route.overview_polyline.points);
-                  const latLngs = decoded.map(([lat, lng]) => [lat, lng]);
-                  setBestRouteCoords(latLngs);
+                onClick={async () => {
                   const lat = opt.place.geometry?.location?.lat;
                   const lng = opt.place.geometry?.location?.lng;
                   if (lat && lng && mapRef.current) {
-                    mapRef.current.panTo({ lat, lng });
-                    mapRef.current.setZoom(16);
+                    mapRef.current.focus(lat, lng, 16);
+                  }
+                  let picked = opt;
+                  try {
+                    picked = await withRoute(opt);
+                  } catch (err) {
+                    console.warn(`Failed to fetch route via "${opt.place.name}":`, err);
+                  }
+                  if (picked.route) {
+                    const decoded = polyline.decode(picked.route.overview_polyline.points);
+                    const latLngs = decoded.map(([lat, lng]) => [lat, lng]);
+                    setBestRouteCoords(latLngs);
                   }
                   // Show detailed info popup
-                  showPlaceInfo(opt.place, opt);
+                  showPlaceInfo(picked.place, picked);
                 }}
               >
                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline' }}>
                   <div style={{ fontWeight: 600, fontSize: '14px', marginBottom: '4px' }}>
+                    <span style={{ display: 'inline-block', width: '10px', height: '10px', borderRadius: '50%', background: markerColor(opt.addedTime), marginRight: '6px' }} />
                     {idx + 1}. {opt.place.name}
                   </div>
                   <div style={{ color: '#0a7', fontSize: '12px', fontWeight: '600' }}>+{Math.round((opt.addedTime || 0) / 60)} minutes</div>
@@ -977,12 +1671,14 @@ function App() {
                 </div>
                 <div style={{ color: '#888', fontSize: '11px' }}>
                   Total: {Math.round(opt.totalTime / 60)} min{typeof opt.place.price_level === 'number' ? ` · ${'$'.repeat(opt.place.price_level + 1)}` : ''}
+                  <TypicalAddedTime option={opt} />
                 </div>
                 {opt.place.rating && (
                   <div style={{ color: '#ff6b35', fontSize: '11px', marginTop: '2px' }}>
                     ⭐ {opt.place.rating}/5 ({opt.place.user_ratings_total || 0} reviews)
                   </div>
                 )}
+                <ArrivalLine arrival={arrivalFor(opt)} />
               </div>
             ))}
             
@@ -1031,6 +1727,11 @@ function App() {
                   <div style={{ fontSize: '10px', color: '#666', marginTop: '4px' }}>
                     {detourOptions.length} detour options • {allPlaces.length} restaurants found • {unprocessedPlaces.length} unprocessed
                   </div>
+                  {unscoredCount > 0 && hasUnprocessedPlaces && (
+                    <div style={{ fontSize: '10px', color: '#b36b00', marginTop: '4px' }}>
+                      Only the closest {allPlaces.length - unscoredCount} restaurants were scored; load more to score the rest
+                    </div>
+                  )}
                 </div>
               );
             })()}
@@ -1039,43 +1740,88 @@ function App() {
       </div>
 
       {position ? (
-        <div style={{ flex: 1, minWidth: 0 }}>
-          <GoogleMap
-            position={position}
-            destination={destination}
-            places={places}
-            bestRouteCoords={bestRouteCoords}
-            onPlaceClick={async (place) => {
-              const lat = place.geometry?.location?.lat;
-              const lng = place.geometry?.location?.lng;
-              if (lat && lng && mapRef.current) {
-                mapRef.current.panTo({ lat, lng });
-                mapRef.current.setZoom(16);
-              }
-              // Fetch route via this place so we can show added time and enable 'Use This Route'
-              try {
-                if (!position || !destination) {
-                  showPlaceInfo(place);
-                  return;
+        <div style={{ flex: 1, minWidth: 0, position: 'relative' }}>
+          {Object.values(MAP_ENGINES).filter(e => e.available()).length > 1 && (
+            <div style={{ position: 'absolute', top: '10px', left: '50%', transform: 'translateX(-50%)', zIndex: 10, display: 'flex', gap: '2px', background: 'white', padding: '3px', borderRadius: '8px', boxShadow: '0 2px 8px rgba(0,0,0,0.15)', fontFamily: 'DM Sans, sans-serif' }}>
+              {Object.entries(MAP_ENGINES).filter(([, e]) => e.available()).map(([engine, e]) => (
+                <button
+                  key={engine}
+                  onClick={() => setMapEngine(engine)}
+                  style={{ padding: '4px 10px', background: mapEngine === engine ? '#0ea5e9' : 'transparent', color: mapEngine === engine ? 'white' : '#111827', border: 'none', borderRadius: 6, cursor: 'pointer', fontSize: 12, fontWeight: 600 }}
+                >
+                  {e.label}
+                </button>
+              ))}
+            </div>
+          )}
+          <Suspense fallback={<p>Loading map...</p>}>
+            <MapView
+              position={position}
+              destination={destination}
+              places={places}
+              placeRanking={placeRanking}
+              selectedPlaceId={selectedPlace?.place?.place_id || null}
+              onPlaceHover={setHoveredPlaceId}
+              bestRouteCoords={bestRouteCoords}
+              routeOverlays={comparisonOverlays}
+              onRouteClick={setComparedId}
+              corridor={searchCorridor}
+              onCorridorHandleDrag={moveCorridorHandle}
+              onMapClick={addAreaPoint}
+              navigationView={navigation ? {
+                maneuver: navigation.steps[navigation.current || 0]?.end,
+                heading,
+              } : null}
+              onPlaceClick={async (place) => {
+                const lat = place.geometry?.location?.lat;
+                const lng = place.geometry?.location?.lng;
+                if (lat && lng && mapRef.current) {
+                  mapRef.current.focus(lat, lng, 16);
                 }
-                const url = `http://localhost:3001/directions?origin=${position[0]},${position[1]}&destination=${destination[0]},${destination[1]}&waypoint=${place.place_id}`;
-                const res = await axios.get(url);
-                const route = res.data.routes?.[0];
-                if (!route) {
+                // Fetch route via this place so we can show added time and enable 'Use This Route'
+                try {
+                  if (!position || !destination) {
+                    showPlaceInfo(place);
+                    return;
+                  }
+                  const endpoints = {
+                    origin: `${position[0]},${position[1]}`,
+                    destination: `${destination[0]},${destination[1]}`,
+                    mode: travelMode,
+                    avoid: avoidParam,
+                    ...departureParams,
+                  };
+                  // The route draws the stop; times come from the Distance Matrix, which (unlike
+                  // Directions through a stopover) includes traffic
+                  const [res, scored] = await Promise.all([
+                    axios.get(`${API_BASE}/directions`, { params: { ...endpoints, waypoint: place.place_id } }),
+                    axios.get(`${API_BASE}/matrix`, {
+                      params: { ...endpoints, places: place.place_id, baseline: baseRouteTimeSec, typical_baseline: typicalBaseTimeSec },
+                    }).catch(() => null),
+                  ]);
+                  const route = res.data.routes?.[0];
+                  if (!route) {
+                    showPlaceInfo(place);
+                    return;
+                  }
+                  const scores = scored?.data?.results?.[0];
+                  if (scores) {
+                    const { place_id, ...times } = scores;
+                    showPlaceInfo(place, { place, ...times, route });
+                    return;
+                  }
+                  const totalTime = routeDurationSec(route);
+                  const addedTime = Math.max(0, totalTime - (typicalBaseTimeSec || 0));
+                  showPlaceInfo(place, { place, totalTime, addedTime, route });
+                } catch (e) {
+                  console.warn('Failed to fetch route for marker click:', e);
                   showPlaceInfo(place);
-                  return;
                 }
-                const totalTime = route.legs.reduce((sum, leg) => sum + leg.duration.value, 0);
-                const addedTime = Math.max(0, totalTime - (baseRouteTimeSec || 0));
-                showPlaceInfo(place, { place, totalTime, addedTime, route });
-              } catch (e) {
-                console.warn('Failed to fetch route for marker click:', e);
-                showPlaceInfo(place);
-              }
-            }}
-            mapRef={mapRef}
-            markerRefs={markerRefs}
-          />
+              }}
+              mapRef={mapRef}
+              markerRefs={markerRefs}
+            />
+          </Suspense>
         </div>
       ) : (
         <p>Loading map...</p>
@@ -1168,10 +1914,19 @@ function App() {
                 </div>
                 <div style={{ color: '#e11d48', fontSize: '14px', fontWeight: '600', marginBottom: '4px' }}>
                   (+{Math.round((selectedPlace.routeInfo.addedTime || 0) / 60)} minutes)
+                  <TypicalAddedTime option={selectedPlace.routeInfo} style={{ fontSize: '13px', fontWeight: 400 }} />
                 </div>
                 <div style={{ color: '#666', fontSize: '14px' }}>
-                  🛣️ Route: {selectedPlace.routeInfo.route.summary || 'Route details'}
+                  🛣️ Route: {selectedPlace.routeInfo.route?.summary || 'Route details'}
                 </div>
+                <ArrivalLine arrival={arrivalFor(selectedPlace.routeInfo)} style={{ fontSize: '14px', marginTop: '4px' }} />
+                {(selectedPlace.routeInfo.route?.legs || []).flatMap(legTransitRides).map((ride, i) => (
+                  <div key={i} style={{ fontSize: '13px', color: '#333', marginTop: '4px' }}>
+                    {ride.icon} <span style={{ fontWeight: 600, color: ride.color || '#333' }}>{ride.vehicle} {ride.line}</span>
+                    {ride.headsign ? ` toward ${ride.headsign}` : ''} · {ride.from} → {ride.to}
+                    {ride.numStops ? ` · ${ride.numStops} stops` : ''}{ride.departs ? ` · ${ride.departs}` : ''}
+                  </div>
+                ))}
               </div>
             )}
 
@@ -1192,8 +1947,7 @@ function App() {
                   const lat = selectedPlace.place.geometry?.location?.lat;
                   const lng = selectedPlace.place.geometry?.location?.lng;
                   if (lat && lng && mapRef.current) {
-                    mapRef.current.panTo({ lat, lng });
-                    mapRef.current.setZoom(16);
+                    mapRef.current.focus(lat, lng, 16);
                   }
                   setShowInfoPopup(false);
                 }}
@@ -1214,15 +1968,17 @@ function App() {
                     fontWeight: '500',
                     cursor: 'pointer'
                   }}
-                  onClick={() => {
-                    const decoded = polyline.decode(selectedPlace.routeInfo.route.overview_polyline.points);
-                    const latLngs = decoded.map(([lat, lng]) => [lat, lng]);
-                    setBestRouteCoords(latLngs);
-                    setConfirmRoute(selectedPlace.routeInfo);
+                  onClick={async () => {
+                    const stop = selectedPlace.routeInfo;
+                    const extending = addingStop && confirmRoute;
+                    const stops = extending ? confirmRoute.stops : [];
                     setShowInfoPopup(false);
+                    setAddingStop(false);
+                    if (stops.some(s => s.place.place_id === stop.place.place_id)) return;
+                    await planTrip([...stops, stop], extending ? confirmRoute.optimize : false);
                   }}
                 >
-                  🚗 Use This Route
+                  {addingStop && confirmRoute ? '➕ Add to Trip' : '🚗 Use This Route'}
                 </button>
               )}
             </div>
@@ -1277,4 +2033,76 @@ function App() {
   );
 }
 
+// "· typically +3 min" beside a traffic-adjusted added time, when traffic changes it
+function TypicalAddedTime({ option, style }) {
+  if (!Number.isFinite(option?.typicalAddedTime)) return null;
+  const typical = Math.round(option.typicalAddedTime / 60);
+  if (typical === Math.round((option.addedTime || 0) / 60)) return null;
+  return <span style={{ color: '#b45309', ...style }}> · typically +{typical} min</span>;
+}
+
+// Side-by-side comparison of the direct route and the top detours: total time, added time and
+// distance per column. Clicking a column (or its line on the map) selects it.
+function ComparisonCard({ rows, selectedId, onSelect, onOpen }) {
+  const cell = { padding: '3px 4px', textAlign: 'center' };
+  return (
+    <div style={{ marginBottom: '10px', border: '1px solid #e5e7eb', borderRadius: '8px', overflow: 'hidden', fontSize: '11px', whiteSpace: 'normal' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: `56px repeat(${rows.length}, 1fr)` }}>
+        <div />
+        {rows.map(row => (
+          <div
+            key={row.id}
+            onClick={() => onSelect(row.id)}
+            title={row.label}
+            style={{ ...cell, fontWeight: 600, cursor: 'pointer', borderTop: `3px solid ${row.color || '#475569'}`, background: selectedId === row.id ? '#e0f2fe' : '#f8f9fa', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}
+          >
+            {row.label}
+          </div>
+        ))}
+        {[
+          ['Total', (row) => `${Math.round(row.totalSec / 60)} min`],
+          ['Added', (row) => (row.id === BASE_ROUTE_ID ? '—' : `+${Math.round(row.addedSec / 60)} min`)],
+          ['Distance', (row) => (row.meters ? `${(row.meters / 1000 / KM_PER_MILE).toFixed(1)} mi` : '…')],
+        ].map(([label, value]) => (
+          <React.Fragment key={label}>
+            <div style={{ ...cell, textAlign: 'left', color: '#666' }}>{label}</div>
+            {rows.map(row => (
+              <div key={row.id} onClick={() => onSelect(row.id)} style={{ ...cell, cursor: 'pointer', background: selectedId === row.id ? '#e0f2fe' : 'white' }}>
+                {value(row)}
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+      {selectedId && selectedId !== BASE_ROUTE_ID && (
+        <button
+          onClick={() => onOpen(selectedId)}
+          style={{ width: '100%', padding: '6px', background: '#0ea5e9', color: 'white', border: 'none', cursor: 'pointer', fontSize: '12px', fontWeight: 600 }}
+        >
+          View {rows.find(r => r.id === selectedId)?.label || 'details'}
+        </button>
+      )}
+    </div>
+  );
+}
+
+const ARRIVAL_LABELS = {
+  open: { text: 'Open on arrival', color: '#0a7' },
+  closed: { text: 'Closed on arrival', color: '#e11d48' },
+  unknown: { text: 'Hours unknown', color: '#888' },
+  pending: { text: 'Checking hours…', color: '#888' },
+};
+
+// "🕒 Arrive 6:42 PM · Open on arrival" for a stop, from arrivalFor()
+function ArrivalLine({ arrival, style }) {
+  if (!arrival) return null;
+  const label = ARRIVAL_LABELS[arrival.status];
+  const time = arrival.date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  return (
+    <div style={{ fontSize: '11px', marginTop: '2px', color: '#555', ...style }}>
+      🕒 Arrive {time} · <span style={{ color: label.color, fontWeight: 600 }}>{label.text}</span>
+    </div>
+  );
+}
+
 export default App;
@@ -1,17 +1,66 @@
-import React, { useEffect, useRef } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { NAV_ZOOM, NAV_TILT, splitRouteAtPosition, RecenterButton } from './mapEngine';
+import { markerItems, clusterMarkers } from './mapMarkers';
 
+const toLatLngs = (coords) => (coords || [])
+  .filter(arr => Array.isArray(arr) && Number.isFinite(arr[0]) && Number.isFinite(arr[1]))
+  .map(([lat, lng]) => ({ lat, lng }));
+
+// Marker look for a place (colored by added time, numbered by rank) or a cluster (sized by count)
+const markerOptions = (cluster, { selected, highlighted }) => {
+  const single = cluster.items.length === 1;
+  const label = single ? (cluster.rank ? String(cluster.rank) : null) : String(cluster.items.length);
+  const base = single ? (cluster.rank && cluster.rank <= 3 ? 11 : 9) : 13 + Math.min(7, Math.log2(cluster.items.length) * 2);
+  return {
+    icon: {
+      path: window.google.maps.SymbolPath.CIRCLE,
+      scale: highlighted ? base + 4 : base,
+      fillColor: cluster.color,
+      fillOpacity: single ? 1 : 0.85,
+      strokeColor: selected || highlighted ? '#111827' : 'white',
+      strokeWeight: selected || highlighted ? 3 : 2,
+    },
+    label: label ? { text: label, color: 'white', fontSize: '11px', fontWeight: '700' } : null,
+    zIndex: highlighted || selected ? 2000 : 1000 - Math.min(cluster.rank || 999, 999),
+  };
+};
+
+// navigationView (while navigating): { maneuver: { lat, lng } of the current step's end, heading }.
+// The travelled part of the route is greyed out and the camera follows heading-up (on vector
+// maps, i.e. with REACT_APP_GOOGLE_MAP_ID; raster maps stay north-up) until the user pans away.
+// Place markers are clustered when zoomed out (see ./mapMarkers).
+// corridor: { outline, handles: [{ id, lat, lng }], drawing } (see App's corridorView); handles
+// are draggable and report where they were dropped through onCorridorHandleDrag.
 const GoogleMap = ({
   position,
   destination,
   places,
+  placeRanking,
+  selectedPlaceId,
   bestRouteCoords,
+  routeOverlays,
+  corridor,
+  navigationView,
   onPlaceClick,
+  onPlaceHover,
+  onRouteClick,
+  onCorridorHandleDrag,
+  onMapClick,
   mapRef,
   markerRefs
 }) => {
   const mapContainer = useRef(null);
   const localMapRef = useRef(null);
   const routePolylineRef = useRef(null);
+  const travelledPolylineRef = useRef(null);
+  const navigatingRef = useRef(false);
+  const [following, setFollowing] = useState(true);
+  const [zoom, setZoom] = useState(15);
+  const navigating = Boolean(navigationView);
+  navigatingRef.current = navigating;
+  // Latest handlers, so markers aren't rebuilt whenever the parent passes new functions
+  const handlersRef = useRef({});
+  handlersRef.current = { onPlaceClick, onPlaceHover, onRouteClick, onCorridorHandleDrag, onMapClick };
 
   useEffect(() => {
     if (!mapContainer.current) return;
@@ -29,108 +78,290 @@ const GoogleMap = ({
       mapTypeControl: false,
       fullscreenControl: false,
       streetViewControl: false,
+      // A map ID gives a vector map, which is what supports heading-up navigation
+      ...(process.env.REACT_APP_GOOGLE_MAP_ID ? { mapId: process.env.REACT_APP_GOOGLE_MAP_ID } : {}),
+    });
+
+    // Panning away during navigation stops the camera from following
+    map.addListener('dragstart', () => {
+      if (navigatingRef.current) setFollowing(false);
     });
+    map.addListener('zoom_changed', () => setZoom(Math.round(map.getZoom())));
+    map.addListener('click', (e) => handlersRef.current.onMapClick?.(e.latLng.lat(), e.latLng.lng()));
 
     localMapRef.current = map;
-    if (mapRef) mapRef.current = map;
+    if (mapRef) {
+      mapRef.current = {
+        engine: 'google',
+        map,
+        focus: (lat, lng, zoom) => {
+          map.panTo({ lat, lng });
+          if (zoom) map.setZoom(zoom);
+        },
+      };
+    }
 
     return () => {
       // No explicit destroy API; allow GC to collect
+      if (mapRef && mapRef.current?.map === map) mapRef.current = null;
     };
   }, []);
 
-  // Keep center in sync when position changes
+  const heading = navigationView?.heading;
+
+  // Keep center in sync when position changes; while navigating, follow heading-up unless
+  // the user has panned away
   useEffect(() => {
     const map = localMapRef.current;
     if (!map || !Array.isArray(position)) return;
     const [lat, lng] = position;
     if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
-    map.setCenter({ lat, lng });
-  }, [position]);
+    if (!navigating) {
+      map.setCenter({ lat, lng });
+      return;
+    }
+    if (!following) return;
+    if (typeof map.moveCamera === 'function') {
+      map.moveCamera({
+        center: { lat, lng },
+        zoom: NAV_ZOOM,
+        tilt: NAV_TILT,
+        ...(Number.isFinite(heading) ? { heading } : {}),
+      });
+    } else {
+      map.setCenter({ lat, lng });
+    }
+  }, [position, navigating, following, heading]);
 
-  // Draw or update route polyline
+  // Back to a north-up, flat camera (and following) when navigation ends
   useEffect(() => {
     const map = localMapRef.current;
-    if (!map) return;
+    if (navigating || !map) return;
+    setFollowing(true);
+    if (typeof map.moveCamera === 'function') map.moveCamera({ heading: 0, tilt: 0 });
+  }, [navigating]);
 
-    if (routePolylineRef.current) {
-      routePolylineRef.current.setMap(null);
-      routePolylineRef.current = null;
-    }
+  // While navigating, the travelled part of the route is drawn separately (greyed out)
+  const routeParts = useMemo(
+    () => splitRouteAtPosition(bestRouteCoords, navigating ? position : null),
+    [navigating, position, bestRouteCoords]
+  );
 
-    if (bestRouteCoords && bestRouteCoords.length > 1) {
-      const path = bestRouteCoords
-        .filter(arr => Array.isArray(arr) && Number.isFinite(arr[0]) && Number.isFinite(arr[1]))
-        .map(([lat, lng]) => ({ lat, lng }));
-      if (path.length < 2) return;
+  // Fit the whole route when it changes (not while navigating; the camera follows the user then)
+  useEffect(() => {
+    const map = localMapRef.current;
+    if (!map || navigatingRef.current) return;
+    const path = toLatLngs(bestRouteCoords);
+    if (path.length < 2) return;
+    const bounds = new window.google.maps.LatLngBounds();
+    path.forEach(p => bounds.extend(p));
+    map.fitBounds(bounds, { top: 50, right: 50, bottom: 50, left: 50 });
+  }, [bestRouteCoords]);
+
+  // Draw or update route polyline: the part still ahead in blue, the travelled part in grey
+  useEffect(() => {
+    const map = localMapRef.current;
+    if (!map) return;
+
+    if (!routePolylineRef.current) {
       routePolylineRef.current = new window.google.maps.Polyline({
-        path,
         strokeColor: '#3b82f6',
         strokeOpacity: 0.8,
         strokeWeight: 4,
+        zIndex: 2,
+      });
+      travelledPolylineRef.current = new window.google.maps.Polyline({
+        strokeColor: '#9ca3af',
+        strokeOpacity: 0.8,
+        strokeWeight: 4,
+        zIndex: 1,
       });
-      routePolylineRef.current.setMap(map);
-
-      const bounds = new window.google.maps.LatLngBounds();
-      path.forEach(p => bounds.extend(p));
-      map.fitBounds(bounds, { top: 50, right: 50, bottom: 50, left: 50 });
     }
-  }, [bestRouteCoords]);
 
-  // Render places markers
+    const aheadPath = toLatLngs(routeParts.ahead);
+    routePolylineRef.current.setPath(aheadPath);
+    routePolylineRef.current.setMap(aheadPath.length > 1 ? map : null);
+    const travelledPath = toLatLngs(routeParts.travelled);
+    travelledPolylineRef.current.setPath(travelledPath);
+    travelledPolylineRef.current.setMap(travelledPath.length > 1 ? map : null);
+  }, [routeParts]);
+
+  // Comparison lines (base route and detour routes); clicking one selects it
   useEffect(() => {
     const map = localMapRef.current;
     if (!map) return;
-
-    if (markerRefs.current) {
-      Object.values(markerRefs.current).forEach(marker => {
-        if (marker && marker.setMap) marker.setMap(null);
+    const lines = (routeOverlays || []).map((overlay) => {
+      const line = new window.google.maps.Polyline({
+        path: toLatLngs(overlay.coords),
+        strokeColor: overlay.color,
+        strokeOpacity: overlay.selected ? 0.95 : 0.6,
+        strokeWeight: overlay.selected ? 8 : 5,
+        zIndex: overlay.selected ? 4 : 3,
+        clickable: true,
+        map,
       });
-      markerRefs.current = {};
+      line.addListener('click', () => handlersRef.current.onRouteClick?.(overlay.id));
+      return line;
+    });
+    return () => lines.forEach(line => line.setMap(null));
+  }, [routeOverlays]);
+
+  // Search corridor: the shaded area results come from, handles at the ends of a picked stretch,
+  // and the vertices of an area being drawn. None of it takes clicks, so drawing keeps working.
+  useEffect(() => {
+    const map = localMapRef.current;
+    if (!map || !corridor) return;
+    const google = window.google;
+    const overlays = [];
+
+    const outline = toLatLngs(corridor.outline);
+    if (outline.length > 2) {
+      overlays.push(new google.maps.Polygon({
+        paths: outline,
+        strokeColor: '#6366f1',
+        strokeOpacity: 0.6,
+        strokeWeight: 1,
+        fillColor: '#6366f1',
+        fillOpacity: 0.12,
+        clickable: false,
+        zIndex: 0,
+        map,
+      }));
     }
 
-    (places || []).forEach((place) => {
-      const lat = place.geometry?.location?.lat;
-      const lng = place.geometry?.location?.lng;
-      if (!Number.isFinite(lat) || !Number.isFinite(lng)) return;
+    const drawing = toLatLngs(corridor.drawing);
+    if (drawing.length > 1) {
+      overlays.push(new google.maps.Polyline({
+        path: drawing.length > 2 ? drawing.concat(drawing[0]) : drawing,
+        strokeColor: '#6366f1',
+        strokeWeight: 2,
+        clickable: false,
+        map,
+      }));
+    }
+    drawing.forEach((p) => {
+      overlays.push(new google.maps.Marker({
+        position: p,
+        map,
+        clickable: false,
+        icon: { path: google.maps.SymbolPath.CIRCLE, scale: 4, fillColor: '#6366f1', fillOpacity: 1, strokeColor: 'white', strokeWeight: 2 },
+      }));
+    });
+
+    (corridor.handles || []).forEach((handle) => {
+      const marker = new google.maps.Marker({
+        position: { lat: handle.lat, lng: handle.lng },
+        map,
+        draggable: true,
+        title: handle.id === 'start' ? 'Drag to move where the search starts' : 'Drag to move where the search ends',
+        zIndex: 6,
+        icon: { path: google.maps.SymbolPath.CIRCLE, scale: 8, fillColor: 'white', fillOpacity: 1, strokeColor: '#6366f1', strokeWeight: 4 },
+      });
+      marker.addListener('dragend', (e) => handlersRef.current.onCorridorHandleDrag?.(handle.id, e.latLng.lat(), e.latLng.lng()));
+      overlays.push(marker);
+    });
+
+    return () => overlays.forEach(overlay => overlay.setMap(null));
+  }, [corridor]);
+
+  // Highlight the current step's maneuver point
+  const maneuverLat = navigationView?.maneuver?.lat;
+  const maneuverLng = navigationView?.maneuver?.lng;
+  useEffect(() => {
+    const map = localMapRef.current;
+    if (!map || !Number.isFinite(maneuverLat) || !Number.isFinite(maneuverLng)) return;
+    const marker = new window.google.maps.Marker({
+      position: { lat: maneuverLat, lng: maneuverLng },
+      map,
+      zIndex: 5,
+      icon: {
+        path: window.google.maps.SymbolPath.CIRCLE,
+        scale: 9,
+        fillColor: 'white',
+        fillOpacity: 1,
+        strokeColor: '#f97316',
+        strokeWeight: 4,
+      },
+    });
+    return () => marker.setMap(null);
+  }, [maneuverLat, maneuverLng]);
 
+  // Render places markers. markerRefs.current[placeId] is { marker, highlight(on) }; a place
+  // inside a cluster highlights its cluster.
+  useEffect(() => {
+    const map = localMapRef.current;
+    if (!map) return;
+    markerRefs.current = {};
+
+    const clusters = clusterMarkers(markerItems(places, placeRanking), zoom);
+    const markers = clusters.map((cluster) => {
+      const single = cluster.items.length === 1;
+      const place = cluster.items[0].place;
+      const selected = cluster.items.some(it => it.id && it.id === selectedPlaceId);
       const marker = new window.google.maps.Marker({
-        position: { lat, lng },
+        position: { lat: cluster.lat, lng: cluster.lng },
         map,
-        title: place.name || 'Place',
+        title: single ? (place.name || 'Place') : `${cluster.items.length} places`,
+        ...markerOptions(cluster, { selected, highlighted: false }),
       });
+      const highlight = (on) => marker.setOptions(markerOptions(cluster, { selected, highlighted: on }));
 
-      if (onPlaceClick) {
+      if (single) {
+        marker.addListener('click', () => handlersRef.current.onPlaceClick?.(place));
+        marker.addListener('mouseover', () => handlersRef.current.onPlaceHover?.(place.place_id || null));
+        marker.addListener('mouseout', () => handlersRef.current.onPlaceHover?.(null));
+      } else {
+        // Zoom in until the cluster splits up
         marker.addListener('click', () => {
-          onPlaceClick(place);
+          const bounds = new window.google.maps.LatLngBounds();
+          cluster.items.forEach(it => bounds.extend({ lat: it.lat, lng: it.lng }));
+          map.fitBounds(bounds, { top: 80, right: 80, bottom: 80, left: 80 });
         });
       }
 
-      if (place.place_id) {
-        markerRefs.current[place.place_id] = marker;
-      }
+      cluster.items.forEach((it) => {
+        if (it.id) markerRefs.current[it.id] = { marker, highlight };
+      });
+      return marker;
     });
-  }, [places, onPlaceClick]);
+
+    return () => {
+      markers.forEach(marker => marker.setMap(null));
+      markerRefs.current = {};
+    };
+  }, [places, placeRanking, selectedPlaceId, zoom]);
 
   // Render current location and destination markers
   useEffect(() => {
     const map = localMapRef.current;
     if (!map) return;
 
-    // Current position marker
+    // Current position marker: an arrow pointing the direction of travel while navigating
     let posMarker = null;
     if (Array.isArray(position) && Number.isFinite(position[0]) && Number.isFinite(position[1])) {
+      const showHeading = navigating && Number.isFinite(heading);
       posMarker = new window.google.maps.Marker({
         position: { lat: position[0], lng: position[1] },
         map,
-        icon: {
-          path: window.google.maps.SymbolPath.CIRCLE,
-          scale: 7,
-          fillColor: '#3b82f6',
-          fillOpacity: 1,
-          strokeColor: 'white',
-          strokeWeight: 3,
-        },
+        zIndex: 10,
+        icon: showHeading
+          ? {
+            path: window.google.maps.SymbolPath.FORWARD_CLOSED_ARROW,
+            scale: 6,
+            rotation: heading,
+            fillColor: '#3b82f6',
+            fillOpacity: 1,
+            strokeColor: 'white',
+            strokeWeight: 2,
+          }
+          : {
+            path: window.google.maps.SymbolPath.CIRCLE,
+            scale: 7,
+            fillColor: '#3b82f6',
+            fillOpacity: 1,
+            strokeColor: 'white',
+            strokeWeight: 3,
+          },
       });
     }
 
@@ -155,11 +386,12 @@ const GoogleMap = ({
       if (posMarker) posMarker.setMap(null);
       if (destMarker) destMarker.setMap(null);
     };
-  }, [position, destination]);
+  }, [position, destination, navigating, heading]);
 
   return (
-    <div style={{ width: '100%', height: '100%' }}>
+    <div style={{ width: '100%', height: '100%', position: 'relative' }}>
       <div ref={mapContainer} style={{ width: '100%', height: '100%' }} />
+      {navigating && !following && <RecenterButton onClick={() => setFollowing(true)} />}
     </div>
   );
 };
@@ -1,22 +1,106 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useMemo, useState } from 'react';
 import mapboxgl from 'mapbox-gl';
 import 'mapbox-gl/dist/mapbox-gl.css';
+import { NAV_ZOOM, NAV_TILT, splitRouteAtPosition, RecenterButton } from './mapEngine';
+import { markerItems, clusterMarkers } from './mapMarkers';
 
 // Ensure Mapbox GL always has an access token set
 mapboxgl.accessToken = process.env.REACT_APP_MAPBOX_TOKEN || '';
 
-const MapboxMap = ({ 
-  position, 
-  destination, 
-  places, 
-  bestRouteCoords, 
+const isLatLng = (p) => Array.isArray(p) && Number.isFinite(p[0]) && Number.isFinite(p[1]);
+
+// GeoJSON line from the app's [lat, lng] path (Mapbox wants [lng, lat])
+const lineFeature = (path) => ({
+  type: 'Feature',
+  properties: {},
+  geometry: { type: 'LineString', coordinates: (path || []).filter(isLatLng).map(([lat, lng]) => [lng, lat]) },
+});
+
+// Corridor shading and the outline of an area being drawn, as GeoJSON (rings closed)
+const corridorFeatures = (corridor) => {
+  const toRing = (path) => {
+    const ring = (path || []).filter(isLatLng).map(([lat, lng]) => [lng, lat]);
+    return ring.length > 2 ? ring.concat([ring[0]]) : ring;
+  };
+  const features = [];
+  const outline = toRing(corridor?.outline);
+  if (outline.length > 3) {
+    features.push({ type: 'Feature', properties: {}, geometry: { type: 'Polygon', coordinates: [outline] } });
+  }
+  const drawing = toRing(corridor?.drawing);
+  if (drawing.length > 1) {
+    features.push({ type: 'Feature', properties: {}, geometry: { type: 'LineString', coordinates: drawing } });
+  }
+  return { type: 'FeatureCollection', features };
+};
+
+const dotElement = (className, color, size = 20) => {
+  const el = document.createElement('div');
+  el.className = className;
+  el.style.cssText = `
+    width: ${size}px;
+    height: ${size}px;
+    background-color: ${color};
+    border: 3px solid white;
+    border-radius: 50%;
+    box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+  `;
+  return el;
+};
+
+// Place or cluster marker, styled like GoogleMap's: colored by added time, numbered by rank.
+// Paints an inner element; Mapbox positions the marker's own element with its inline transform.
+const paintMarker = (el, cluster, { selected, highlighted }) => {
+  const single = cluster.items.length === 1;
+  const base = single ? (cluster.rank && cluster.rank <= 3 ? 22 : 18) : 26 + Math.min(14, Math.log2(cluster.items.length) * 4);
+  const size = highlighted ? base + 8 : base;
+  el.textContent = single ? (cluster.rank ? String(cluster.rank) : '') : String(cluster.items.length);
+  el.style.cssText = `
+    width: ${size}px;
+    height: ${size}px;
+    line-height: ${size}px;
+    text-align: center;
+    color: white;
+    font: 700 11px sans-serif;
+    background-color: ${cluster.color};
+    opacity: ${single ? 1 : 0.85};
+    border: ${selected || highlighted ? '3px solid #111827' : '2px solid white'};
+    border-radius: 50%;
+    box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+    cursor: pointer;
+    box-sizing: content-box;
+  `;
+};
+
+// Same props and behavior as GoogleMap (see ./mapEngine)
+const MapboxMap = ({
+  position,
+  destination,
+  places,
+  placeRanking,
+  selectedPlaceId,
+  bestRouteCoords,
+  routeOverlays,
+  corridor,
+  navigationView,
   onPlaceClick,
+  onPlaceHover,
+  onRouteClick,
+  onCorridorHandleDrag,
+  onMapClick,
   mapRef,
-  markerRefs 
+  markerRefs
 }) => {
   const mapContainer = useRef(null);
   const [map, setMap] = useState(null);
-  const [directions, setDirections] = useState(null);
+  const navigatingRef = useRef(false);
+  const [following, setFollowing] = useState(true);
+  const [zoom, setZoom] = useState(15);
+  const navigating = Boolean(navigationView);
+  navigatingRef.current = navigating;
+  // Latest handlers, so markers aren't rebuilt whenever the parent passes new functions
+  const handlersRef = useRef({});
+  handlersRef.current = { onPlaceClick, onPlaceHover, onRouteClick, onCorridorHandleDrag, onMapClick };
 
   useEffect(() => {
     if (!mapContainer.current) return;
@@ -24,154 +108,267 @@ const MapboxMap = ({
     const mapInstance = new mapboxgl.Map({
       container: mapContainer.current,
       style: 'mapbox://styles/mapbox/streets-v12',
-      center: position || [0, 0],
+      center: isLatLng(position) ? [position[1], position[0]] : [0, 0],
       zoom: 15,
       accessToken: process.env.REACT_APP_MAPBOX_TOKEN
     });
 
+    // Panning away during navigation stops the camera from following
+    mapInstance.on('dragstart', () => {
+      if (navigatingRef.current) setFollowing(false);
+    });
+    mapInstance.on('zoomend', () => setZoom(Math.round(mapInstance.getZoom())));
+    mapInstance.on('click', (e) => handlersRef.current.onMapClick?.(e.lngLat.lat, e.lngLat.lng));
+
     mapInstance.on('load', () => {
-      setMap(mapInstance);
-      if (mapRef) mapRef.current = mapInstance;
-      
+      // Search corridor, under the routes
+      mapInstance.addSource('corridor', { type: 'geojson', data: corridorFeatures(null) });
+      mapInstance.addLayer({
+        id: 'corridor-fill',
+        type: 'fill',
+        source: 'corridor',
+        filter: ['==', ['geometry-type'], 'Polygon'],
+        paint: { 'fill-color': '#6366f1', 'fill-opacity': 0.12 }
+      });
+      mapInstance.addLayer({
+        id: 'corridor-line',
+        type: 'line',
+        source: 'corridor',
+        paint: { 'line-color': '#6366f1', 'line-width': 1.5, 'line-opacity': 0.6 }
+      });
+
+      // Route layers: the travelled part (grey, while navigating) under the part still ahead
+      mapInstance.addSource('route-travelled', { type: 'geojson', data: lineFeature([]) });
+      mapInstance.addSource('route', { type: 'geojson', data: lineFeature([]) });
+      const layout = { 'line-join': 'round', 'line-cap': 'round' };
+      mapInstance.addLayer({
+        id: 'route-travelled',
+        type: 'line',
+        source: 'route-travelled',
+        layout,
+        paint: { 'line-color': '#9ca3af', 'line-width': 4, 'line-opacity': 0.8 }
+      });
+      mapInstance.addLayer({
+        id: 'route',
+        type: 'line',
+        source: 'route',
+        layout,
+        paint: { 'line-color': '#3b82f6', 'line-width': 4, 'line-opacity': 0.8 }
+      });
+
+      // Comparison lines (base route and detour routes); clicking one selects it
+      mapInstance.addSource('route-overlays', { type: 'geojson', data: { type: 'FeatureCollection', features: [] } });
+      mapInstance.addLayer({
+        id: 'route-overlays',
+        type: 'line',
+        source: 'route-overlays',
+        layout,
+        paint: { 'line-color': ['get', 'color'], 'line-width': ['get', 'width'], 'line-opacity': ['get', 'opacity'] }
+      });
+      mapInstance.on('click', 'route-overlays', (e) => {
+        const id = e.features?.[0]?.properties?.id;
+        if (id) handlersRef.current.onRouteClick?.(id);
+      });
+      mapInstance.on('mouseenter', 'route-overlays', () => { mapInstance.getCanvas().style.cursor = 'pointer'; });
+      mapInstance.on('mouseleave', 'route-overlays', () => { mapInstance.getCanvas().style.cursor = ''; });
+
       // Add navigation control
       mapInstance.addControl(new mapboxgl.NavigationControl(), 'top-right');
+
+      setMap(mapInstance);
+      if (mapRef) {
+        mapRef.current = {
+          engine: 'mapbox',
+          map: mapInstance,
+          focus: (lat, lng, zoom) => mapInstance.easeTo({ center: [lng, lat], ...(zoom ? { zoom } : {}) }),
+        };
+      }
     });
 
     return () => {
+      if (mapRef && mapRef.current?.map === mapInstance) mapRef.current = null;
       mapInstance.remove();
     };
   }, []);
 
-  // Fetch and display directions when destination changes
+  const heading = navigationView?.heading;
+
+  // Keep center in sync when position changes; while navigating, follow heading-up unless
+  // the user has panned away
   useEffect(() => {
-    if (!map || !position || !destination) return;
-
-    const fetchDirections = async () => {
-      try {
-        const response = await fetch(
-          `https://api.mapbox.com/directions/v5/mapbox/driving/${position[1]},${position[0]};${destination[1]},${destination[0]}?geometries=geojson&access_token=${process.env.REACT_APP_MAPBOX_TOKEN}`
-        );
-        const data = await response.json();
-        
-        if (data.routes && data.routes.length > 0) {
-          const route = data.routes[0];
-          
-          // Remove existing route source if it exists
-          if (map.getSource('route')) {
-            map.removeLayer('route');
-            map.removeSource('route');
-          }
-          
-          // Add new route
-          map.addSource('route', {
-            type: 'geojson',
-            data: {
-              type: 'Feature',
-              properties: {},
-              geometry: route.geometry
-            }
-          });
-          
-          map.addLayer({
-            id: 'route',
-            type: 'line',
-            source: 'route',
-            layout: {
-              'line-join': 'round',
-              'line-cap': 'round'
-            },
-            paint: {
-              'line-color': '#3b82f6',
-              'line-width': 4,
-              'line-opacity': 0.8
-            }
-          });
-          
-          // Fit map to route bounds
-          const coordinates = route.geometry.coordinates;
-          const bounds = coordinates.reduce((bounds, coord) => {
-            return bounds.extend(coord);
-          }, new mapboxgl.LngLatBounds(coordinates[0], coordinates[0]));
-          
-          map.fitBounds(bounds, {
-            padding: 50
-          });
-        }
-      } catch (error) {
-        console.error('Error fetching directions:', error);
-      }
-    };
+    if (!map || !isLatLng(position)) return;
+    const center = [position[1], position[0]];
+    if (!navigating) {
+      map.setCenter(center);
+      return;
+    }
+    if (!following) return;
+    map.easeTo({
+      center,
+      zoom: NAV_ZOOM,
+      pitch: NAV_TILT,
+      ...(Number.isFinite(heading) ? { bearing: heading } : {}),
+      duration: 500,
+    });
+  }, [map, position, navigating, following, heading]);
 
-    fetchDirections();
-  }, [map, position, destination]);
+  // Back to a north-up, flat camera (and following) when navigation ends
+  useEffect(() => {
+    if (navigating || !map) return;
+    setFollowing(true);
+    map.easeTo({ bearing: 0, pitch: 0 });
+  }, [map, navigating]);
 
-  // Add markers when places change
+  // Fit the whole route when it changes (not while navigating; the camera follows the user then)
   useEffect(() => {
-    if (!map || !places.length) return;
+    if (!map || navigatingRef.current) return;
+    const coordinates = lineFeature(bestRouteCoords).geometry.coordinates;
+    if (coordinates.length < 2) return;
+    const bounds = coordinates.reduce(
+      (b, coord) => b.extend(coord),
+      new mapboxgl.LngLatBounds(coordinates[0], coordinates[0])
+    );
+    map.fitBounds(bounds, { padding: 50 });
+  }, [map, bestRouteCoords]);
 
-    // Clear existing markers
-    if (markerRefs.current) {
-      Object.values(markerRefs.current).forEach(marker => {
-        if (marker && marker.remove) marker.remove();
-      });
-      markerRefs.current = {};
-    }
+  // Draw the app's route: the part still ahead in blue, the travelled part in grey
+  const routeParts = useMemo(
+    () => splitRouteAtPosition(bestRouteCoords, navigating ? position : null),
+    [navigating, position, bestRouteCoords]
+  );
+  useEffect(() => {
+    if (!map) return;
+    map.getSource('route')?.setData(lineFeature(routeParts.ahead));
+    map.getSource('route-travelled')?.setData(lineFeature(routeParts.travelled));
+  }, [map, routeParts]);
 
-    // Add place markers
-    places.forEach((place) => {
-      const lat = place.geometry?.location?.lat;
-      const lng = place.geometry?.location?.lng;
-      if (!lat || !lng) return;
+  useEffect(() => {
+    if (!map) return;
+    map.getSource('route-overlays')?.setData({
+      type: 'FeatureCollection',
+      features: (routeOverlays || []).map((overlay) => {
+        const feature = lineFeature(overlay.coords);
+        feature.properties = {
+          id: overlay.id,
+          color: overlay.color,
+          width: overlay.selected ? 8 : 5,
+          opacity: overlay.selected ? 0.95 : 0.6,
+        };
+        return feature;
+      }),
+    });
+  }, [map, routeOverlays]);
 
-      const el = document.createElement('div');
-      el.style.cssText = `
-        width: 32px;
-        height: 32px;
-        background-image: url('https://cdn-icons-png.flaticon.com/512/1046/1046784.png');
-        background-size: contain;
-        background-repeat: no-repeat;
-        cursor: pointer;
-        border: 2px solid white;
-        border-radius: 50%;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-      `;
-      
-      el.addEventListener('click', () => {
-        if (onPlaceClick) onPlaceClick(place);
+  // Search corridor: the shaded area results come from, handles at the ends of a picked stretch,
+  // and the vertices of an area being drawn
+  useEffect(() => {
+    if (!map) return;
+    map.getSource('corridor')?.setData(corridorFeatures(corridor));
+    const markers = [];
+    (corridor?.drawing || []).filter(isLatLng).forEach(([lat, lng]) => {
+      const el = dotElement('corridor-vertex', '#6366f1', 8);
+      el.style.borderWidth = '2px';
+      markers.push(new mapboxgl.Marker(el).setLngLat([lng, lat]).addTo(map));
+    });
+    (corridor?.handles || []).forEach((handle) => {
+      const el = dotElement('corridor-handle', 'white', 14);
+      el.style.border = '4px solid #6366f1';
+      el.style.cursor = 'grab';
+      el.title = handle.id === 'start' ? 'Drag to move where the search starts' : 'Drag to move where the search ends';
+      const marker = new mapboxgl.Marker({ element: el, draggable: true })
+        .setLngLat([handle.lng, handle.lat])
+        .addTo(map);
+      marker.on('dragend', () => {
+        const { lat, lng } = marker.getLngLat();
+        handlersRef.current.onCorridorHandleDrag?.(handle.id, lat, lng);
       });
+      markers.push(marker);
+    });
+    return () => markers.forEach(marker => marker.remove());
+  }, [map, corridor]);
+
+  // Highlight the current step's maneuver point
+  const maneuverLat = navigationView?.maneuver?.lat;
+  const maneuverLng = navigationView?.maneuver?.lng;
+  useEffect(() => {
+    if (!map || !Number.isFinite(maneuverLat) || !Number.isFinite(maneuverLng)) return;
+    const el = dotElement('maneuver-marker', 'white', 18);
+    el.style.border = '4px solid #f97316';
+    const marker = new mapboxgl.Marker(el).setLngLat([maneuverLng, maneuverLat]).addTo(map);
+    return () => marker.remove();
+  }, [map, maneuverLat, maneuverLng]);
+
+  // Add markers when places change. markerRefs.current[placeId] is { marker, highlight(on) };
+  // a place inside a cluster highlights its cluster.
+  useEffect(() => {
+    if (!map) return;
+    markerRefs.current = {};
 
+    const clusters = clusterMarkers(markerItems(places, placeRanking), zoom);
+    const markers = clusters.map((cluster) => {
+      const single = cluster.items.length === 1;
+      const place = cluster.items[0].place;
+      const selected = cluster.items.some(it => it.id && it.id === selectedPlaceId);
+      const el = document.createElement('div');
+      el.title = single ? (place.name || 'Place') : `${cluster.items.length} places`;
+      const dot = el.appendChild(document.createElement('div'));
+      paintMarker(dot, cluster, { selected, highlighted: false });
       const marker = new mapboxgl.Marker(el)
-        .setLngLat([lng, lat])
+        .setLngLat([cluster.lng, cluster.lat])
         .addTo(map);
+      const highlight = (on) => {
+        paintMarker(dot, cluster, { selected, highlighted: on });
+        el.style.zIndex = on ? '2' : '';
+      };
 
-      if (place.place_id) {
-        markerRefs.current[place.place_id] = marker;
+      if (single) {
+        el.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handlersRef.current.onPlaceClick?.(place);
+        });
+        el.addEventListener('mouseenter', () => handlersRef.current.onPlaceHover?.(place.place_id || null));
+        el.addEventListener('mouseleave', () => handlersRef.current.onPlaceHover?.(null));
+      } else {
+        // Zoom in until the cluster splits up
+        el.addEventListener('click', (e) => {
+          e.stopPropagation();
+          const bounds = cluster.items.reduce(
+            (b, it) => b.extend([it.lng, it.lat]),
+            new mapboxgl.LngLatBounds([cluster.lng, cluster.lat], [cluster.lng, cluster.lat])
+          );
+          map.fitBounds(bounds, { padding: 80 });
+        });
       }
+
+      cluster.items.forEach((it) => {
+        if (it.id) markerRefs.current[it.id] = { marker, highlight };
+      });
+      return marker;
     });
-  }, [map, places, onPlaceClick]);
 
-  // Add location markers
+    return () => {
+      markers.forEach(marker => marker.remove());
+      markerRefs.current = {};
+    };
+  }, [map, places, placeRanking, selectedPlaceId, zoom]);
+
+  // Add location markers; they're removed and redrawn whenever the position changes
   useEffect(() => {
     if (!map) return;
 
-    // Clear existing location markers
-    const existingMarkers = document.querySelectorAll('.location-marker, .destination-marker');
-    existingMarkers.forEach(marker => marker.remove());
-
-    // Add current location marker
-    if (position) {
-      const locationEl = document.createElement('div');
-      locationEl.className = 'location-marker';
-      locationEl.style.cssText = `
-        width: 20px;
-        height: 20px;
-        background-color: #3b82f6;
-        border: 3px solid white;
-        border-radius: 50%;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-      `;
-
-      new mapboxgl.Marker(locationEl)
+    // Current location marker: an arrow pointing the direction of travel while navigating
+    let posMarker = null;
+    if (isLatLng(position)) {
+      const showHeading = navigating && Number.isFinite(heading);
+      const locationEl = dotElement('location-marker', '#3b82f6');
+      if (showHeading) {
+        locationEl.style.cssText = 'color: #3b82f6; font-size: 26px; line-height: 1; text-shadow: 0 0 3px white, 0 0 3px white;';
+        locationEl.textContent = '▲';
+      }
+      posMarker = new mapboxgl.Marker({
+        element: locationEl,
+        ...(showHeading ? { rotation: heading, rotationAlignment: 'map' } : {}),
+      })
         .setLngLat([position[1], position[0]])
         .setPopup(new mapboxgl.Popup().setHTML(`
           <div style="padding: 8px;">
@@ -182,19 +379,9 @@ const MapboxMap = ({
     }
 
     // Add destination marker
-    if (destination) {
-      const destEl = document.createElement('div');
-      destEl.className = 'destination-marker';
-      destEl.style.cssText = `
-        width: 20px;
-        height: 20px;
-        background-color: #ef4444;
-        border: 3px solid white;
-        border-radius: 50%;
-        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
-      `;
-
-      new mapboxgl.Marker(destEl)
+    let destMarker = null;
+    if (isLatLng(destination)) {
+      destMarker = new mapboxgl.Marker(dotElement('destination-marker', '#ef4444'))
         .setLngLat([destination[1], destination[0]])
         .setPopup(new mapboxgl.Popup().setHTML(`
           <div style="padding: 8px;">
@@ -203,11 +390,17 @@ const MapboxMap = ({
         `))
         .addTo(map);
     }
-  }, [map, position, destination]);
+
+    return () => {
+      if (posMarker) posMarker.remove();
+      if (destMarker) destMarker.remove();
+    };
+  }, [map, position, destination, navigating, heading]);
 
   return (
-    <div className="mapbox-container" style={{ width: '100%', height: '100%' }}>
+    <div className="mapbox-container" style={{ width: '100%', height: '100%', position: 'relative' }}>
       <div ref={mapContainer} style={{ width: '100%', height: '100%' }} />
+      {navigating && !following && <RecenterButton onClick={() => setFollowing(true)} />}
     </div>
   );
 };
@@ -0,0 +1,187 @@
+import React from 'react';
+import { MAX_TRIP_STOPS, summarizeTrip } from './trip';
+import { arrivalStatus } from './openingHours';
+import { legTransitRides } from './transit';
+
+const minutes = (sec) => Math.round((sec || 0) / 60);
+
+const smallButton = {
+  padding: '2px 6px',
+  background: '#e5e7eb',
+  color: '#111827',
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer',
+  fontSize: 11,
+  fontWeight: 600,
+};
+
+const linkButton = (background) => ({
+  padding: '8px 12px',
+  background,
+  color: 'white',
+  borderRadius: '6px',
+  fontSize: '12px',
+  fontWeight: 600,
+});
+
+const clock = (date) => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+const placeCoords = (place) => {
+  const lat = place.geometry?.location?.lat;
+  const lng = place.geometry?.location?.lng;
+  return Number.isFinite(lat) && Number.isFinite(lng) ? `${lat},${lng}` : null;
+};
+
+// Apple Maps direction flags per travel mode; it has no cycling directions
+const APPLE_DIRFLG = { driving: 'd', walking: 'w', transit: 'r' };
+
+// External map links for the whole trip. Google Maps takes every stop in one URL;
+// Apple Maps only supports a single leg, so we link each leg separately.
+const ExternalLinks = ({ position, destination, stops, travelMode }) => {
+  if (!position || !destination || stops.length === 0) return null;
+  const o = `${position[0]},${position[1]}`;
+  const d = `${destination[0]},${destination[1]}`;
+  const places = stops.map(s => s.place);
+  const wps = places.map(placeCoords);
+  // Coordinates for waypoints plus waypoint_place_ids to bind to the exact places; both lists
+  // skip stops without coordinates so the IDs line up with their waypoints
+  const located = places.filter((_, i) => wps[i]);
+  const googleUrl = `https://www.google.com/maps/dir/?api=1&origin=${encodeURIComponent(o)}&destination=${encodeURIComponent(d)}&waypoints=${encodeURIComponent(located.map(placeCoords).join('|'))}&waypoint_place_ids=${encodeURIComponent(located.map(p => p.place_id).join('|'))}&travelmode=${travelMode}`;
+
+  const points = [{ coords: o }, ...places.map((p, i) => ({ coords: wps[i], name: p.name })), { coords: d, name: 'destination' }];
+  const dirflg = APPLE_DIRFLG[travelMode];
+  const appleLegs = wps.every(Boolean) && dirflg
+    ? points.slice(1).map((to, i) => ({
+      href: `https://maps.apple.com/?saddr=${encodeURIComponent(points[i].coords)}&daddr=${encodeURIComponent(to.coords)}&dirflg=${dirflg}`,
+      label: `Apple Maps (to ${to.name})`,
+    }))
+    : [];
+
+  return (
+    <div style={{ marginTop: '12px', display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+      <a href={googleUrl} target="_blank" rel="noreferrer" style={{ textDecoration: 'none' }}>
+        <div style={linkButton('#1a73e8')}>Open in Google Maps</div>
+      </a>
+      {appleLegs.map(leg => (
+        <a key={leg.href} href={leg.href} target="_blank" rel="noreferrer" style={{ textDecoration: 'none' }}>
+          <div style={linkButton('#111827')}>{leg.label}</div>
+        </a>
+      ))}
+    </div>
+  );
+};
+
+// Lines, stops and times for the transit rides of one leg (nothing for other travel modes)
+const TransitRides = ({ leg }) => legTransitRides(leg).map((ride, i) => (
+  <div key={i} style={{ fontSize: '12px', color: '#333', marginTop: '2px' }}>
+    {ride.icon} <span style={{ fontWeight: 600, color: ride.color || '#333' }}>{ride.vehicle} {ride.line}</span>
+    {ride.departs ? ` ${ride.departs}` : ''} · {ride.from} → {ride.to}{ride.numStops ? ` (${ride.numStops} stops)` : ''}
+  </div>
+));
+
+// Sidebar panel for a planned trip: ordered food stops with per-leg and cumulative added time
+const TripPanel = ({
+  trip,
+  baseRouteTimeSec,
+  typicalBaseTimeSec = baseRouteTimeSec,
+  position,
+  destination,
+  updating,
+  travelMode = 'driving',
+  departure,
+  placeHours = {},
+  onMoveStop,
+  onRemoveStop,
+  onToggleOptimize,
+  onAddStop,
+  onGo,
+  onBack,
+}) => {
+  const summary = summarizeTrip(trip.route, trip.stops, baseRouteTimeSec, typicalBaseTimeSec);
+
+  return (
+    <div style={{ whiteSpace: 'normal' }}>
+      <div style={{ fontWeight: 'bold', fontSize: '18px', marginBottom: '8px' }}>
+        {trip.stops.length > 1 ? `Trip · ${trip.stops.length} stops` : 'Route Confirmation'}
+      </div>
+
+      <div style={{ padding: '12px', background: '#f8f9fa', border: '1px solid #e9ecef', borderRadius: '8px', marginBottom: '12px', opacity: updating ? 0.6 : 1 }}>
+        {summary.stops.map((row, i) => (
+          <div key={row.stop.place.place_id} style={{ paddingBottom: '8px', marginBottom: '8px', borderBottom: '1px solid #e9ecef' }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '8px' }}>
+              <div style={{ fontSize: '15px', fontWeight: 600 }}>{i + 1}. {row.stop.place.name}</div>
+              <div style={{ display: 'flex', gap: '4px', flexShrink: 0 }}>
+                <button style={smallButton} disabled={updating || i === 0} onClick={() => onMoveStop(i, i - 1)} aria-label="Move stop up">↑</button>
+                <button style={smallButton} disabled={updating || i === trip.stops.length - 1} onClick={() => onMoveStop(i, i + 1)} aria-label="Move stop down">↓</button>
+                <button style={{ ...smallButton, color: '#e11d48' }} disabled={updating} onClick={() => onRemoveStop(i)} aria-label="Remove stop">✕</button>
+              </div>
+            </div>
+            <div style={{ fontSize: '12px', color: '#666', marginBottom: '4px' }}>{row.stop.place.vicinity || row.stop.place.formatted_address || ''}</div>
+            <div style={{ fontSize: '12px', color: '#333' }}>
+              Leg: {minutes(row.legSec)} min · arrive after {minutes(row.arriveAfterSec)} min
+            </div>
+            {departure && (() => {
+              const at = new Date(departure.getTime() + row.arriveAfterSec * 1000);
+              const id = row.stop.place.place_id;
+              const status = id in placeHours ? arrivalStatus(placeHours[id], at) : null;
+              return (
+                <div style={{ fontSize: '12px', color: status === 'closed' ? '#e11d48' : '#333', fontWeight: status === 'closed' ? 600 : 400 }}>
+                  🕒 Arrive {clock(at)}{status === 'closed' ? ' · closed then!' : status === 'open' ? ' · open' : ''}
+                </div>
+              );
+            })()}
+            <TransitRides leg={trip.route?.legs?.[i]} />
+            <div style={{ fontSize: '12px', color: '#e11d48', fontWeight: 600 }}>
+              +{minutes(row.addedSec)} min for this stop · +{minutes(row.cumulativeAddedSec)} min so far
+            </div>
+          </div>
+        ))}
+        <div style={{ fontSize: '12px', color: '#333', marginBottom: '6px' }}>Final leg to destination: {minutes(summary.finalLegSec)} min</div>
+        <TransitRides leg={trip.route?.legs?.[trip.stops.length]} />
+        <div style={{ color: '#0a7', fontSize: '14px', fontWeight: '600' }}>Total: {minutes(summary.totalTime)} minutes</div>
+        <div style={{ color: '#e11d48', fontSize: '13px', fontWeight: '700', marginTop: '2px' }}>+{minutes(summary.addedTime)} minutes vs baseline</div>
+        <div style={{ color: '#666', fontSize: '12px', marginTop: '6px' }}>Baseline: {minutes(summary.trafficAware ? baseRouteTimeSec : typicalBaseTimeSec)} minutes
+          {summary.trafficAware ? ' (with traffic)' : baseRouteTimeSec !== typicalBaseTimeSec ? ' (typical; trips through stops have no live traffic)' : ''}
+        </div>
+      </div>
+
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '12px', flexWrap: 'wrap' }}>
+        <button
+          style={{ padding: '8px 10px', background: '#0ea5e9', color: 'white', border: 'none', borderRadius: '6px', fontWeight: 600, fontSize: '12px', cursor: 'pointer' }}
+          disabled={updating || trip.stops.length >= MAX_TRIP_STOPS}
+          onClick={onAddStop}
+        >
+          + Add stop
+        </button>
+        {trip.stops.length > 1 && (
+          <label style={{ fontSize: '12px', color: '#333', display: 'flex', alignItems: 'center', gap: '4px' }}>
+            <input type="checkbox" checked={!!trip.optimize} disabled={updating} onChange={onToggleOptimize} />
+            Optimize stop order
+          </label>
+        )}
+        {updating && <span style={{ fontSize: '12px', color: '#666' }}>Updating route...</span>}
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          style={{ flex: 1, padding: '10px', background: '#10b981', color: 'white', border: 'none', borderRadius: '8px', fontWeight: 600, cursor: 'pointer' }}
+          disabled={updating}
+          onClick={onGo}
+        >
+          Go
+        </button>
+        <button
+          style={{ flex: 1, padding: '10px', background: '#6b7280', color: 'white', border: 'none', borderRadius: '8px', fontWeight: 600, cursor: 'pointer' }}
+          onClick={onBack}
+        >
+          Back
+        </button>
+      </div>
+
+      <ExternalLinks position={position} destination={destination} stops={trip.stops} travelMode={travelMode} />
+    </div>
+  );
+};
+
+export default TripPanel;
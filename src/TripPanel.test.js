@@ -0,0 +1,17 @@
+import { render, screen } from '@testing-library/react';
+import TripPanel from './TripPanel';
+
+const place = (id, name, location) => ({ place_id: id, name, geometry: location ? { location } : undefined });
+const stops = [
+  { place: place('a', 'Noodles', { lat: 1, lng: 2 }) },
+  { place: place('b', 'No coords') },
+  { place: place('c', 'Tacos', { lat: 3, lng: 4 }) },
+];
+const route = { legs: [0, 1, 2, 3].map(() => ({ duration: { value: 600 }, distance: { value: 1000 } })) };
+
+test('Google Maps link pairs each waypoint with its own place ID', () => {
+  render(<TripPanel trip={{ stops, route }} baseRouteTimeSec={1200} position={[0, 0]} destination={[5, 5]} />);
+  const url = new URL(screen.getByRole('link', { name: 'Open in Google Maps' }).getAttribute('href'));
+  expect(url.searchParams.get('waypoints')).toBe('1,2|3,4');
+  expect(url.searchParams.get('waypoint_place_ids')).toBe('a|c');
+});
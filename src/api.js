@@ -0,0 +1,46 @@
+// Client helpers for the Mapetite API (Vercel functions in api/, backend/server.js in development)
+
+// Dynamic API base: production -> '/api' (Vercel), development -> local server (backend/server.js)
+export const API_BASE = process.env.NODE_ENV === 'production' ? '/api' : 'http://localhost:3001/api';
+
+// Run a server-side detour search and hand each streamed NDJSON event to `onEvent`.
+// Resolves when the stream ends; rejects on HTTP errors (with the JSON body on err.data).
+export const streamDetours = async (params, onEvent, { signal } = {}) => {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([k, v]) => {
+    if (v !== undefined && v !== null && v !== '') query.set(k, String(v));
+  });
+
+  const res = await fetch(`${API_BASE}/detours?${query.toString()}`, {
+    headers: { Accept: 'application/x-ndjson' },
+    signal,
+  });
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    const err = new Error(data?.error || `Detour search failed (${res.status})`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  }
+
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  const flushLines = () => {
+    let nl;
+    while ((nl = buffer.indexOf('\n')) >= 0) {
+      const line = buffer.slice(0, nl).trim();
+      buffer = buffer.slice(nl + 1);
+      if (line) onEvent(JSON.parse(line));
+    }
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    flushLines();
+  }
+  buffer += decoder.decode();
+  buffer += '\n';
+  flushLines();
+};
@@ -0,0 +1,25 @@
+// Web Worker: ranks places against a route's segment index off the UI thread.
+// The route is sent once per routeId and its index is kept until a different route arrives.
+import { createRouteIndex, rankPlacesInCorridor } from './shared/routeIndex';
+
+// eslint-disable-next-line no-restricted-globals
+const worker = self;
+let route = { id: null, path: null, indexes: new Map() }; // indexes keyed by cell size
+
+worker.onmessage = (e) => {
+  const { id, routeId, path, places, corridorKm } = e.data;
+  try {
+    if (path) route = { id: routeId, path, indexes: new Map() };
+    if (route.id !== routeId) throw new Error(`Route ${routeId} was not sent to the worker`);
+    const cellKm = Math.max(1, corridorKm);
+    if (!route.indexes.has(cellKm)) route.indexes.set(cellKm, createRouteIndex(route.path, { cellKm }));
+
+    // Reply with indices into `places` instead of cloning the place objects back
+    const withIdx = places.map((place, i) => ({ ...place, __idx: i }));
+    const ranked = rankPlacesInCorridor(route.indexes.get(cellKm), withIdx, corridorKm)
+      .map(({ place, alongKm, offsetKm }) => ({ i: place.__idx, alongKm, offsetKm }));
+    worker.postMessage({ id, ranked });
+  } catch (err) {
+    worker.postMessage({ id, error: err.message });
+  }
+};
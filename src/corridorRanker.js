@@ -0,0 +1,74 @@
+// Corridor filtering for long routes without blocking the map: places are ranked against a
+// spatial index of the route in a Web Worker (corridor.worker.js), falling back to the main
+// thread where workers are unavailable.
+import { createRouteIndex, rankPlacesInCorridor } from './shared/routeIndex';
+
+let worker = null; // null = not created yet, false = unavailable
+let nextRequestId = 1;
+let nextRouteId = 1;
+const pending = new Map();
+const routeIds = new WeakMap();
+let workerPathId = null; // route whose path the worker already holds
+
+const rejectPending = (message) => {
+  pending.forEach(({ reject }) => reject(new Error(message)));
+  pending.clear();
+};
+
+const getWorker = () => {
+  if (worker !== null) return worker;
+  if (typeof Worker === 'undefined') {
+    worker = false;
+    return worker;
+  }
+  try {
+    worker = new Worker(new URL('./corridor.worker.js', import.meta.url));
+    worker.onmessage = (e) => {
+      const { id, ranked, error } = e.data;
+      const req = pending.get(id);
+      if (!req) return;
+      pending.delete(id);
+      if (error) {
+        workerPathId = null; // resend the route next time
+        req.reject(new Error(error));
+      }
+      else req.resolve(ranked.map(({ i, alongKm, offsetKm }) => ({ place: req.places[i], alongKm, offsetKm })));
+    };
+    worker.onerror = (e) => {
+      console.warn('Corridor worker failed, ranking on the main thread instead:', e.message);
+      worker.terminate();
+      worker = false;
+      workerPathId = null;
+      rejectPending('Corridor worker failed');
+    };
+  } catch (err) {
+    console.warn('Corridor worker unavailable:', err);
+    worker = false;
+  }
+  return worker;
+};
+
+const rankInline = (path, places, corridorKm) => {
+  const index = createRouteIndex(path, { cellKm: Math.max(1, corridorKm) });
+  return rankPlacesInCorridor(index, places, corridorKm);
+};
+
+// Resolve to [{ place, alongKm, offsetKm }] for places within corridorKm of path, closest first
+export const rankPlacesAlongRoute = (path, places, corridorKm) => {
+  const w = getWorker();
+  if (!w) return Promise.resolve(rankInline(path, places, corridorKm));
+
+  let routeId = routeIds.get(path);
+  if (!routeId) {
+    routeId = nextRouteId++;
+    routeIds.set(path, routeId);
+  }
+  const id = nextRequestId++;
+  const sendPath = workerPathId !== routeId;
+  workerPathId = routeId;
+
+  return new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, places });
+    w.postMessage({ id, routeId, path: sendPath ? path : undefined, places, corridorKm });
+  }).catch(() => rankInline(path, places, corridorKm));
+};
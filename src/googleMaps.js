@@ -0,0 +1,27 @@
+// Loads the Google Maps JavaScript API (with the Places library) once. Resolves with
+// window.google when the script has loaded, so code that needs it can wait on the promise
+// instead of checking window.google at mount time.
+
+let loading = null;
+
+export const loadGoogleMaps = () => {
+  if (window.google?.maps) return Promise.resolve(window.google);
+  if (loading) return loading;
+
+  loading = new Promise((resolve, reject) => {
+    const key = process.env.REACT_APP_GOOGLE_BROWSER_KEY;
+    if (!key) {
+      reject(new Error('REACT_APP_GOOGLE_BROWSER_KEY is not set. Google Maps may fail to load.'));
+      return;
+    }
+    const script = document.createElement('script');
+    script.setAttribute('data-google-maps', 'true');
+    script.src = `https://maps.googleapis.com/maps/api/js?key=${key}&libraries=places`;
+    script.async = true;
+    script.defer = true;
+    script.addEventListener('load', () => resolve(window.google));
+    script.addEventListener('error', () => reject(new Error('Failed to load Google Maps')));
+    document.body.appendChild(script);
+  });
+  return loading;
+};
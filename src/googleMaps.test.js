@@ -0,0 +1,16 @@
+import { loadGoogleMaps } from './googleMaps';
+
+test('adds the Maps script once and resolves when it loads', async () => {
+  process.env.REACT_APP_GOOGLE_BROWSER_KEY = 'test-key';
+  const first = loadGoogleMaps();
+  const second = loadGoogleMaps();
+  const scripts = document.querySelectorAll('script[data-google-maps]');
+  expect(scripts).toHaveLength(1);
+  expect(scripts[0].src).toContain('key=test-key');
+
+  window.google = { maps: {} };
+  scripts[0].dispatchEvent(new Event('load'));
+  await expect(first).resolves.toBe(window.google);
+  expect(second).toBe(first);
+  await expect(loadGoogleMaps()).resolves.toBe(window.google);
+});
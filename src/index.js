@@ -3,22 +3,11 @@ import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { loadGoogleMaps } from './googleMaps';
 
 function GoogleLoader({ children }) {
   useEffect(() => {
-    const existing = document.querySelector('script[data-google-maps]');
-    if (existing) return;
-    const key = process.env.REACT_APP_GOOGLE_BROWSER_KEY;
-    if (!key) {
-      console.warn('REACT_APP_GOOGLE_BROWSER_KEY is not set. Google Maps may fail to load.');
-      return;
-    }
-    const script = document.createElement('script');
-    script.setAttribute('data-google-maps', 'true');
-    script.src = `https://maps.googleapis.com/maps/api/js?key=${key}&libraries=places`;
-    script.async = true;
-    script.defer = true;
-    document.body.appendChild(script);
+    loadGoogleMaps().catch((err) => console.warn(err.message));
   }, []);
   return children;
 }
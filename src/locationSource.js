@@ -0,0 +1,127 @@
+// Where navigation gets its position fixes from. A source has watch(onFix, onError), which
+// returns a stop function, and fixes look like the browser's GeolocationPosition
+// ({ coords: { latitude, longitude, accuracy, heading, speed }, timestamp }) so the navigation
+// code can't tell live GPS from a simulated drive or a recorded track.
+
+import { haversineDistanceKm, bearingDeg, routeLengthKm, slicePathByKm } from './shared/geo';
+
+export const LOCATION_SOURCES = {
+  gps: 'Live GPS',
+  route: 'Simulate the route',
+  track: 'Play a GPX/JSON track',
+};
+
+const REPLAY_INTERVAL_MS = 1000;
+const SIMULATED_ACCURACY_M = 5;
+
+const fix = (lat, lng, { heading = null, speed = null, timestamp = Date.now() } = {}) => ({
+  coords: { latitude: lat, longitude: lng, accuracy: SIMULATED_ACCURACY_M, heading, speed },
+  timestamp,
+});
+
+// Live GPS via navigator.geolocation.watchPosition
+export const createGeolocationSource = (options = { enableHighAccuracy: true, maximumAge: 1000, timeout: 10000 }) => ({
+  watch: (onFix, onError) => {
+    if (!navigator.geolocation) {
+      onError?.(new Error('Geolocation is not supported by this browser'));
+      return () => {};
+    }
+    const id = navigator.geolocation.watchPosition(onFix, onError, options);
+    return () => navigator.geolocation.clearWatch(id);
+  },
+});
+
+// Drive along `pathLatLngs` ([[lat, lng], ...], e.g. a decoded overview polyline) at a steady
+// `speedKmh`, one fix every `intervalMs`, ending on the last point
+export const createRouteReplaySource = (pathLatLngs, { speedKmh = 50, intervalMs = REPLAY_INTERVAL_MS } = {}) => ({
+  watch: (onFix) => {
+    if (!pathLatLngs || pathLatLngs.length === 0) return () => {};
+    const totalKm = routeLengthKm(pathLatLngs);
+    const stepKm = (speedKmh * intervalMs) / 3600000;
+    const speed = speedKmh / 3.6;
+    let km = 0;
+
+    const emit = () => {
+      const ahead = slicePathByKm(pathLatLngs, km, totalKm);
+      const [lat, lng] = ahead[0] || pathLatLngs[pathLatLngs.length - 1];
+      const next = ahead.find(([aLat, aLng]) => aLat !== lat || aLng !== lng);
+      onFix(fix(lat, lng, { heading: next ? bearingDeg(lat, lng, next[0], next[1]) : null, speed: next ? speed : 0 }));
+    };
+
+    emit();
+    const timer = setInterval(() => {
+      km = Math.min(totalKm, km + stepKm);
+      emit();
+      if (km >= totalKm) clearInterval(timer);
+    }, intervalMs);
+    return () => clearInterval(timer);
+  },
+});
+
+// Play back recorded points ({ lat, lng, time }, time in ms or null). Timed tracks keep their
+// pace, sped up by `rate`; untimed ones advance one point every `intervalMs`.
+export const createTrackPlaybackSource = (points, { rate = 1, intervalMs = REPLAY_INTERVAL_MS } = {}) => ({
+  watch: (onFix) => {
+    let timer = null;
+    const play = (i) => {
+      const p = points[i];
+      const prev = points[i - 1];
+      const next = points[i + 1];
+      let speed = null;
+      if (prev && prev.time !== null && p.time !== null && p.time > prev.time) {
+        speed = (haversineDistanceKm(prev.lat, prev.lng, p.lat, p.lng) * 1000) / ((p.time - prev.time) / 1000);
+      }
+      const heading = next
+        ? bearingDeg(p.lat, p.lng, next.lat, next.lng)
+        : (prev ? bearingDeg(prev.lat, prev.lng, p.lat, p.lng) : null);
+      onFix(fix(p.lat, p.lng, { heading, speed }));
+      if (!next) return;
+      const gap = p.time !== null && next.time !== null && next.time > p.time
+        ? (next.time - p.time) / Math.max(rate, 0.01)
+        : intervalMs;
+      timer = setTimeout(() => play(i + 1), gap);
+    };
+    if (points && points.length > 0) play(0);
+    return () => clearTimeout(timer);
+  },
+});
+
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  const t = typeof value === 'number' ? value : Date.parse(value);
+  return Number.isFinite(t) ? t : null;
+};
+
+// Track points from a GPX document (track points, else route points)
+export const parseGpx = (text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  let nodes = Array.from(doc.getElementsByTagName('trkpt'));
+  if (nodes.length === 0) nodes = Array.from(doc.getElementsByTagName('rtept'));
+  return nodes
+    .map((node) => ({
+      lat: parseFloat(node.getAttribute('lat')),
+      lng: parseFloat(node.getAttribute('lon')),
+      time: parseTime(node.getElementsByTagName('time')[0]?.textContent),
+    }))
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+};
+
+// Track points from JSON: an array of [lat, lng] or { lat, lng|lon, time|timestamp }, or a
+// GeoJSON LineString (or Feature wrapping one), whose coordinates are [lng, lat]
+export const parseTrackJson = (text) => {
+  const data = JSON.parse(text);
+  const geometry = data?.type === 'Feature' ? data.geometry : data;
+  if (geometry?.type === 'LineString') {
+    return geometry.coordinates.map(([lng, lat]) => ({ lat, lng, time: null }));
+  }
+  const points = Array.isArray(data) ? data : (data?.points || []);
+  return points
+    .map((p) => (Array.isArray(p)
+      ? { lat: p[0], lng: p[1], time: null }
+      : { lat: p.lat, lng: p.lng ?? p.lon, time: parseTime(p.time ?? p.timestamp) }))
+    .filter(p => Number.isFinite(p.lat) && Number.isFinite(p.lng));
+};
+
+export const parseTrackFile = (fileName, text) => (/\.gpx$/i.test(fileName || '') || /^\s*</.test(text)
+  ? parseGpx(text)
+  : parseTrackJson(text));
@@ -0,0 +1,119 @@
+import {
+  createRouteReplaySource,
+  createTrackPlaybackSource,
+  parseGpx,
+  parseTrackJson,
+  parseTrackFile,
+} from './locationSource';
+import { buildStepsFromRoute, locateOnSteps } from './navigation';
+
+// ~1.1 km due north, then ~1.1 km due east
+const path = [[40, -75], [40.01, -75], [40.01, -74.987]];
+
+describe('route replay', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('drives the path at the given speed and stops on the last point', () => {
+    const fixes = [];
+    const stop = createRouteReplaySource(path, { speedKmh: 360, intervalMs: 1000 }).watch(p => fixes.push(p.coords));
+
+    expect(fixes[0]).toMatchObject({ latitude: 40, longitude: -75, speed: 100 });
+    expect(fixes[0].heading).toBeCloseTo(0, 0);
+
+    jest.advanceTimersByTime(5000); // 0.5 km in, still heading north
+    expect(fixes[5].latitude).toBeGreaterThan(40.004);
+    expect(fixes[5].longitude).toBeCloseTo(-75, 6);
+
+    jest.advanceTimersByTime(60000);
+    const last = fixes[fixes.length - 1];
+    expect(last.latitude).toBeCloseTo(40.01, 6);
+    expect(last.longitude).toBeCloseTo(-74.987, 6);
+    expect(last.speed).toBe(0);
+    const count = fixes.length;
+    jest.advanceTimersByTime(5000);
+    expect(fixes.length).toBe(count);
+    stop();
+  });
+
+  test('stop() ends the replay', () => {
+    const fixes = [];
+    const stop = createRouteReplaySource(path, { speedKmh: 60 }).watch(p => fixes.push(p));
+    stop();
+    jest.advanceTimersByTime(10000);
+    expect(fixes).toHaveLength(1);
+  });
+
+  test('replayed fixes walk navigation through every step', () => {
+    const route = {
+      legs: [{
+        steps: [
+          { html_instructions: 'Head north', start_location: { lat: 40, lng: -75 }, end_location: { lat: 40.01, lng: -75 } },
+          { html_instructions: 'Turn right', start_location: { lat: 40.01, lng: -75 }, end_location: { lat: 40.01, lng: -74.987 } },
+        ],
+      }],
+    };
+    const steps = buildStepsFromRoute(route);
+    const visited = new Set();
+    createRouteReplaySource(path, { speedKmh: 360 }).watch(({ coords }) => {
+      const { stepIndex, offsetKm } = locateOnSteps(steps, 0, coords.latitude, coords.longitude);
+      expect(offsetKm).toBeLessThan(0.01);
+      visited.add(stepIndex);
+    });
+    jest.advanceTimersByTime(60000);
+    expect([...visited]).toEqual([0, 1]);
+  });
+});
+
+describe('track playback', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('keeps the recorded pace, sped up by rate', () => {
+    const points = [
+      { lat: 40, lng: -75, time: 0 },
+      { lat: 40.001, lng: -75, time: 10000 },
+      { lat: 40.002, lng: -75, time: 20000 },
+    ];
+    const fixes = [];
+    createTrackPlaybackSource(points, { rate: 2 }).watch(p => fixes.push(p.coords));
+    expect(fixes).toHaveLength(1);
+    jest.advanceTimersByTime(4999);
+    expect(fixes).toHaveLength(1);
+    jest.advanceTimersByTime(1);
+    expect(fixes).toHaveLength(2);
+    expect(fixes[1].speed).toBeCloseTo(11.1, 1);
+    jest.advanceTimersByTime(5000);
+    expect(fixes).toHaveLength(3);
+    expect(fixes[2].heading).toBeCloseTo(0, 0);
+  });
+});
+
+describe('track files', () => {
+  const gpx = `<?xml version="1.0"?>
+<gpx version="1.1"><trk><trkseg>
+  <trkpt lat="40.0" lon="-75.0"><time>2024-05-01T12:00:00Z</time></trkpt>
+  <trkpt lat="40.001" lon="-75.0"><time>2024-05-01T12:00:10Z</time></trkpt>
+</trkseg></trk></gpx>`;
+
+  test('reads GPX track points with times', () => {
+    expect(parseGpx(gpx)).toEqual([
+      { lat: 40, lng: -75, time: Date.parse('2024-05-01T12:00:00Z') },
+      { lat: 40.001, lng: -75, time: Date.parse('2024-05-01T12:00:10Z') },
+    ]);
+  });
+
+  test('reads JSON point lists and GeoJSON lines', () => {
+    expect(parseTrackJson('[[40, -75], {"lat": 40.1, "lon": -75.1, "time": 1000}]')).toEqual([
+      { lat: 40, lng: -75, time: null },
+      { lat: 40.1, lng: -75.1, time: 1000 },
+    ]);
+    expect(parseTrackJson('{"type": "Feature", "geometry": {"type": "LineString", "coordinates": [[-75, 40]]}}'))
+      .toEqual([{ lat: 40, lng: -75, time: null }]);
+  });
+
+  test('picks the parser from the file', () => {
+    expect(parseTrackFile('drive.gpx', gpx)).toHaveLength(2);
+    expect(parseTrackFile('drive.json', '[[40, -75]]')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,45 @@
+// Map engines. GoogleMap and MapboxMap are interchangeable renderers: both take the same props
+// (position, destination, places, placeRanking, selectedPlaceId, bestRouteCoords, routeOverlays,
+// corridor, navigationView, onPlaceClick, onPlaceHover, onRouteClick, onCorridorHandleDrag,
+// onMapClick, mapRef, markerRefs), draw the app's own routes rather than fetching one, and put
+// engine-neutral handles on the refs:
+// mapRef.current is { engine, map (the native map), focus(lat, lng, zoom) } and
+// markerRefs.current[placeId] is { marker, highlight(on) }.
+
+import React from 'react';
+import { computeAlongRouteDistanceKm, routeLengthKm, slicePathByKm } from './shared/geo';
+
+export const MAP_ENGINES = {
+  google: { label: 'Google', available: () => true },
+  mapbox: { label: 'Mapbox', available: () => Boolean(process.env.REACT_APP_MAPBOX_TOKEN) },
+};
+
+export const normalizeMapEngine = (engine) => (MAP_ENGINES[engine]?.available() ? engine : 'google');
+
+export const DEFAULT_MAP_ENGINE = normalizeMapEngine(process.env.REACT_APP_MAP_ENGINE);
+
+// Camera while navigating: close in, tilted, heading-up
+export const NAV_ZOOM = 17;
+export const NAV_TILT = 45;
+
+// The route split where the user is while navigating, as [lat, lng] paths: the part still ahead
+// and the part already travelled (empty when not navigating)
+export const splitRouteAtPosition = (coords, position) => {
+  const path = coords && coords.length > 1 ? coords : [];
+  if (path.length === 0 || !Array.isArray(position)) return { ahead: path, travelled: [] };
+  const { alongKm } = computeAlongRouteDistanceKm(position[0], position[1], path);
+  return {
+    ahead: slicePathByKm(path, alongKm, routeLengthKm(path)),
+    travelled: alongKm > 0 ? slicePathByKm(path, 0, alongKm) : [],
+  };
+};
+
+// Shown once the user pans away from the follow camera during navigation
+export const RecenterButton = ({ onClick }) => (
+  <button
+    onClick={onClick}
+    style={{ position: 'absolute', bottom: '24px', left: '50%', transform: 'translateX(-50%)', padding: '10px 16px', background: '#3b82f6', color: 'white', border: 'none', borderRadius: '20px', fontWeight: 600, cursor: 'pointer', boxShadow: '0 2px 8px rgba(0,0,0,0.25)', zIndex: 5 }}
+  >
+    ⌖ Recenter
+  </button>
+);
@@ -0,0 +1,26 @@
+import { splitRouteAtPosition, normalizeMapEngine } from './mapEngine';
+
+const route = [[0, 0], [0.01, 0], [0.02, 0]];
+
+describe('splitRouteAtPosition', () => {
+  test('splits the route where the user is', () => {
+    const { ahead, travelled } = splitRouteAtPosition(route, [0.015, 0.0001]);
+    expect(travelled[0]).toEqual([0, 0]);
+    expect(travelled[travelled.length - 1][0]).toBeCloseTo(0.015, 6);
+    expect(ahead[0][0]).toBeCloseTo(0.015, 6);
+    expect(ahead[ahead.length - 1]).toEqual([0.02, 0]);
+  });
+
+  test('keeps the whole route ahead without a position', () => {
+    expect(splitRouteAtPosition(route, null)).toEqual({ ahead: route, travelled: [] });
+    expect(splitRouteAtPosition([], [0, 0])).toEqual({ ahead: [], travelled: [] });
+  });
+});
+
+describe('normalizeMapEngine', () => {
+  test('falls back to Google for unknown engines', () => {
+    expect(normalizeMapEngine('google')).toBe('google');
+    expect(normalizeMapEngine('leaflet')).toBe('google');
+    expect(normalizeMapEngine(undefined)).toBe('google');
+  });
+});
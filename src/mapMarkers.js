@@ -0,0 +1,85 @@
+// Place markers shared by both map renderers: colored by how much time the detour adds,
+// numbered by rank, and grouped into clusters when zoomed out.
+
+// Added-time buckets, fastest first
+export const ADDED_TIME_BUCKETS = [
+  { maxMin: 5, color: '#16a34a' },
+  { maxMin: 10, color: '#65a30d' },
+  { maxMin: 20, color: '#f59e0b' },
+  { maxMin: Infinity, color: '#ef4444' },
+];
+export const UNSCORED_COLOR = '#9ca3af'; // corridor places that aren't among the listed options
+
+export const CLUSTER_MAX_ZOOM = 14; // from this zoom in every place gets its own marker
+const CLUSTER_GRID_PX = 60;
+
+export const markerColor = (addedSec) => {
+  if (!Number.isFinite(addedSec)) return UNSCORED_COLOR;
+  const minutes = Math.max(0, addedSec) / 60;
+  return ADDED_TIME_BUCKETS.find(b => minutes <= b.maxMin).color;
+};
+
+// Rank (1-based, in list order) and added time of each listed option, by place_id
+export const rankPlaces = (options) => {
+  const ranking = {};
+  (options || []).forEach((opt, i) => {
+    const id = opt.place?.place_id;
+    if (id && !ranking[id]) ranking[id] = { rank: i + 1, addedSec: opt.addedTime };
+  });
+  return ranking;
+};
+
+// One item per place with a location: { id, place, lat, lng, rank, addedSec, color }
+export const markerItems = (places, ranking = {}) => (places || [])
+  .map((place) => {
+    const lat = place.geometry?.location?.lat;
+    const lng = place.geometry?.location?.lng;
+    const info = ranking[place.place_id] || {};
+    return {
+      id: place.place_id,
+      place,
+      lat,
+      lng,
+      rank: info.rank || null,
+      addedSec: Number.isFinite(info.addedSec) ? info.addedSec : null,
+      color: markerColor(info.addedSec),
+    };
+  })
+  .filter(item => Number.isFinite(item.lat) && Number.isFinite(item.lng));
+
+// Web Mercator pixel coordinates at `zoom` (256 px tiles)
+const worldPx = (lat, lng, zoom) => {
+  const size = 256 * 2 ** zoom;
+  const sin = Math.min(Math.max(Math.sin((lat * Math.PI) / 180), -0.9999), 0.9999);
+  return {
+    x: ((lng + 180) / 360) * size,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * size,
+  };
+};
+
+// Group items that fall in the same grid cell (about 60 px square) at `zoom`. Returns
+// [{ lat, lng, items, rank, color }], where lat/lng is the centroid and rank/color come from the
+// best-ranked item. Past CLUSTER_MAX_ZOOM every item is its own cluster.
+export const clusterMarkers = (items, zoom, { gridPx = CLUSTER_GRID_PX, maxZoom = CLUSTER_MAX_ZOOM } = {}) => {
+  const cells = new Map();
+  (items || []).forEach((item, i) => {
+    let key = `item:${i}`;
+    if (zoom < maxZoom) {
+      const { x, y } = worldPx(item.lat, item.lng, Math.round(zoom));
+      key = `${Math.floor(x / gridPx)}:${Math.floor(y / gridPx)}`;
+    }
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(item);
+  });
+
+  return Array.from(cells.values()).map((group) => {
+    const best = group.reduce((a, b) => ((b.rank || Infinity) < (a.rank || Infinity) ? b : a));
+    return {
+      lat: group.reduce((sum, it) => sum + it.lat, 0) / group.length,
+      lng: group.reduce((sum, it) => sum + it.lng, 0) / group.length,
+      items: group,
+      rank: best.rank,
+      color: best.color,
+    };
+  });
+};
@@ -0,0 +1,39 @@
+import { markerColor, rankPlaces, markerItems, clusterMarkers, UNSCORED_COLOR, ADDED_TIME_BUCKETS } from './mapMarkers';
+
+const place = (id, lat, lng) => ({ place_id: id, name: id, geometry: { location: { lat, lng } } });
+
+describe('marker styling', () => {
+  test('colors by added-time bucket', () => {
+    expect(markerColor(4 * 60)).toBe(ADDED_TIME_BUCKETS[0].color);
+    expect(markerColor(15 * 60)).toBe(ADDED_TIME_BUCKETS[2].color);
+    expect(markerColor(45 * 60)).toBe(ADDED_TIME_BUCKETS[3].color);
+    expect(markerColor(undefined)).toBe(UNSCORED_COLOR);
+  });
+
+  test('ranks listed options and marks the rest unscored', () => {
+    const ranking = rankPlaces([{ place: { place_id: 'b' }, addedTime: 120 }, { place: { place_id: 'a' }, addedTime: 900 }]);
+    expect(ranking).toEqual({ b: { rank: 1, addedSec: 120 }, a: { rank: 2, addedSec: 900 } });
+    const items = markerItems([place('a', 1, 1), place('c', 2, 2), { place_id: 'x', geometry: {} }], ranking);
+    expect(items.map(it => [it.id, it.rank, it.color])).toEqual([
+      ['a', 2, ADDED_TIME_BUCKETS[2].color],
+      ['c', null, UNSCORED_COLOR],
+    ]);
+  });
+});
+
+describe('clusterMarkers', () => {
+  const ranking = { far: { rank: 1, addedSec: 60 }, near2: { rank: 3, addedSec: 600 } };
+  const items = markerItems([place('near1', 40, -75), place('near2', 40.001, -75.001), place('far', 41, -74)], ranking);
+
+  test('groups nearby places when zoomed out and takes the best rank', () => {
+    const clusters = clusterMarkers(items, 8);
+    expect(clusters).toHaveLength(2);
+    const near = clusters.find(c => c.items.length === 2);
+    expect(near.rank).toBe(3);
+    expect(near.lat).toBeCloseTo(40.0005, 6);
+  });
+
+  test('shows every place once zoomed in', () => {
+    expect(clusterMarkers(items, 15)).toHaveLength(3);
+  });
+});
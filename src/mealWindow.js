@@ -0,0 +1,32 @@
+// Meal-window mode: the user says when they want to eat, either as clock times ("12:00–13:30")
+// or as hours into the drive ("2–3 h"). The server takes the window as minutes after departure
+// (mealfrom / mealto) and only searches the stretch of road driven during it.
+
+const MINUTES_PER_DAY = 24 * 60;
+
+const clockMinutes = (hhmm) => {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(hhmm || '');
+  return m ? Number(m[1]) * 60 + Number(m[2]) : null;
+};
+
+// { mealfrom, mealto } in minutes after `departure`, or null when the mode is off or the
+// inputs are incomplete. Clock windows use the next time the window ends, so a window that
+// has already started gives mealfrom = 0 and one that crosses midnight still works.
+export const mealWindowParams = ({ mode, from, to }, departure) => {
+  if (mode === 'drive') {
+    const a = parseFloat(from);
+    const b = parseFloat(to);
+    if (!Number.isFinite(a) || !Number.isFinite(b) || b <= a || b <= 0) return null;
+    return { mealfrom: Math.round(Math.max(0, a) * 60), mealto: Math.round(b * 60) };
+  }
+  if (mode === 'clock') {
+    const a = clockMinutes(from);
+    const b = clockMinutes(to);
+    if (a === null || b === null || a === b) return null;
+    const now = departure.getHours() * 60 + departure.getMinutes();
+    const untilEnd = ((b - now) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const length = ((b - a) % MINUTES_PER_DAY + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    return { mealfrom: Math.max(0, untilEnd - length), mealto: untilEnd };
+  }
+  return null;
+};
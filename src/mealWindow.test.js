@@ -0,0 +1,25 @@
+import { mealWindowParams } from './mealWindow';
+
+// Local time, like the datetime-local departure input
+const at = (h, m) => new Date(2026, 3, 15, h, m);
+
+describe('mealWindowParams', () => {
+  test('converts hours into the drive to minutes', () => {
+    expect(mealWindowParams({ mode: 'drive', from: '2', to: '3' }, at(9, 0))).toEqual({ mealfrom: 120, mealto: 180 });
+    expect(mealWindowParams({ mode: 'drive', from: '1.5', to: '' }, at(9, 0))).toBeNull();
+    expect(mealWindowParams({ mode: 'drive', from: '3', to: '2' }, at(9, 0))).toBeNull();
+  });
+
+  test('measures clock windows from departure', () => {
+    expect(mealWindowParams({ mode: 'clock', from: '12:00', to: '13:30' }, at(10, 15))).toEqual({ mealfrom: 105, mealto: 195 });
+    // Already started: eat any time from now until the end
+    expect(mealWindowParams({ mode: 'clock', from: '12:00', to: '13:00' }, at(12, 30))).toEqual({ mealfrom: 0, mealto: 30 });
+    // Crossing midnight
+    expect(mealWindowParams({ mode: 'clock', from: '23:30', to: '00:30' }, at(22, 0))).toEqual({ mealfrom: 90, mealto: 150 });
+  });
+
+  test('is off without a mode or complete times', () => {
+    expect(mealWindowParams({ mode: 'off', from: '12:00', to: '13:00' }, at(9, 0))).toBeNull();
+    expect(mealWindowParams({ mode: 'clock', from: '12:00', to: '' }, at(9, 0))).toBeNull();
+  });
+});
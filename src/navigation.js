@@ -0,0 +1,183 @@
+// Turn-by-turn navigation helpers: steps from a Directions route, where the user is along
+// them, and off-route detection for automatic rerouting.
+
+import polyline from '@mapbox/polyline';
+import {
+  haversineDistanceKm,
+  routeLengthKm,
+  computeAlongRouteDistanceKm,
+  distanceFromPointToPolylineKm,
+} from './shared/geo';
+import { describeTransitStep, transitRide } from './transit';
+
+export const STEP_ARRIVAL_KM = 0.04; // within ~40 m of a step's end counts as done
+export const OFF_ROUTE_KM = 0.05; // further than this from the remaining route is off route...
+export const BACK_ON_ROUTE_KM = 0.025; // ...until back within this (hysteresis)
+export const OFF_ROUTE_FIXES = 3; // consecutive off-route fixes before we reroute
+const MAX_ACCURACY_SLACK_KM = 0.1; // widen the thresholds by GPS accuracy, up to 100 m
+const SPEED_SMOOTHING = 0.3; // weight of the newest speed sample
+export const MIN_MOVING_MPS = 1; // below ~3.6 km/h we're stopped; fall back to planned times
+
+// Arrows for Google's step `maneuver` values; steps without one (e.g. "Head north") go straight
+const MANEUVER_ICONS = {
+  'turn-left': '↰',
+  'turn-right': '↱',
+  'turn-slight-left': '↖',
+  'turn-slight-right': '↗',
+  'turn-sharp-left': '↙',
+  'turn-sharp-right': '↘',
+  'uturn-left': '↶',
+  'uturn-right': '↷',
+  'keep-left': '↖',
+  'keep-right': '↗',
+  'fork-left': '↖',
+  'fork-right': '↗',
+  'ramp-left': '↖',
+  'ramp-right': '↗',
+  'merge': '⤴',
+  'roundabout-left': '↺',
+  'roundabout-right': '↻',
+  'straight': '↑',
+  'ferry': '⛴️',
+  'ferry-train': '⛴️',
+};
+
+// Strip HTML tags from Google instruction strings
+const stripHtml = (s) => (s || '').replace(/<[^>]+>/g, '');
+
+const stepPath = (step) => {
+  if (step.polyline?.points) return polyline.decode(step.polyline.points);
+  const ends = [step.start_location, step.end_location].filter(Boolean);
+  return ends.map(({ lat, lng }) => [lat, lng]);
+};
+
+const latLng = (loc) => ({ lat: loc?.lat, lng: loc?.lng });
+
+// Build steps array from a Google Directions route. legIndex says which leg (origin -> stop 1,
+// stop 1 -> stop 2, ...) a step belongs to and legEnd marks the last step of each leg, where we
+// arrive at a food stop (or the destination). path is the step's decoded geometry, maneuver
+// Google's maneuver type (null when it gives none, e.g. "Head north" or a transit ride) and
+// transit the ride summary for transit steps.
+export const buildStepsFromRoute = (route) => {
+  const steps = [];
+  const legs = route?.legs || [];
+  legs.forEach((leg, legIndex) => {
+    for (const st of (leg.steps || [])) {
+      // Transit routes nest the turn-by-turn walking directions inside each walking step
+      const parts = st.travel_mode === 'WALKING' && st.steps?.length ? st.steps : [st];
+      for (const part of parts) {
+        steps.push({
+          instruction: part.transit_details ? describeTransitStep(part.transit_details) : stripHtml(part.html_instructions),
+          maneuver: part.maneuver || null,
+          durationSec: part.duration?.value || 0,
+          distanceMeters: part.distance?.value || 0,
+          start: latLng(part.start_location),
+          end: latLng(part.end_location),
+          path: stepPath(part),
+          transit: part.transit_details ? transitRide(part.transit_details) : null,
+          legIndex,
+          legEnd: false,
+        });
+      }
+    }
+    if (steps.length > 0 && steps[steps.length - 1].legIndex === legIndex) steps[steps.length - 1].legEnd = true;
+  });
+  return steps;
+};
+
+// Icon for a step: the transit vehicle for rides, else an arrow for its maneuver
+export const stepIcon = (step) => {
+  if (step?.transit) return step.transit.icon;
+  return MANEUVER_ICONS[step?.maneuver] || '↑';
+};
+
+// What comes after the current step, in order, up to `count` items: { type: 'step', step } for
+// the next instructions, { type: 'stop', name } where a leg ends at a food stop and
+// { type: 'destination' } at the end of the trip
+export const upcomingManeuvers = (navigation, count = 2) => {
+  const steps = navigation?.steps || [];
+  const items = [];
+  for (let i = navigation?.current || 0; i < steps.length && items.length < count; i++) {
+    const step = steps[i];
+    const next = steps[i + 1];
+    if (step.legEnd) {
+      const stop = next ? navigation.stops?.[step.legIndex] : null;
+      items.push(next ? { type: 'stop', name: stop?.place?.name || 'your stop' } : { type: 'destination' });
+    }
+    if (next) items.push({ type: 'step', step: next });
+  }
+  return items.slice(0, count);
+};
+
+// The remaining step (from `fromIndex` on) closest to a position, and how far off it we are
+export const locateOnSteps = (steps, fromIndex, lat, lng) => {
+  let best = { stepIndex: fromIndex, offsetKm: Infinity };
+  for (let i = fromIndex; i < steps.length; i++) {
+    const offsetKm = distanceFromPointToPolylineKm(lat, lng, steps[i].path || []);
+    if (offsetKm < best.offsetKm) best = { stepIndex: i, offsetKm };
+  }
+  return best;
+};
+
+export const initialOffRouteState = { offRoute: false, strikes: 0 };
+
+// Off-route state after one position fix. Going off route takes OFF_ROUTE_FIXES fixes in a row
+// beyond OFF_ROUTE_KM, and coming back needs BACK_ON_ROUTE_KM, so GPS jitter around a single
+// threshold doesn't flap. Both thresholds grow with the fix's reported accuracy (meters).
+export const updateOffRoute = (state, offsetKm, accuracyM = 0) => {
+  const slackKm = Math.min(MAX_ACCURACY_SLACK_KM, Math.max(0, accuracyM || 0) / 1000);
+  if (state.offRoute) {
+    return offsetKm <= BACK_ON_ROUTE_KM + slackKm ? initialOffRouteState : state;
+  }
+  if (offsetKm > OFF_ROUTE_KM + slackKm) {
+    const strikes = state.strikes + 1;
+    return { offRoute: strikes >= OFF_ROUTE_FIXES, strikes };
+  }
+  return initialOffRouteState;
+};
+
+// Smoothed ground speed (m/s) after a fix { lat, lng, at (ms), speed (m/s or null) }. Uses the
+// device's speed when it reports one, otherwise distance over time since the previous fix.
+export const updateObservedSpeed = (prev, fix) => {
+  let sample = Number.isFinite(fix.speed) && fix.speed >= 0 ? fix.speed : null;
+  if (sample === null && prev) {
+    const dtSec = (fix.at - prev.at) / 1000;
+    if (dtSec < 0.5) return prev;
+    sample = (haversineDistanceKm(prev.lat, prev.lng, fix.lat, fix.lng) * 1000) / dtSec;
+  }
+  const mps = sample === null
+    ? (prev?.mps ?? null)
+    : (Number.isFinite(prev?.mps) ? prev.mps + SPEED_SMOOTHING * (sample - prev.mps) : sample);
+  return { lat: fix.lat, lng: fix.lng, at: fix.at, mps };
+};
+
+// Where we are in the current step and what's left of the trip. The position is projected onto
+// the step's polyline and the share still ahead is applied to the step's distance and duration.
+// When moving (observedMps), the rest of the current step is timed at the observed speed; later
+// steps keep their planned durations.
+export const navigationProgress = (navigation, lat, lng, observedMps = null) => {
+  const steps = navigation?.steps || [];
+  const idx = navigation?.current || 0;
+  const step = steps[idx];
+  if (!step) return null;
+
+  const path = step.path || [];
+  const lengthKm = routeLengthKm(path);
+  const fractionDone = lengthKm > 0
+    ? Math.min(1, computeAlongRouteDistanceKm(lat, lng, path).alongKm / lengthKm)
+    : 0;
+  const stepMeters = step.distanceMeters || lengthKm * 1000;
+  const metersToManeuver = stepMeters * (1 - fractionDone);
+  const plannedStepSecLeft = (step.durationSec || 0) * (1 - fractionDone);
+  const stepSecLeft = Number.isFinite(observedMps) && observedMps >= MIN_MOVING_MPS
+    ? metersToManeuver / observedMps
+    : plannedStepSecLeft;
+
+  const later = steps.slice(idx + 1);
+  return {
+    fractionDone,
+    metersToManeuver,
+    remainingMeters: metersToManeuver + later.reduce((sum, st) => sum + (st.distanceMeters || 0), 0),
+    remainingSec: stepSecLeft + later.reduce((sum, st) => sum + (st.durationSec || 0), 0),
+  };
+};
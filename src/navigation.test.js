@@ -0,0 +1,110 @@
+import polyline from '@mapbox/polyline';
+import {
+  buildStepsFromRoute,
+  locateOnSteps,
+  updateOffRoute,
+  initialOffRouteState,
+  OFF_ROUTE_FIXES,
+  navigationProgress,
+  updateObservedSpeed,
+  stepIcon,
+  upcomingManeuvers,
+} from './navigation';
+
+// Two legs heading north along lng 0, each with one step of ~1.1 km
+const step = (fromLat, toLat, text) => ({
+  html_instructions: `<b>${text}</b>`,
+  duration: { value: 60 },
+  distance: { value: 1100 },
+  end_location: { lat: toLat, lng: 0 },
+  polyline: { points: polyline.encode([[fromLat, 0], [toLat, 0]]) },
+});
+const route = { legs: [{ steps: [step(0, 0.01, 'Head north')] }, { steps: [step(0.01, 0.02, 'Continue')] }] };
+
+describe('buildStepsFromRoute', () => {
+  test('keeps plain instructions, geometry and the leg of each step', () => {
+    const steps = buildStepsFromRoute(route);
+    expect(steps.map(s => s.instruction)).toEqual(['Head north', 'Continue']);
+    expect(steps.map(s => s.legIndex)).toEqual([0, 1]);
+    expect(steps[1].path).toEqual([[0.01, 0], [0.02, 0]]);
+  });
+
+  test('keeps maneuver, start point and leg boundaries', () => {
+    const turn = { ...step(0.01, 0.015, 'Turn right'), maneuver: 'turn-right', start_location: { lat: 0.01, lng: 0 } };
+    const steps = buildStepsFromRoute({ legs: [{ steps: [step(0, 0.01, 'Head north'), turn] }, route.legs[1]] });
+    expect(steps.map(s => s.maneuver)).toEqual([null, 'turn-right', null]);
+    expect(steps[1].start).toEqual({ lat: 0.01, lng: 0 });
+    expect(steps.map(s => s.legEnd)).toEqual([false, true, true]);
+    expect(steps.map(stepIcon)).toEqual(['↑', '↱', '↑']);
+  });
+});
+
+describe('upcomingManeuvers', () => {
+  const steps = buildStepsFromRoute(route);
+  const stops = [{ place: { name: 'Taco Spot' } }];
+
+  test('puts the food stop between the legs and ends at the destination', () => {
+    expect(upcomingManeuvers({ steps, stops, current: 0 })).toEqual([
+      { type: 'stop', name: 'Taco Spot' },
+      { type: 'step', step: steps[1] },
+    ]);
+    expect(upcomingManeuvers({ steps, stops, current: 1 })).toEqual([{ type: 'destination' }]);
+  });
+});
+
+describe('off-route detection', () => {
+  const steps = buildStepsFromRoute(route);
+
+  test('finds the nearest remaining step', () => {
+    expect(locateOnSteps(steps, 0, 0.015, 0).stepIndex).toBe(1);
+    expect(locateOnSteps(steps, 0, 0.005, 0.001).offsetKm).toBeCloseTo(0.111, 2);
+  });
+
+  test('needs several fixes to go off route and a closer fix to come back', () => {
+    let state = initialOffRouteState;
+    for (let i = 1; i < OFF_ROUTE_FIXES; i++) {
+      state = updateOffRoute(state, 0.2);
+      expect(state.offRoute).toBe(false);
+    }
+    state = updateOffRoute(state, 0.2);
+    expect(state.offRoute).toBe(true);
+    // Between the two thresholds: still off route
+    expect(updateOffRoute(state, 0.04).offRoute).toBe(true);
+    expect(updateOffRoute(state, 0.01).offRoute).toBe(false);
+  });
+
+  test('resets the count when a fix is back on route and allows for GPS accuracy', () => {
+    let state = updateOffRoute(initialOffRouteState, 0.2);
+    state = updateOffRoute(state, 0.01);
+    expect(state).toEqual(initialOffRouteState);
+    // 80 m off with 50 m accuracy is within the widened threshold
+    expect(updateOffRoute(initialOffRouteState, 0.08, 50)).toEqual(initialOffRouteState);
+  });
+});
+
+describe('navigation progress', () => {
+  const navigation = { steps: buildStepsFromRoute(route), current: 0 };
+
+  test('counts only the part of the current step still ahead', () => {
+    const progress = navigationProgress(navigation, 0.0075, 0.0001);
+    expect(progress.fractionDone).toBeCloseTo(0.75, 2);
+    expect(progress.metersToManeuver).toBeCloseTo(275, 0);
+    expect(progress.remainingMeters).toBeCloseTo(1375, 0);
+    expect(progress.remainingSec).toBeCloseTo(75, 0);
+  });
+
+  test('times the rest of the step at the observed speed when moving', () => {
+    expect(navigationProgress(navigation, 0.0075, 0, 27.5).remainingSec).toBeCloseTo(70, 0);
+    expect(navigationProgress(navigation, 0.0075, 0, 0.2).remainingSec).toBeCloseTo(75, 0);
+    expect(navigationProgress({ steps: [], current: 0 }, 0, 0)).toBeNull();
+  });
+
+  test('smooths speed from device readings or successive fixes', () => {
+    let speed = updateObservedSpeed(null, { lat: 0, lng: 0, at: 0, speed: null });
+    expect(speed.mps).toBeNull();
+    speed = updateObservedSpeed(speed, { lat: 0.001, lng: 0, at: 10000, speed: null }); // ~111 m in 10 s
+    expect(speed.mps).toBeCloseTo(11.1, 1);
+    speed = updateObservedSpeed(speed, { lat: 0.002, lng: 0, at: 11000, speed: 21.1 });
+    expect(speed.mps).toBeCloseTo(14.1, 1);
+  });
+});
@@ -0,0 +1,47 @@
+// Opening-hours checks against Google Place Details results ({ opening_hours.periods,
+// utc_offset_minutes }). Times are compared as minutes into the place's local week
+// (Sunday 00:00 = 0), so periods that run past midnight or past Saturday night both work.
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const toWeekMinute = (day, hhmm) => {
+  const hours = parseInt(String(hhmm).slice(0, 2), 10) || 0;
+  const minutes = parseInt(String(hhmm).slice(2, 4), 10) || 0;
+  return day * MINUTES_PER_DAY + hours * 60 + minutes;
+};
+
+// Minute of the week at the place for `date`; falls back to the browser's time zone
+// when the place's UTC offset is unknown
+export const placeWeekMinute = (date, utcOffsetMinutes) => {
+  if (Number.isFinite(utcOffsetMinutes)) {
+    const local = new Date(date.getTime() + utcOffsetMinutes * 60000);
+    return local.getUTCDay() * MINUTES_PER_DAY + local.getUTCHours() * 60 + local.getUTCMinutes();
+  }
+  return date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+};
+
+// true / false, or null when the place has no usable hours
+export const isOpenAt = (details, date) => {
+  const periods = details?.opening_hours?.periods;
+  if (!Array.isArray(periods) || periods.length === 0) return null;
+  // Open 24/7 is a single period that opens Sunday 00:00 and never closes
+  if (periods.some(p => p.open && !p.close)) return true;
+
+  const offset = Number.isFinite(details.utc_offset_minutes) ? details.utc_offset_minutes : details.utc_offset;
+  const t = placeWeekMinute(date, offset);
+  return periods.some(p => {
+    if (!p.open || !p.close) return false;
+    const start = toWeekMinute(p.open.day, p.open.time);
+    let end = toWeekMinute(p.close.day, p.close.time);
+    if (end <= start) end += MINUTES_PER_WEEK; // e.g. Saturday 18:00 -> Sunday 02:00
+    return (t >= start && t < end) || (t + MINUTES_PER_WEEK >= start && t + MINUTES_PER_WEEK < end);
+  });
+};
+
+// 'open' | 'closed' | 'unknown' for a stop reached at `date`
+export const arrivalStatus = (details, date) => {
+  const open = isOpenAt(details, date);
+  if (open === null) return 'unknown';
+  return open ? 'open' : 'closed';
+};
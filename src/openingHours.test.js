@@ -0,0 +1,52 @@
+import { arrivalStatus, isOpenAt, placeWeekMinute } from './openingHours';
+
+// Mon-Fri 11:00-22:00, Saturday 18:00 until Sunday 02:00
+const details = {
+  utc_offset_minutes: -240,
+  opening_hours: {
+    periods: [1, 2, 3, 4, 5].map(day => ({ open: { day, time: '1100' }, close: { day, time: '2200' } }))
+      .concat([{ open: { day: 6, time: '1800' }, close: { day: 0, time: '0200' } }]),
+  },
+};
+
+// Wall-clock time at a UTC-4 place, as a Date
+const at = (isoLocal) => new Date(`${isoLocal}-04:00`);
+
+describe('placeWeekMinute', () => {
+  test('uses the place offset rather than the browser zone', () => {
+    // 2025-06-02 is a Monday
+    expect(placeWeekMinute(at('2025-06-02T12:30:00'), -240)).toBe(1 * 1440 + 12 * 60 + 30);
+  });
+});
+
+describe('isOpenAt', () => {
+  test('checks weekday periods', () => {
+    expect(isOpenAt(details, at('2025-06-02T12:30:00'))).toBe(true);
+    expect(isOpenAt(details, at('2025-06-02T10:59:00'))).toBe(false);
+    expect(isOpenAt(details, at('2025-06-02T22:00:00'))).toBe(false);
+  });
+
+  test('handles periods that wrap past Saturday night', () => {
+    expect(isOpenAt(details, at('2025-06-07T23:00:00'))).toBe(true);
+    expect(isOpenAt(details, at('2025-06-08T01:30:00'))).toBe(true);
+    expect(isOpenAt(details, at('2025-06-08T03:00:00'))).toBe(false);
+  });
+
+  test('treats an open period without a close as always open', () => {
+    const allDay = { opening_hours: { periods: [{ open: { day: 0, time: '0000' } }] } };
+    expect(isOpenAt(allDay, at('2025-06-04T03:00:00'))).toBe(true);
+  });
+
+  test('returns null without hours', () => {
+    expect(isOpenAt({}, new Date())).toBeNull();
+    expect(isOpenAt(null, new Date())).toBeNull();
+  });
+});
+
+describe('arrivalStatus', () => {
+  test('maps to open / closed / unknown', () => {
+    expect(arrivalStatus(details, at('2025-06-03T19:00:00'))).toBe('open');
+    expect(arrivalStatus(details, at('2025-06-08T12:00:00'))).toBe('closed');
+    expect(arrivalStatus(undefined, new Date())).toBe('unknown');
+  });
+});
@@ -0,0 +1,50 @@
+// Comparison mode: the base route and the top detour routes drawn together, plus the numbers
+// to compare them side by side. Options come from /api/detours without a route; the app fetches
+// each compared option's Directions route (withRoute) before it can be drawn.
+
+import polyline from '@mapbox/polyline';
+import { markerColor } from './mapMarkers';
+
+export const COMPARE_COUNT = 3;
+export const BASE_ROUTE_ID = 'base';
+const BASE_ROUTE_COLOR = '#475569';
+
+const routeMeters = (route) => (route?.legs || []).reduce((sum, leg) => sum + (leg.distance?.value || 0), 0);
+
+// Columns for the comparison card: the direct route, then each option in list order
+export const comparisonRows = (baseRoute, baseTimeSec, options) => [
+  { id: BASE_ROUTE_ID, label: 'Direct', totalSec: baseTimeSec || 0, addedSec: 0, meters: routeMeters(baseRoute) },
+  ...(options || []).map((opt, i) => ({
+    id: opt.place.place_id,
+    label: `${i + 1}. ${opt.place.name}`,
+    totalSec: opt.totalTime || 0,
+    addedSec: opt.addedTime || 0,
+    meters: opt.route ? routeMeters(opt.route) : (opt.distanceMeters || 0),
+    color: markerColor(opt.addedTime),
+  })),
+];
+
+// Lines for the map renderers' routeOverlays prop: { id, coords ([lat, lng]), color, selected }.
+// Options whose route hasn't been fetched yet are left out.
+export const routeOverlays = (baseRoute, options, selectedId) => {
+  const overlays = [];
+  if (baseRoute?.overview_polyline?.points) {
+    overlays.push({
+      id: BASE_ROUTE_ID,
+      coords: polyline.decode(baseRoute.overview_polyline.points),
+      color: BASE_ROUTE_COLOR,
+      selected: selectedId === BASE_ROUTE_ID,
+    });
+  }
+  (options || []).forEach((opt) => {
+    if (!opt.route?.overview_polyline?.points) return;
+    overlays.push({
+      id: opt.place.place_id,
+      coords: polyline.decode(opt.route.overview_polyline.points),
+      color: markerColor(opt.addedTime),
+      selected: selectedId === opt.place.place_id,
+    });
+  });
+  // Selected line last so it draws on top
+  return overlays.sort((a, b) => Number(a.selected) - Number(b.selected));
+};
@@ -0,0 +1,36 @@
+import polyline from '@mapbox/polyline';
+import { comparisonRows, routeOverlays, BASE_ROUTE_ID } from './routeComparison';
+import { markerColor } from './mapMarkers';
+
+const route = (points, meters) => ({
+  overview_polyline: { points: polyline.encode(points) },
+  legs: [{ distance: { value: meters } }],
+});
+const baseRoute = route([[0, 0], [0, 1]], 111000);
+const options = [
+  { place: { place_id: 'a', name: 'Tacos' }, totalTime: 4000, addedTime: 300, distanceMeters: 112000, route: route([[0, 0], [0.01, 0.5], [0, 1]], 113000) },
+  { place: { place_id: 'b', name: 'Pho' }, totalTime: 4600, addedTime: 900, distanceMeters: 118000 },
+];
+
+describe('comparisonRows', () => {
+  test('puts the direct route first, then each option', () => {
+    expect(comparisonRows(baseRoute, 3700, options)).toEqual([
+      { id: BASE_ROUTE_ID, label: 'Direct', totalSec: 3700, addedSec: 0, meters: 111000 },
+      { id: 'a', label: '1. Tacos', totalSec: 4000, addedSec: 300, meters: 113000, color: markerColor(300) },
+      { id: 'b', label: '2. Pho', totalSec: 4600, addedSec: 900, meters: 118000, color: markerColor(900) },
+    ]);
+  });
+});
+
+describe('routeOverlays', () => {
+  test('draws the base route and fetched detour routes, selected on top', () => {
+    const overlays = routeOverlays(baseRoute, options, BASE_ROUTE_ID);
+    expect(overlays.map(o => [o.id, o.selected])).toEqual([['a', false], [BASE_ROUTE_ID, true]]);
+    expect(overlays[0].coords).toHaveLength(3);
+    expect(overlays[0].color).toBe(markerColor(300));
+  });
+
+  test('skips routes that are missing', () => {
+    expect(routeOverlays(null, [options[1]], null)).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+// Detour searches as the app runs them. Each run streams /api/detours (see ./api); starting a new
+// run aborts the one in flight, so only one search writes into the results at a time. Finished
+// runs are kept for a few minutes and reused: the same query replays without hitting the API, and
+// a narrower corridor replays the last wider run filtered to the new width (wider corridors sample
+// at least as densely, so nothing the narrower search would find is missing).
+
+import polyline from '@mapbox/polyline';
+import { streamDetours } from './api';
+import { KM_PER_MILE, distanceFromPointToPolylineKm, slicePathByKm } from './shared/geo';
+import { searchedRange } from './searchCorridor';
+
+const MAX_REMEMBERED = 10;
+const REUSE_MAX_AGE_MS = 5 * 60 * 1000; // traffic-aware times go stale
+
+// Identity of a query: its non-empty params, sorted, optionally leaving out the corridor width
+export const queryKey = (params, { withCorridor = true } = {}) => Object.keys(params || {})
+  .filter(k => params[k] !== undefined && params[k] !== null && params[k] !== '')
+  .filter(k => withCorridor || k !== 'corridor')
+  .sort()
+  .map(k => `${k}=${params[k]}`)
+  .join('&');
+
+// Events of an earlier run with a corridor at least as wide, cut down to `params.corridor`.
+// Drawn-area searches don't use the corridor, so they replay as is.
+export const narrowEvents = (events, params) => {
+  const routeEvent = events.find(e => e.type === 'route');
+  if (params.polygon || !routeEvent) return events;
+
+  const [startKm, endKm] = params.stretch ? String(params.stretch).split(',').map(Number) : [];
+  const range = searchedRange(params.stretch ? { kind: 'stretch', startKm, endKm } : null, routeEvent.mealStretch);
+  const fullPath = polyline.decode(routeEvent.route.overview_polyline.points);
+  const path = range ? slicePathByKm(fullPath, range.startKm, range.endKm) : fullPath;
+  const corridorKm = Number(params.corridor) * KM_PER_MILE;
+  const inside = (place) => {
+    const loc = place?.geometry?.location;
+    return Boolean(loc) && distanceFromPointToPolylineKm(loc.lat, loc.lng, path) <= corridorKm;
+  };
+
+  // The wider run scored the first (places - remaining) of its places; the rest stay unscored
+  const placesEvent = events.find(e => e.type === 'places');
+  const doneEvent = events.find(e => e.type === 'done');
+  const unscored = new Set((placesEvent?.places || [])
+    .slice(Math.max(0, placesEvent.places.length - (doneEvent?.remaining || 0)))
+    .map(p => p.place_id));
+
+  let count = 0;
+  return events
+    .filter(e => e.type !== 'option' || inside(e.option.place))
+    .map((e) => {
+      if (e.type === 'places') return { ...e, places: e.places.filter(inside) };
+      if (e.type === 'option') count++;
+      if (e.type === 'done') {
+        const remaining = (placesEvent?.places || []).filter(p => inside(p) && unscored.has(p.place_id)).length;
+        return { ...e, count, truncated: remaining > 0, remaining };
+      }
+      return e;
+    });
+};
+
+export const createSearchController = ({ stream = streamDetours, now = Date.now } = {}) => {
+  let current = null; // { key, controller } of the run in flight
+  let finished = []; // { params, key, corridorKey, events, at }, newest first
+
+  const reusable = (params) => {
+    finished = finished.filter(r => now() - r.at <= REUSE_MAX_AGE_MS);
+    const key = queryKey(params);
+    const same = finished.find(r => r.key === key);
+    if (same) return same.events;
+    const corridorKey = queryKey(params, { withCorridor: false });
+    const wider = finished.find(r => r.corridorKey === corridorKey && Number(r.params.corridor) >= Number(params.corridor));
+    return wider ? narrowEvents(wider.events, params) : null;
+  };
+
+  return {
+    // True when `params` would redo the run in flight, or the last finished one if none is
+    isCurrent: (params) => {
+      const key = queryKey(params);
+      return current ? current.key === key : finished[0]?.key === key;
+    },
+
+    // Hand each event of a search for `params` to `onEvent`, aborting the run in flight first.
+    // `signal` (the caller's AbortController) cancels it too. Resolves to 'done', 'reused'
+    // (replayed from an earlier run) or 'aborted' (superseded or cancelled); rejects like
+    // streamDetours on other failures.
+    run: async (params, onEvent, { signal: callerSignal } = {}) => {
+      if (current) current.controller.abort();
+      current = null;
+      if (callerSignal?.aborted) return 'aborted';
+
+      const reused = reusable(params);
+      if (reused) {
+        reused.forEach(onEvent);
+        return 'reused';
+      }
+
+      const run = { key: queryKey(params), controller: new AbortController() };
+      const { signal } = run.controller;
+      callerSignal?.addEventListener('abort', () => run.controller.abort());
+      current = run;
+      const events = [];
+      try {
+        await stream(params, (event) => {
+          if (signal.aborted) return;
+          if (event.type !== 'progress') events.push(event);
+          onEvent(event);
+        }, { signal });
+      } catch (err) {
+        if (signal.aborted) return 'aborted';
+        throw err;
+      } finally {
+        if (current === run) current = null;
+      }
+      if (signal.aborted) return 'aborted';
+
+      // Only complete runs are worth replaying
+      if (events.some(e => e.type === 'done')) {
+        finished = [
+          { params, key: run.key, corridorKey: queryKey(params, { withCorridor: false }), events, at: now() },
+          ...finished.filter(r => r.key !== run.key),
+        ].slice(0, MAX_REMEMBERED);
+      }
+      return 'done';
+    },
+
+    // Abort the run in flight, if any
+    cancel: () => {
+      if (current) current.controller.abort();
+      current = null;
+    },
+  };
+};
@@ -0,0 +1,102 @@
+import polyline from '@mapbox/polyline';
+import { createSearchController, queryKey, narrowEvents } from './searchController';
+
+// ~111 km due east along the equator; places ~1.1 km and ~4.4 km north of it
+const route = { overview_polyline: { points: polyline.encode([[0, 0], [0, 1]]) } };
+const place = (id, lat) => ({ place_id: id, geometry: { location: { lat, lng: 0.5 } } });
+const near = place('near', 0.01);
+const far = place('far', 0.04);
+const events = [
+  { type: 'route', route, baseTimeSec: 3600 },
+  { type: 'places', places: [near, far], nextPageToken: null },
+  { type: 'option', option: { place: near, addedTime: 120 } },
+  { type: 'option', option: { place: far, addedTime: 600 } },
+  { type: 'done', count: 2 },
+];
+const params = { origin: '0,0', destination: '0,1', corridor: 3, sampling: 'fast', keyword: '' };
+
+// Stream stub that plays `events`, or waits until aborted when `hang` is set
+const fakeStream = ({ hang = false } = {}) => {
+  const calls = [];
+  const stream = (p, onEvent, { signal }) => {
+    calls.push(p);
+    if (!hang) {
+      [{ type: 'progress', phase: 'sampling', done: 1, total: 1 }, ...events].forEach(onEvent);
+      return Promise.resolve();
+    }
+    return new Promise((resolve, reject) => signal.addEventListener('abort', () => reject(new Error('aborted'))));
+  };
+  return { stream, calls };
+};
+
+test('queryKey ignores empty params and, optionally, the corridor width', () => {
+  expect(queryKey({ b: 2, a: 1, c: '' })).toBe('a=1&b=2');
+  expect(queryKey(params, { withCorridor: false })).toBe('destination=0,1&origin=0,0&sampling=fast');
+});
+
+test('narrowEvents keeps what lies within the narrower corridor', () => {
+  const narrowed = narrowEvents(events, { ...params, corridor: 1 });
+  expect(narrowed.find(e => e.type === 'places').places).toEqual([near]);
+  expect(narrowed.filter(e => e.type === 'option').map(e => e.option.place)).toEqual([near]);
+  expect(narrowed.find(e => e.type === 'done').count).toBe(1);
+  expect(narrowEvents(events, { ...params, corridor: 1, polygon: '0,0|1,0|1,1' })).toBe(events);
+});
+
+test('narrowEvents only counts the unscored places still inside the corridor', () => {
+  const other = place('other', 0.005);
+  const truncated = [
+    events[0],
+    { type: 'places', places: [near, other, far], nextPageToken: null },
+    events[2],
+    { type: 'done', count: 1, truncated: true, remaining: 2 },
+  ];
+  expect(narrowEvents(truncated, { ...params, corridor: 1 }).find(e => e.type === 'done'))
+    .toEqual({ type: 'done', count: 1, truncated: true, remaining: 1 });
+  expect(narrowEvents(events, { ...params, corridor: 1 }).find(e => e.type === 'done'))
+    .toEqual({ type: 'done', count: 1, truncated: false, remaining: 0 });
+});
+
+describe('createSearchController', () => {
+  test('replays a repeated query and narrows a wider one instead of streaming again', async () => {
+    const { stream, calls } = fakeStream();
+    const search = createSearchController({ stream });
+    const seen = [];
+    expect(await search.run(params, e => seen.push(e))).toBe('done');
+    expect(await search.run(params, e => seen.push(e))).toBe('reused');
+    expect(await search.run({ ...params, corridor: 1 }, e => seen.push(e))).toBe('reused');
+    expect(await search.run({ ...params, corridor: 5 }, () => {})).toBe('done');
+    expect(calls).toHaveLength(2);
+    expect(seen.filter(e => e.type === 'done').map(e => e.count)).toEqual([2, 2, 1]);
+  });
+
+  test('forgets runs after a few minutes', async () => {
+    const { stream, calls } = fakeStream();
+    let clock = 0;
+    const search = createSearchController({ stream, now: () => clock });
+    await search.run(params, () => {});
+    clock += 10 * 60 * 1000;
+    expect(await search.run(params, () => {})).toBe('done');
+    expect(calls).toHaveLength(2);
+  });
+
+  test('aborts the run in flight when a new one starts', async () => {
+    const hanging = fakeStream({ hang: true });
+    const search = createSearchController({ stream: hanging.stream });
+    const first = search.run(params, () => {});
+    expect(search.isCurrent(params)).toBe(true);
+    const second = search.run({ ...params, sampling: 'thorough' }, () => {});
+    expect(await first).toBe('aborted');
+    search.cancel();
+    expect(await second).toBe('aborted');
+    expect(search.isCurrent(params)).toBe(false);
+  });
+
+  test("stops when the caller's signal aborts", async () => {
+    const search = createSearchController({ stream: fakeStream({ hang: true }).stream });
+    const controller = new AbortController();
+    const run = search.run(params, () => {}, { signal: controller.signal });
+    controller.abort();
+    expect(await run).toBe('aborted');
+    expect(await search.run(params, () => {}, { signal: controller.signal })).toBe('aborted');
+  });
+});
@@ -0,0 +1,89 @@
+// The area a detour search covers. By default it's the corridor around the whole base route; the
+// user can narrow it to a stretch of the route (dragging its ends on the map) or draw an area to
+// search instead. Shapes are { kind: 'route' } | { kind: 'stretch', startKm, endKm } |
+// { kind: 'area', points: [[lat, lng], ...] }.
+
+import {
+  KM_PER_MILE,
+  computeAlongRouteDistanceKm,
+  corridorPolygon,
+  routeLengthKm,
+  slicePathByKm,
+} from './shared/geo';
+
+export const CORRIDOR_SHAPES = {
+  route: 'Whole route',
+  stretch: 'Part of the route',
+  area: 'An area I draw',
+};
+export const WHOLE_ROUTE = { kind: 'route' };
+
+const MIN_STRETCH_KM = 0.5;
+const MAX_OUTLINE_POINTS = 600; // per side, so very long routes stay cheap to draw
+
+export const isAreaComplete = (shape) => shape?.kind === 'area' && (shape.points || []).length >= 3;
+
+// Query params for /api/detours (stretch=startKm,endKm or polygon=lat,lng|...)
+export const corridorParams = (shape) => {
+  if (shape?.kind === 'stretch') return { stretch: `${shape.startKm.toFixed(2)},${shape.endKm.toFixed(2)}` };
+  if (isAreaComplete(shape)) {
+    return { polygon: shape.points.map(([lat, lng]) => `${lat.toFixed(5)},${lng.toFixed(5)}`).join('|') };
+  }
+  return {};
+};
+
+// The stretch of the route that gets searched, in km: the picked stretch within the meal-window
+// stretch (either may be missing). Null when the whole route is searched, empty ({ startKm >=
+// endKm }) when the two don't overlap.
+export const searchedRange = (shape, mealStretch) => {
+  const stretch = shape?.kind === 'stretch' ? shape : null;
+  if (!stretch && !mealStretch) return null;
+  return {
+    startKm: Math.max(stretch ? stretch.startKm : 0, mealStretch ? mealStretch.startKm : 0),
+    endKm: Math.min(stretch ? stretch.endKm : Infinity, mealStretch ? mealStretch.endKm : Infinity),
+  };
+};
+
+// The part of the base route the corridor runs along ([] when nothing is left)
+export const searchedPath = (path, shape, mealStretch) => {
+  const range = searchedRange(shape, mealStretch);
+  if (!range) return path || [];
+  return range.endKm > range.startKm ? slicePathByKm(path, range.startKm, range.endKm) : [];
+};
+
+// What the map renderers draw for the corridor prop: the shaded outline, drag handles at the
+// ends of a picked stretch, and the vertices of an area being drawn (`drawing`)
+export const corridorView = (path, shape, corridorMiles, { mealStretch = null, drawing = null } = {}) => {
+  if (drawing) return { outline: [], handles: [], drawing };
+  if (shape?.kind === 'area') return { outline: shape.points, handles: [], drawing: null };
+  if (!path || path.length < 2) return null;
+
+  const widthKm = corridorMiles * KM_PER_MILE;
+  const along = searchedPath(path, shape, mealStretch);
+  const outline = corridorPolygon(along, widthKm, Math.max(widthKm / 2, routeLengthKm(along) / MAX_OUTLINE_POINTS));
+  let handles = [];
+  if (shape?.kind === 'stretch') {
+    const [start] = slicePathByKm(path, shape.startKm, shape.startKm);
+    const [end] = slicePathByKm(path, shape.endKm, shape.endKm);
+    handles = [
+      { id: 'start', lat: start[0], lng: start[1] },
+      { id: 'end', lat: end[0], lng: end[1] },
+    ];
+  }
+  return { outline, handles, drawing: null };
+};
+
+// Set one end of a stretch to `km` along the route. The ends swap if moved past each other; a
+// stretch shorter than MIN_STRETCH_KM is ignored.
+export const setStretchEnd = (shape, handleId, km) => {
+  if (shape?.kind !== 'stretch' || !Number.isFinite(km)) return shape;
+  const other = handleId === 'start' ? shape.endKm : shape.startKm;
+  const startKm = Math.min(km, other);
+  const endKm = Math.max(km, other);
+  return endKm - startKm < MIN_STRETCH_KM ? shape : { kind: 'stretch', startKm, endKm };
+};
+
+// Move one end of a stretch to where its handle was dropped on the map, projected onto the route
+export const moveStretchEnd = (shape, path, handleId, lat, lng) => (
+  setStretchEnd(shape, handleId, computeAlongRouteDistanceKm(lat, lng, path).alongKm)
+);
@@ -0,0 +1,61 @@
+import {
+  WHOLE_ROUTE,
+  corridorParams,
+  searchedRange,
+  corridorView,
+  moveStretchEnd,
+} from './searchCorridor';
+import { pointInPolygon } from './shared/geo';
+
+// ~111 km due east along the equator
+const path = [[0, 0], [0, 0.5], [0, 1]];
+const area = [[0.1, 0.1], [0.2, 0.1], [0.2, 0.2]];
+
+describe('corridorParams', () => {
+  test('sends a stretch or a finished area, nothing for the whole route', () => {
+    expect(corridorParams(WHOLE_ROUTE)).toEqual({});
+    expect(corridorParams({ kind: 'stretch', startKm: 10, endKm: 42.5 })).toEqual({ stretch: '10.00,42.50' });
+    expect(corridorParams({ kind: 'area', points: area })).toEqual({ polygon: '0.10000,0.10000|0.20000,0.10000|0.20000,0.20000' });
+    expect(corridorParams({ kind: 'area', points: area.slice(0, 2) })).toEqual({});
+  });
+});
+
+describe('searchedRange', () => {
+  test('intersects the picked stretch with the meal-window stretch', () => {
+    expect(searchedRange(WHOLE_ROUTE, null)).toBeNull();
+    expect(searchedRange({ kind: 'stretch', startKm: 10, endKm: 50 }, { startKm: 30, endKm: 80 })).toEqual({ startKm: 30, endKm: 50 });
+    expect(searchedRange(WHOLE_ROUTE, { startKm: 30, endKm: 80 })).toEqual({ startKm: 30, endKm: 80 });
+  });
+});
+
+describe('corridorView', () => {
+  test('shades only the picked stretch and puts handles at its ends', () => {
+    const view = corridorView(path, { kind: 'stretch', startKm: 55, endKm: 111 }, 1);
+    expect(pointInPolygon(0.005, 0.75, view.outline)).toBe(true);
+    expect(pointInPolygon(0.005, 0.25, view.outline)).toBe(false);
+    expect(view.handles.map(h => h.id)).toEqual(['start', 'end']);
+    expect(view.handles[0].lng).toBeCloseTo(0.495, 2);
+  });
+
+  test('shows a drawn area as is, and the vertices while drawing', () => {
+    expect(corridorView(path, { kind: 'area', points: area }, 1)).toEqual({ outline: area, handles: [], drawing: null });
+    expect(corridorView(null, WHOLE_ROUTE, 1, { drawing: [[0, 0]] })).toEqual({ outline: [], handles: [], drawing: [[0, 0]] });
+    expect(corridorView(null, WHOLE_ROUTE, 1)).toBeNull();
+  });
+});
+
+describe('moveStretchEnd', () => {
+  const stretch = { kind: 'stretch', startKm: 20, endKm: 80 };
+
+  test('projects the dropped handle onto the route', () => {
+    const moved = moveStretchEnd(stretch, path, 'end', 0.02, 0.5);
+    expect(moved.startKm).toBe(20);
+    expect(moved.endKm).toBeCloseTo(55.6, 0);
+  });
+
+  test('swaps ends dragged past each other and ignores tiny stretches', () => {
+    const moved = moveStretchEnd(stretch, path, 'start', 0, 0.9);
+    expect([moved.startKm, Math.round(moved.endKm)]).toEqual([80, 100]);
+    expect(moveStretchEnd(stretch, path, 'start', 0, 80 / 111.19)).toBe(stretch);
+  });
+});
@@ -0,0 +1,148 @@
+/** @jest-environment node */
+// The api/ response cache: memory and disk backends, the env switches and the cache keys
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMemoryCache } = require('../../api/_lib/cache/memory');
+const { createDiskCache } = require('../../api/_lib/cache/disk');
+
+// A fresh copy of the cache module, so its lazily created backend follows `env`
+const loadCache = (env) => {
+  let cache;
+  const saved = { ...process.env };
+  Object.assign(process.env, env);
+  jest.isolateModules(() => {
+    cache = require('../../api/_lib/cache');
+  });
+  return { ...cache, restore: () => { process.env = saved; } };
+};
+
+let now;
+beforeEach(() => {
+  now = 1_000_000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+afterEach(() => jest.restoreAllMocks());
+
+describe('memory backend', () => {
+  test('evicts the least recently used entry', async () => {
+    const store = createMemoryCache({ maxEntries: 2 });
+    await store.set('a', 1, 60);
+    await store.set('b', 2, 60);
+    expect(await store.get('a')).toBe(1); // b is now the oldest
+    await store.set('c', 3, 60);
+    expect(await store.get('b')).toBeUndefined();
+    expect(await store.get('a')).toBe(1);
+    expect(await store.get('c')).toBe(3);
+  });
+
+  test('expires entries after their TTL', async () => {
+    const store = createMemoryCache();
+    await store.set('a', 1, 60);
+    now += 59 * 1000;
+    expect(await store.get('a')).toBe(1);
+    now += 1000;
+    expect(await store.get('a')).toBeUndefined();
+  });
+});
+
+describe('disk backend', () => {
+  let dir;
+  beforeEach(() => { dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mapetite-cache-test-')); });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test('reads back what it wrote, from a new instance too', async () => {
+    await createDiskCache({ dir }).set('k', { status: 'OK' }, 60);
+    expect(await createDiskCache({ dir }).get('k')).toEqual({ status: 'OK' });
+    expect(await createDiskCache({ dir }).get('other')).toBeUndefined();
+  });
+
+  test('drops expired entries', async () => {
+    const store = createDiskCache({ dir });
+    await store.set('k', { status: 'OK' }, 60);
+    now += 60 * 1000;
+    expect(await store.get('k')).toBeUndefined();
+    // the expired file is removed in the background
+    for (let i = 0; i < 50 && fs.readdirSync(dir).length > 0; i++) await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+});
+
+describe('cached', () => {
+  const ok = { status: 'OK', results: [] };
+
+  test('misses, then hits, and never stores failed responses', async () => {
+    const { cached, restore } = loadCache({ MAPETITE_CACHE: 'memory' });
+    try {
+      const fetcher = jest.fn(async () => ok);
+      const request = { namespace: 'test', kind: 'places', params: { location: '1,2' } };
+      expect((await cached(request, fetcher)).cache).toBe('MISS');
+      expect(await cached(request, fetcher)).toEqual({ data: ok, cache: 'HIT' });
+      expect(fetcher).toHaveBeenCalledTimes(1);
+
+      const failing = jest.fn(async () => ({ status: 'OVER_QUERY_LIMIT' }));
+      const other = { ...request, params: { location: '3,4' } };
+      await cached(other, failing);
+      expect((await cached(other, failing)).cache).toBe('MISS');
+      expect(failing).toHaveBeenCalledTimes(2);
+    } finally {
+      restore();
+    }
+  });
+
+  test('honours the per-kind TTL override', async () => {
+    const { cached, restore } = loadCache({ MAPETITE_CACHE: 'memory', MAPETITE_CACHE_TTL_DIRECTIONS: '30' });
+    try {
+      const request = { namespace: 'test', kind: 'directions', params: { origin: 'a', destination: 'b' } };
+      await cached(request, async () => ok);
+      now += 31 * 1000;
+      expect((await cached(request, async () => ok)).cache).toBe('MISS');
+    } finally {
+      restore();
+    }
+  });
+
+  test('bypasses the cache when MAPETITE_CACHE=off', async () => {
+    const { cached, restore } = loadCache({ MAPETITE_CACHE: 'off' });
+    try {
+      const fetcher = jest.fn(async () => ok);
+      const request = { namespace: 'test', kind: 'places', params: { location: '1,2' } };
+      expect(await cached(request, fetcher)).toEqual({ data: ok, cache: 'BYPASS' });
+      expect((await cached(request, fetcher)).cache).toBe('BYPASS');
+      expect(fetcher).toHaveBeenCalledTimes(2);
+    } finally {
+      restore();
+    }
+  });
+});
+
+describe('cacheKey', () => {
+  const { cacheKey } = require('../../api/_lib/cache');
+  const base = { origin: '37.77931,-122.41931', destination: '37.8044,-122.2712' };
+
+  test('rounds coordinates so nearby requests share a key', () => {
+    expect(cacheKey('google', 'directions', base))
+      .toBe(cacheKey('google', 'directions', { ...base, origin: '37.779312,-122.419308' }));
+    expect(cacheKey('google', 'directions', base))
+      .not.toBe(cacheKey('google', 'directions', { ...base, origin: '37.7799,-122.4193' }));
+  });
+
+  test('keeps departure, traffic model and filters apart', () => {
+    const keys = [
+      base,
+      { ...base, departure_time: 'now' },
+      { ...base, departure_time: '1900000000' },
+      { ...base, departure_time: 'now', traffic_model: 'pessimistic' },
+      { ...base, keyword: 'tacos' },
+      { ...base, minprice: '2' },
+      { ...base, maxprice: '2' },
+    ].map((params) => cacheKey('google', 'directions', params));
+    expect(new Set(keys).size).toBe(keys.length);
+  });
+
+  test('is scoped by provider and kind', () => {
+    expect(cacheKey('google', 'places', base)).not.toBe(cacheKey('fixture', 'places', base));
+    expect(cacheKey('google', 'places', base)).not.toBe(cacheKey('google', 'matrix', base));
+  });
+});
@@ -0,0 +1,111 @@
+/** @jest-environment node */
+// /api/detours: query parsing and the event stream, replayed from fixtures/ (MAPETITE_PROVIDER=fixture)
+
+const { callHandler } = require('./fakeHttp');
+
+process.env.MAPETITE_PROVIDER = 'fixture';
+process.env.MAPETITE_CACHE = 'off';
+
+const { parseDetourQuery } = require('../../api/_lib/detours');
+const detours = require('../../api/detours');
+
+const origin = '37.7793,-122.4193';
+const destination = '37.8044,-122.2712';
+
+const ndjsonEvents = (body) => body.trim().split('\n').map((line) => JSON.parse(line));
+
+describe('parseDetourQuery', () => {
+  test('fills in the travel-mode defaults', () => {
+    const opts = parseDetourQuery({ origin, destination });
+    expect(opts).toMatchObject({ origin, destination, mode: 'driving', corridorMiles: 1, sampleEveryKm: 9, maxDetours: 100 });
+    expect(parseDetourQuery({ mode: 'walking' }).corridorMiles).toBe(0.2);
+  });
+
+  test('clamps the corridor, the candidate cap and the price levels', () => {
+    const opts = parseDetourQuery({ corridor: '10', sampling: 'thorough', max: '500', minprice: '7', maxprice: 'x' });
+    expect(opts).toMatchObject({ corridorMiles: 6, sampleEveryKm: 5, maxDetours: 100, minprice: '4', maxprice: undefined });
+    expect(parseDetourQuery({ max: '20' }).maxDetours).toBe(20);
+  });
+
+  test('reads the meal window, stretch and polygon', () => {
+    const opts = parseDetourQuery({ mealfrom: '90', mealto: '30', stretch: '40,10', polygon: '1,1|2,1|x|2,2' });
+    expect(opts.mealWindow).toEqual({ fromSec: 1800, toSec: 5400 });
+    expect(opts.stretch).toEqual({ startKm: 10, endKm: 40 });
+    expect(opts.polygon).toEqual([[1, 1], [2, 1], [2, 2]]);
+    expect(parseDetourQuery({ mealfrom: '30', stretch: '5,5', polygon: '1,1|2,1' })).toMatchObject({ mealWindow: null, stretch: null, polygon: null });
+  });
+});
+
+describe('/api/detours', () => {
+  test('streams route, places, scored options and done as NDJSON', async () => {
+    const res = await callHandler(detours, { query: { origin, destination } });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/x-ndjson/);
+
+    const events = ndjsonEvents(res.body);
+    const types = events.map((e) => e.type);
+    expect(types[0]).toBe('route');
+    expect(types[types.length - 1]).toBe('done');
+    expect(types.filter((t) => t !== 'progress')).toEqual(['route', 'places', 'option', 'option', 'option', 'done']);
+    expect(types.indexOf('progress')).toBeLessThan(types.indexOf('places'));
+
+    expect(events[0].baseTimeSec).toBe(1260);
+    expect(events.find((e) => e.type === 'places').places.map((p) => p.name)).not.toContain('Hilltop Grill');
+    const options = events.filter((e) => e.type === 'option').map((e) => [e.option.place.name, e.option.addedTime]);
+    expect(options).toEqual(expect.arrayContaining([['Harbor Noodle Bar', 90], ['Island Tacos', 140], ['Station Diner', 120]]));
+    expect(events[events.length - 1]).toEqual({ type: 'done', count: 3, truncated: false, remaining: 0 });
+  });
+
+  test('reports the corridor places left unscored by max', async () => {
+    const events = ndjsonEvents((await callHandler(detours, { query: { origin, destination, max: '1' } })).body);
+    expect(events.filter((e) => e.type === 'option').map((e) => e.option.place.name)).toEqual(['Station Diner']);
+    expect(events[events.length - 1]).toEqual({ type: 'done', count: 1, truncated: true, remaining: 2 });
+  });
+
+  test('frames the same events as Server-Sent Events when asked to', async () => {
+    const res = await callHandler(detours, { query: { origin, destination }, headers: { accept: 'text/event-stream' } });
+    expect(res.headers['content-type']).toMatch(/^text\/event-stream/);
+    const frames = res.body.split('\n\n').filter(Boolean);
+    frames.forEach((frame) => expect(frame).toMatch(/^event: \w+\ndata: \{.*\}$/));
+    const [first] = frames;
+    expect(first.startsWith('event: route\n')).toBe(true);
+    expect(JSON.parse(first.split('data: ')[1]).type).toBe('route');
+    expect(frames[frames.length - 1].startsWith('event: done\n')).toBe(true);
+  });
+
+  test('reports a search with nothing to search as an error event', async () => {
+    const res = await callHandler(detours, { query: { origin, destination, mealfrom: '60', mealto: '90' } });
+    const events = ndjsonEvents(res.body);
+    expect(events.map((e) => e.type)).toEqual(['route', 'error', 'done']);
+    expect(events[1].error).toMatch(/Meal window starts after you arrive/);
+  });
+
+  test('ends the stream with an error event when the search fails', async () => {
+    let failing;
+    jest.isolateModules(() => {
+      jest.doMock('../../api/_lib/detours', () => ({
+        ...jest.requireActual('../../api/_lib/detours'),
+        runDetourSearch: async (provider, opts, route, emit) => {
+          emit({ type: 'route', route });
+          throw new Error('boom');
+        },
+      }));
+      failing = require('../../api/detours');
+    });
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      const res = await callHandler(failing, { query: { origin, destination } });
+      expect(res.statusCode).toBe(200);
+      expect(ndjsonEvents(res.body).map((e) => e.type)).toEqual(['route', 'error']);
+    } finally {
+      consoleError.mockRestore();
+    }
+  });
+
+  test('answers with a status code before the stream starts', async () => {
+    expect((await callHandler(detours, { query: { origin } })).statusCode).toBe(400);
+    const res = await callHandler(detours, { query: { origin, destination: '37.9,-122.1' } });
+    expect(res.statusCode).toBe(502);
+    expect(res.json().google.status).toBe('NOT_FOUND');
+  });
+});
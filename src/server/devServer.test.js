@@ -0,0 +1,89 @@
+/** @jest-environment node */
+// backend/server.js over real HTTP on a random port, with the fixture provider behind it
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+process.env.MAPETITE_PROVIDER = 'fixture';
+process.env.MAPETITE_CACHE = 'off';
+process.env.CORS_ORIGINS = 'http://localhost:3000,https://mapetite.example';
+
+const { createApp } = require('../../backend/server');
+
+let server;
+let port;
+
+const request = (urlPath, { method = 'GET', headers = {}, body } = {}) => new Promise((resolve, reject) => {
+  const req = http.request({ host: '127.0.0.1', port, path: urlPath, method, headers }, (res) => {
+    let data = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { data += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data, json: () => JSON.parse(data) }));
+  });
+  req.on('error', reject);
+  req.end(body);
+});
+
+beforeAll((done) => {
+  jest.spyOn(console, 'log').mockImplementation(() => {}); // request log lines
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  server = createApp().listen(0, '127.0.0.1', () => {
+    ({ port } = server.address());
+    done();
+  });
+});
+
+afterAll((done) => {
+  jest.restoreAllMocks();
+  server.close(done);
+});
+
+test('reports health', async () => {
+  const res = await request('/health');
+  expect(res.status).toBe(200);
+  expect(res.json().status).toBe('ok');
+});
+
+test('mounts every api/*.js handler at /api/<name>, but not api/_lib', async () => {
+  const names = fs.readdirSync(path.join(__dirname, '..', '..', 'api'))
+    .filter((file) => file.endsWith('.js') && !file.startsWith('_'))
+    .map((file) => path.basename(file, '.js'));
+  expect(names).toEqual(expect.arrayContaining(['places', 'directions']));
+  for (const name of names) {
+    // Without parameters each handler answers its own 400
+    expect((await request(`/api/${name}`)).status).toBe(400);
+  }
+  expect((await request('/api/_lib')).status).toBe(404);
+
+  const places = await request('/api/places?lat=37.789&lng=-122.39');
+  expect(places.status).toBe(200);
+  expect(places.headers['x-cache']).toBe('BYPASS');
+});
+
+test('only allows the configured browser origins', async () => {
+  const allowed = await request('/health', { headers: { Origin: 'https://mapetite.example' } });
+  expect(allowed.headers['access-control-allow-origin']).toBe('https://mapetite.example');
+  expect(allowed.headers['access-control-expose-headers']).toBe('X-Cache');
+
+  const rejected = await request('/health', { headers: { Origin: 'https://evil.example' } });
+  expect(rejected.headers['access-control-allow-origin']).toBeUndefined();
+  const preflight = await request('/api/places', {
+    method: 'OPTIONS',
+    headers: { Origin: 'https://evil.example', 'Access-Control-Request-Method': 'GET' },
+  });
+  expect(preflight.headers['access-control-allow-origin']).toBeUndefined();
+});
+
+test('answers unknown routes with a JSON 404', async () => {
+  const res = await request('/api/nope');
+  expect(res.status).toBe(404);
+  expect(res.json()).toEqual({ error: 'No route for GET /api/nope' });
+});
+
+test('turns errors thrown in the middleware chain into a JSON 500', async () => {
+  const res = await request('/api/places', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: '{not json' });
+  expect(res.status).toBe(500);
+  expect(res.json()).toEqual({ error: 'Internal server error' });
+  expect(console.error).toHaveBeenCalledWith(expect.stringContaining('Unhandled error on POST /api/places'), expect.any(Error));
+});
@@ -0,0 +1,51 @@
+// Minimal stand-ins for the Vercel / Express req and res objects the api/ handlers use, so the
+// handlers can be called directly in tests. Resolves once the handler ends the response.
+// `onRequest(client)` gets a `client.disconnect()` that drops the connection mid-response the way
+// Node reports it: 'close' on the request and the response while the response is unfinished.
+
+const { EventEmitter } = require('events');
+
+const callHandler = (handler, { query = {}, headers = {}, onRequest } = {}) => new Promise((resolve, reject) => {
+  const req = Object.assign(new EventEmitter(), { method: 'GET', query, headers });
+  const res = new EventEmitter();
+  const chunks = [];
+  const sent = {};
+  Object.assign(res, {
+    statusCode: 200,
+    writableEnded: false,
+    setHeader: (name, value) => { sent[name.toLowerCase()] = value; },
+    getHeader: (name) => sent[name.toLowerCase()],
+    flushHeaders: () => {},
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    json: (body) => {
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      return res.end(JSON.stringify(body));
+    },
+    write: (chunk) => {
+      chunks.push(String(chunk));
+      return true;
+    },
+    end: (chunk) => {
+      if (chunk !== undefined) chunks.push(String(chunk));
+      res.writableEnded = true;
+      res.emit('close');
+      const body = chunks.join('');
+      resolve({ statusCode: res.statusCode, headers: sent, body, json: () => JSON.parse(body) });
+      return res;
+    },
+  });
+  if (onRequest) {
+    onRequest({
+      disconnect: () => {
+        req.emit('close');
+        res.emit('close');
+      },
+    });
+  }
+  Promise.resolve(handler(req, res)).catch(reject);
+});
+
+module.exports = { callHandler };
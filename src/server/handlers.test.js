@@ -0,0 +1,213 @@
+/** @jest-environment node */
+// The api/ handlers against the recorded responses in fixtures/ (MAPETITE_PROVIDER=fixture)
+
+const { callHandler } = require('./fakeHttp');
+
+process.env.MAPETITE_PROVIDER = 'fixture';
+process.env.MAPETITE_CACHE = 'off';
+
+const places = require('../../api/places');
+const directions = require('../../api/directions');
+const matrix = require('../../api/matrix');
+const details = require('../../api/details');
+const detours = require('../../api/detours');
+const fixture = require('../../api/_lib/providers/fixture');
+
+const origin = '37.7793,-122.4193';
+const destination = '37.8044,-122.2712';
+
+describe('/api/places', () => {
+  test('serves the recorded Nearby Search results', async () => {
+    const res = await callHandler(places, { query: { lat: '37.789', lng: '-122.39', rankby: 'distance' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-cache']).toBe('BYPASS');
+    expect(res.json().results.map((p) => p.name)).toContain('Harbor Noodle Bar');
+    expect(res.json().next_page_token).toBeNull();
+  });
+
+  test('rejects a request without coordinates', async () => {
+    expect((await callHandler(places, { query: { lat: '37.789' } })).statusCode).toBe(400);
+  });
+});
+
+describe('/api/directions', () => {
+  test('serves the recorded route', async () => {
+    const res = await callHandler(directions, { query: { origin, destination } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().routes[0].legs[0].duration.value).toBe(1260);
+  });
+
+  test('answers a route that was never recorded with a 502', async () => {
+    const res = await callHandler(directions, { query: { origin, destination: '37.9,-122.1' } });
+    expect(res.statusCode).toBe(502);
+    expect(res.json().google.status).toBe('NOT_FOUND');
+  });
+});
+
+describe('/api/matrix', () => {
+  test('scores the places against the recorded baseline', async () => {
+    const ids = ['fixture-place-station', 'fixture-place-island', 'fixture-place-harbor'];
+    const res = await callHandler(matrix, { query: { origin, destination, places: ids.join('|') } });
+    expect(res.statusCode).toBe(200);
+    const body = res.json();
+    expect(body.baseTimeSec).toBe(1260);
+    expect(body.results.map((r) => [r.place_id, r.addedTime])).toEqual([
+      ['fixture-place-station', 120],
+      ['fixture-place-island', 140],
+      ['fixture-place-harbor', 90],
+    ]);
+  });
+
+  test('rejects a request without places', async () => {
+    expect((await callHandler(matrix, { query: { origin, destination } })).statusCode).toBe(400);
+  });
+});
+
+describe('/api/details', () => {
+  test('serves the recorded opening hours', async () => {
+    const res = await callHandler(details, { query: { place_id: 'fixture-place-harbor' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().result.opening_hours.periods).toHaveLength(7);
+  });
+
+  test('answers a place that was never recorded with a 502', async () => {
+    expect((await callHandler(details, { query: { place_id: 'unknown' } })).statusCode).toBe(502);
+  });
+});
+
+describe('/api/directions with stops', () => {
+  const stops = 'fixture-place-station|fixture-place-harbor';
+
+  test('keeps the stops in the order given', async () => {
+    const res = await callHandler(directions, { query: { origin, destination, waypoints: stops } });
+    expect(res.statusCode).toBe(200);
+    const [route] = res.json().routes;
+    expect(route.waypoint_order).toEqual([0, 1]);
+    expect(route.legs.map((leg) => leg.end_address)).toEqual(['Station Diner', 'Harbor Noodle Bar', 'Oakland, CA, USA']);
+  });
+
+  test('lets Google reorder them with optimize=true', async () => {
+    const res = await callHandler(directions, { query: { origin, destination, waypoints: stops, optimize: 'true' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().routes[0].waypoint_order).toEqual([1, 0]);
+  });
+
+  test('still takes a single legacy waypoint', async () => {
+    const res = await callHandler(directions, { query: { origin, destination, waypoint: 'fixture-place-harbor' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().routes[0].legs[0].end_address).toBe('Harbor Noodle Bar');
+  });
+
+  test('rejects more than 25 waypoints', async () => {
+    const many = Array.from({ length: 26 }, (_, i) => `place-${i}`).join('|');
+    const res = await callHandler(directions, { query: { origin, destination, waypoints: many } });
+    expect(res.statusCode).toBe(400);
+    expect(res.json().error).toBe('Too many waypoints (max 25)');
+  });
+
+  test('routes transit hop by hop and joins the hops into one route', async () => {
+    const res = await callHandler(directions, { query: { origin, destination, waypoints: 'fixture-place-harbor', mode: 'transit' } });
+    expect(res.statusCode).toBe(200);
+    const [route] = res.json().routes;
+    expect(route.legs.map((leg) => leg.duration.value)).toEqual([900, 1500]);
+    expect(route.waypoint_order).toEqual([0]);
+    expect(route.summary).toBe('Muni 12 · BART Yellow');
+  });
+});
+
+describe('avoid and route alternatives', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  test('/api/directions sends the normalised avoid list and asks for alternatives', async () => {
+    const directionsCall = jest.spyOn(fixture, 'directions');
+    const res = await callHandler(directions, { query: { origin, destination, alternatives: 'true', avoid: 'tolls|ferries|rockets' } });
+    expect(directionsCall.mock.calls[0][0]).toEqual({ origin, destination, avoid: 'ferries|tolls', alternatives: 'true' });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().routes.map((r) => r.summary)).toEqual(['I-80 E (no tolls)', 'CA-92 E and I-880 N']);
+  });
+
+  test('/api/directions drops alternatives on a route with waypoints', async () => {
+    const directionsCall = jest.spyOn(fixture, 'directions');
+    const res = await callHandler(directions, { query: { origin, destination, alternatives: 'true', waypoints: 'fixture-place-harbor' } });
+    expect(directionsCall.mock.calls[0][0]).toEqual({ origin, destination, waypoints: 'place_id:fixture-place-harbor' });
+    expect(res.statusCode).toBe(200);
+  });
+
+  test('/api/matrix sends avoid on the baseline and every batch', async () => {
+    const matrixCall = jest.spyOn(fixture, 'distanceMatrix');
+    const ids = ['fixture-place-station', 'fixture-place-island', 'fixture-place-harbor'];
+    const res = await callHandler(matrix, { query: { origin, destination, places: ids.join('|'), avoid: 'tolls' } });
+    expect(res.statusCode).toBe(200);
+    expect(res.json().baseTimeSec).toBe(1380);
+    expect(matrixCall).toHaveBeenCalledTimes(3);
+    matrixCall.mock.calls.forEach(([params]) => expect(params.avoid).toBe('tolls'));
+  });
+
+  test('detour scoring avoids what the base route avoids', async () => {
+    const directionsCall = jest.spyOn(fixture, 'directions');
+    const matrixCall = jest.spyOn(fixture, 'distanceMatrix');
+    const res = await callHandler(detours, { query: { origin, destination, avoid: 'tolls' } });
+    const events = res.body.trim().split('\n').map((line) => JSON.parse(line));
+    expect(directionsCall.mock.calls[0][0].avoid).toBe('tolls');
+    expect(matrixCall).toHaveBeenCalledTimes(2);
+    matrixCall.mock.calls.forEach(([params]) => expect(params.avoid).toBe('tolls'));
+    expect(events[0].baseTimeSec).toBe(1380);
+    expect(events.filter((e) => e.type === 'option')).toHaveLength(3);
+  });
+});
+
+describe('client disconnects', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  // Fail calls made after the abort the way fetch does for the Google provider
+  const abortable = (original) => (params, options = {}) => (options.signal?.aborted
+    ? Promise.reject(new Error('This operation was aborted'))
+    : original(params, options));
+
+  test('stop the detour search once the client goes away mid-stream', async () => {
+    let client;
+    const original = fixture.nearbySearch;
+    const nearbySearch = jest.spyOn(fixture, 'nearbySearch').mockImplementation(abortable(original));
+    const distanceMatrix = jest.spyOn(fixture, 'distanceMatrix');
+    const consoleLog = jest.spyOn(console, 'log').mockImplementation(() => {});
+    nearbySearch.mockImplementationOnce((params, options) => {
+      client.disconnect();
+      return original(params, options);
+    });
+
+    const res = await callHandler(detours, { query: { origin, destination }, onRequest: (c) => { client = c; } });
+    expect(res.statusCode).toBe(200);
+    expect(nearbySearch).toHaveBeenCalledTimes(1);
+    expect(nearbySearch.mock.calls[0][1].signal.aborted).toBe(true);
+    expect(distanceMatrix).not.toHaveBeenCalled();
+    expect(res.body.trim().split('\n').map((line) => JSON.parse(line).type)).toEqual(['route', 'progress']);
+    expect(consoleLog).toHaveBeenCalledWith(expect.stringContaining('Client disconnected'));
+  });
+
+  test('stop scoring in /api/matrix once the client goes away', async () => {
+    let client;
+    const original = fixture.distanceMatrix;
+    const distanceMatrix = jest.spyOn(fixture, 'distanceMatrix').mockImplementation(abortable(original));
+    distanceMatrix.mockImplementationOnce((params, options) => {
+      client.disconnect();
+      return original(params, options);
+    });
+
+    const ids = ['fixture-place-station', 'fixture-place-island', 'fixture-place-harbor'];
+    const res = await callHandler(matrix, { query: { origin, destination, places: ids.join('|') }, onRequest: (c) => { client = c; } });
+    expect(distanceMatrix).toHaveBeenCalledTimes(1); // the baseline only
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toBe('');
+  });
+});
+
+test('an unknown provider is reported as a server misconfiguration', async () => {
+  process.env.MAPETITE_PROVIDER = 'nope';
+  try {
+    const res = await callHandler(places, { query: { lat: '1', lng: '2' } });
+    expect(res.statusCode).toBe(500);
+    expect(res.json().error).toMatch(/MAPETITE_PROVIDER/);
+  } finally {
+    process.env.MAPETITE_PROVIDER = 'fixture';
+  }
+});
@@ -0,0 +1,50 @@
+/** @jest-environment node */
+// Distance Matrix detour scoring: traffic-aware and typical added time
+
+process.env.MAPETITE_CACHE = 'off';
+
+const { scoreBatch, withAddedTime } = require('../../api/_lib/matrix');
+
+const el = (sec, inTrafficSec) => ({
+  status: 'OK',
+  duration: { value: sec },
+  ...(inTrafficSec !== undefined ? { duration_in_traffic: { value: inTrafficSec } } : {}),
+  distance: { value: 1000 },
+});
+
+// One place: origin -> place and place -> destination, each as a one-element matrix
+const providerWith = (outbound, inbound) => ({
+  name: 'test',
+  distanceMatrix: async (params) => ({
+    status: 'OK',
+    rows: [{ elements: [params.origins.startsWith('place_id:') ? inbound : outbound] }],
+  }),
+});
+
+const endpoints = { origin: '0,0', destination: '0,1', mode: 'driving', departure: { departure_time: 'now' } };
+
+describe('withAddedTime', () => {
+  test('compares traffic-aware and typical times separately', () => {
+    const scored = withAddedTime({ totalTime: 1500, typicalTotalTime: 1300 }, 1400, 1200);
+    expect(scored).toMatchObject({ addedTime: 100, typicalAddedTime: 100 });
+    expect(withAddedTime({ totalTime: 1500, typicalTotalTime: 1300 }, 1300, 1250)).toMatchObject({ addedTime: 200, typicalAddedTime: 50 });
+  });
+
+  test('falls back to the one baseline and never goes negative', () => {
+    expect(withAddedTime({ totalTime: 1500, typicalTotalTime: 1300 }, 1400)).toMatchObject({ addedTime: 100, typicalAddedTime: 0 });
+  });
+});
+
+describe('scoreBatch', () => {
+  test('uses duration_in_traffic when Google returns it', async () => {
+    const { results } = await scoreBatch(providerWith(el(600, 900), el(300, 360)), endpoints, ['a']);
+    expect(results[0]).toMatchObject({ place_id: 'a', totalTime: 1260, typicalTotalTime: 900 });
+    expect(withAddedTime(results[0], 1100, 800)).toMatchObject({ addedTime: 160, typicalAddedTime: 100 });
+  });
+
+  test('uses the typical duration for both without it', async () => {
+    const { results } = await scoreBatch(providerWith(el(600), el(300)), endpoints, ['a']);
+    expect(results[0]).toMatchObject({ totalTime: 900, typicalTotalTime: 900 });
+    expect(withAddedTime(results[0], 800)).toMatchObject({ addedTime: 100, typicalAddedTime: 100 });
+  });
+});
@@ -0,0 +1,56 @@
+/** @jest-environment node */
+// Query param helpers shared by the api/ handlers
+
+const { parseAvoid, parseDeparture, withTravelMode, withRouteOptions } = require('../../api/_lib/params');
+
+describe('parseAvoid', () => {
+  test('keeps known features, deduplicated and sorted', () => {
+    expect(parseAvoid('tolls|ferries')).toBe('ferries|tolls');
+    expect(parseAvoid('Tolls,tolls, highways')).toBe('highways|tolls');
+    expect(parseAvoid('tolls|rockets')).toBe('tolls');
+  });
+
+  test('is undefined when nothing known is avoided', () => {
+    expect(parseAvoid(undefined)).toBeUndefined();
+    expect(parseAvoid('')).toBeUndefined();
+    expect(parseAvoid('rockets|indoors')).toBeUndefined();
+  });
+});
+
+describe('withRouteOptions', () => {
+  const endpoints = { origin: 'a', destination: 'b' };
+
+  test('leaves driving without a mode and adds nothing by default', () => {
+    expect(withTravelMode(endpoints, 'driving')).toBe(endpoints);
+    expect(withRouteOptions(endpoints)).toEqual(endpoints);
+    expect(withRouteOptions(endpoints, { mode: 'driving', avoid: undefined, departure: {} })).toEqual(endpoints);
+  });
+
+  test('adds the travel mode, avoid and departure params', () => {
+    expect(withRouteOptions(endpoints, { mode: 'walking', avoid: 'ferries|tolls', departure: { departure_time: 'now' } }))
+      .toEqual({ ...endpoints, mode: 'walking', avoid: 'ferries|tolls', departure_time: 'now' });
+  });
+});
+
+describe('parseDeparture', () => {
+  const future = String(Math.floor(Date.now() / 1000) + 3600);
+
+  test('keeps future times and sends past ones as now', () => {
+    expect(parseDeparture({ departure_time: future })).toEqual({ departure_time: future });
+    expect(parseDeparture({ departure_time: '1000000000' })).toEqual({ departure_time: 'now' });
+    expect(parseDeparture({ departure_time: 'now' })).toEqual({ departure_time: 'now' });
+    expect(parseDeparture({})).toEqual({});
+  });
+
+  test('sends a known traffic model for driving only', () => {
+    expect(parseDeparture({ departure_time: 'now', traffic_model: 'pessimistic' }, 'driving'))
+      .toEqual({ departure_time: 'now', traffic_model: 'pessimistic' });
+    expect(parseDeparture({ departure_time: 'now', traffic_model: 'gridlock' }, 'driving')).toEqual({ departure_time: 'now' });
+    expect(parseDeparture({ departure_time: future, traffic_model: 'pessimistic' }, 'transit')).toEqual({ departure_time: future });
+  });
+
+  test('is ignored when walking or cycling', () => {
+    expect(parseDeparture({ departure_time: future, traffic_model: 'best_guess' }, 'walking')).toEqual({});
+    expect(parseDeparture({ departure_time: 'now' }, 'bicycling')).toEqual({});
+  });
+});
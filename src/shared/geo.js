@@ -0,0 +1,249 @@
+// Geometry helpers shared by the React app and the api/ handlers.
+// Written as CommonJS with plain syntax so api/ can require() it under Node while the app
+// imports it through webpack (CRA only compiles files inside src/).
+//
+// Paths are arrays of [lat, lng]. Per-route work (segment prefix distances) is computed once
+// per path array and memoized, so repeated queries against the same route stay O(segments).
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_MILE = 1.60934;
+
+const toRadians = (deg) => (deg * Math.PI) / 180;
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+
+// Wrap a longitude delta into (-180, 180] so segments crossing the antimeridian stay short
+const wrapLngDelta = (d) => {
+  let x = ((d + 180) % 360 + 360) % 360 - 180;
+  if (x === -180) x = 180;
+  return x;
+};
+
+const haversineDistanceKm = (lat1, lon1, lat2, lon2) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) *
+      Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return EARTH_RADIUS_KM * c;
+};
+
+// Initial compass bearing from point 1 to point 2, in degrees clockwise from north [0, 360)
+const bearingDeg = (lat1, lon1, lat2, lon2) => {
+  const phi1 = toRadians(lat1);
+  const phi2 = toRadians(lat2);
+  const dLon = toRadians(wrapLngDelta(lon2 - lon1));
+  const y = Math.sin(dLon) * Math.cos(phi2);
+  const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(dLon);
+  return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+};
+
+// Project a point onto segment a->b using an equirectangular projection around the segment
+// (good enough locally). Longitudes are unwrapped relative to `a` so antimeridian crossings work.
+// Returns t in [0, 1] along the segment and the point's offset from the segment in km.
+const projectOntoSegment = (pointLat, pointLng, lat1, lon1, lat2, lon2) => {
+  const unwrappedLon2 = lon1 + wrapLngDelta(lon2 - lon1);
+  const unwrappedLng = lon1 + wrapLngDelta(pointLng - lon1);
+  const cosMid = Math.cos(toRadians((lat1 + lat2) / 2));
+
+  const x1 = toRadians(lon1) * cosMid;
+  const y1 = toRadians(lat1);
+  const x2 = toRadians(unwrappedLon2) * cosMid;
+  const y2 = toRadians(lat2);
+  const xp = toRadians(unwrappedLng) * cosMid;
+  const yp = toRadians(pointLat);
+
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const segLen2 = dx * dx + dy * dy;
+  let t = 0;
+  if (segLen2 > 0) {
+    t = ((xp - x1) * dx + (yp - y1) * dy) / segLen2;
+    t = Math.max(0, Math.min(1, t));
+  }
+
+  // Map the projected point back to lat/lng and measure the real distance to it
+  const projLng = toDegrees((x1 + t * dx) / cosMid);
+  const projLat = toDegrees(y1 + t * dy);
+  return { t, offsetKm: haversineDistanceKm(pointLat, pointLng, projLat, projLng) };
+};
+
+const prefixCache = new WeakMap();
+
+// Cumulative distance (km) from the start of the path to each vertex; memoized per path array
+const routePrefixKm = (pathLatLngs) => {
+  const cached = prefixCache.get(pathLatLngs);
+  if (cached) return cached;
+  const prefixKm = [0];
+  for (let i = 0; i < pathLatLngs.length - 1; i++) {
+    const [aLat, aLng] = pathLatLngs[i];
+    const [bLat, bLng] = pathLatLngs[i + 1];
+    prefixKm.push(prefixKm[i] + haversineDistanceKm(aLat, aLng, bLat, bLng));
+  }
+  prefixCache.set(pathLatLngs, prefixKm);
+  return prefixKm;
+};
+
+const routeLengthKm = (pathLatLngs) => {
+  if (!pathLatLngs || pathLatLngs.length < 2) return 0;
+  const prefixKm = routePrefixKm(pathLatLngs);
+  return prefixKm[prefixKm.length - 1];
+};
+
+// Closest projection of a point onto the route: how far along the route it is (alongKm),
+// how far off the route it is (offsetKm) and which segment it projects onto.
+const computeAlongRouteDistanceKm = (pointLat, pointLng, pathLatLngs) => {
+  if (!pathLatLngs || pathLatLngs.length === 0) return { alongKm: 0, offsetKm: Infinity, segmentIndex: -1 };
+  if (pathLatLngs.length === 1) {
+    const [lat, lng] = pathLatLngs[0];
+    return { alongKm: 0, offsetKm: haversineDistanceKm(pointLat, pointLng, lat, lng), segmentIndex: 0 };
+  }
+
+  const prefixKm = routePrefixKm(pathLatLngs);
+  let best = { alongKm: 0, offsetKm: Infinity, segmentIndex: -1 };
+  for (let i = 0; i < pathLatLngs.length - 1; i++) {
+    const [lat1, lon1] = pathLatLngs[i];
+    const [lat2, lon2] = pathLatLngs[i + 1];
+    const { t, offsetKm } = projectOntoSegment(pointLat, pointLng, lat1, lon1, lat2, lon2);
+    if (offsetKm < best.offsetKm) {
+      const segKm = prefixKm[i + 1] - prefixKm[i];
+      best = { alongKm: prefixKm[i] + t * segKm, offsetKm, segmentIndex: i };
+    }
+  }
+  return best;
+};
+
+// Approx distance from point to polyline (min distance to any segment)
+const distanceFromPointToPolylineKm = (pointLat, pointLng, pathLatLngs) => {
+  return computeAlongRouteDistanceKm(pointLat, pointLng, pathLatLngs).offsetKm;
+};
+
+// Pick a vertex roughly every `everyKm` along the path; always includes both ends
+const sampleRoute = (pathLatLngs, everyKm) => {
+  if (!pathLatLngs || pathLatLngs.length === 0) return [];
+  const sampled = [];
+  let accumulatedKm = 0;
+  for (let i = 0; i < pathLatLngs.length - 1; i++) {
+    const [aLat, aLng] = pathLatLngs[i];
+    const [bLat, bLng] = pathLatLngs[i + 1];
+    accumulatedKm += haversineDistanceKm(aLat, aLng, bLat, bLng);
+    if (accumulatedKm >= everyKm || i === 0) {
+      sampled.push([aLat, aLng]);
+      accumulatedKm = 0;
+    }
+  }
+  sampled.push(pathLatLngs[pathLatLngs.length - 1]);
+  return sampled;
+};
+
+// The part of the path between two along-route distances (km), with interpolated end points
+const slicePathByKm = (pathLatLngs, startKm, endKm) => {
+  if (!pathLatLngs || pathLatLngs.length < 2) return pathLatLngs ? pathLatLngs.slice() : [];
+  const prefixKm = routePrefixKm(pathLatLngs);
+  const totalKm = prefixKm[prefixKm.length - 1];
+  const from = Math.max(0, Math.min(totalKm, Math.min(startKm, endKm)));
+  const to = Math.max(0, Math.min(totalKm, Math.max(startKm, endKm)));
+
+  const pointAt = (km) => {
+    let i = 0;
+    while (i < prefixKm.length - 2 && prefixKm[i + 1] < km) i++;
+    const segKm = prefixKm[i + 1] - prefixKm[i];
+    const t = segKm > 0 ? (km - prefixKm[i]) / segKm : 0;
+    const [aLat, aLng] = pathLatLngs[i];
+    const [bLat, bLng] = pathLatLngs[i + 1];
+    return [aLat + t * (bLat - aLat), aLng + t * wrapLngDelta(bLng - aLng)];
+  };
+
+  const sliced = [pointAt(from)];
+  for (let i = 0; i < pathLatLngs.length; i++) {
+    if (prefixKm[i] > from && prefixKm[i] < to) sliced.push(pathLatLngs[i]);
+  }
+  sliced.push(pointAt(to));
+  return sliced;
+};
+
+const KM_PER_DEGREE_LAT = (Math.PI * EARTH_RADIUS_KM) / 180;
+
+// Outline of the corridor within `widthKm` of the path, as a polygon ([lat, lng] ring): the path
+// thinned to a point every `everyKm` (half the width by default), offset to the left, then back
+// along the right side. Approximate (square ends, overlaps on sharp bends) but fine for drawing
+// the search area.
+const corridorPolygon = (pathLatLngs, widthKm, everyKm = widthKm / 2) => {
+  if (!pathLatLngs || pathLatLngs.length < 2 || !(widthKm > 0)) return [];
+  const pts = sampleRoute(pathLatLngs, everyKm);
+  const left = [];
+  const right = [];
+  for (let i = 0; i < pts.length; i++) {
+    const [lat, lng] = pts[i];
+    const a = pts[Math.max(0, i - 1)];
+    const b = pts[Math.min(pts.length - 1, i + 1)];
+    const normal = toRadians(bearingDeg(a[0], a[1], b[0], b[1]) - 90);
+    const dLat = (Math.cos(normal) * widthKm) / KM_PER_DEGREE_LAT;
+    const dLng = (Math.sin(normal) * widthKm) / (KM_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRadians(lat))));
+    left.push([lat + dLat, lng + dLng]);
+    right.push([lat - dLat, lng - dLng]);
+  }
+  return left.concat(right.reverse());
+};
+
+// Ray casting; polygon is a [lat, lng] ring (closing vertex optional)
+const pointInPolygon = (lat, lng, polygon) => {
+  if (!polygon || polygon.length < 3) return false;
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const [latI, lngI] = polygon[i];
+    const [latJ, lngJ] = polygon[j];
+    if ((latI > lat) !== (latJ > lat) && lng < ((lngJ - lngI) * (lat - latI)) / (latJ - latI) + lngI) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// Grid of points about `everyKm` apart inside the polygon, coarsened so there are at most
+// `maxSamples`; a polygon too small for the grid gets its centroid
+const samplePolygon = (polygon, everyKm, maxSamples = 60) => {
+  if (!polygon || polygon.length < 3) return [];
+  const lats = polygon.map((p) => p[0]);
+  const lngs = polygon.map((p) => p[1]);
+  const minLat = Math.min.apply(null, lats);
+  const maxLat = Math.max.apply(null, lats);
+  const minLng = Math.min.apply(null, lngs);
+  const maxLng = Math.max.apply(null, lngs);
+  const midLat = (minLat + maxLat) / 2;
+  const heightKm = (maxLat - minLat) * KM_PER_DEGREE_LAT;
+  const widthKm = (maxLng - minLng) * KM_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRadians(midLat)));
+  let stepKm = Math.max(everyKm, 0.05);
+  const cells = (heightKm / stepKm + 1) * (widthKm / stepKm + 1);
+  if (cells > maxSamples) stepKm *= Math.sqrt(cells / maxSamples);
+
+  const dLat = stepKm / KM_PER_DEGREE_LAT;
+  const dLng = stepKm / (KM_PER_DEGREE_LAT * Math.max(0.01, Math.cos(toRadians(midLat))));
+  const samples = [];
+  for (let lat = minLat + dLat / 2; lat < maxLat; lat += dLat) {
+    for (let lng = minLng + dLng / 2; lng < maxLng; lng += dLng) {
+      if (pointInPolygon(lat, lng, polygon)) samples.push([lat, lng]);
+    }
+  }
+  if (samples.length > 0) return samples.slice(0, maxSamples);
+  const n = polygon.length;
+  return [[lats.reduce((a, b) => a + b, 0) / n, lngs.reduce((a, b) => a + b, 0) / n]];
+};
+
+module.exports = {
+  KM_PER_MILE,
+  haversineDistanceKm,
+  bearingDeg,
+  projectOntoSegment,
+  routePrefixKm,
+  routeLengthKm,
+  computeAlongRouteDistanceKm,
+  distanceFromPointToPolylineKm,
+  wrapLngDelta,
+  sampleRoute,
+  slicePathByKm,
+  corridorPolygon,
+  pointInPolygon,
+  samplePolygon,
+};
@@ -0,0 +1,148 @@
+import {
+  haversineDistanceKm,
+  bearingDeg,
+  routePrefixKm,
+  routeLengthKm,
+  computeAlongRouteDistanceKm,
+  distanceFromPointToPolylineKm,
+  sampleRoute,
+  slicePathByKm,
+  corridorPolygon,
+  pointInPolygon,
+  samplePolygon,
+} from './geo';
+
+// 1 degree of latitude is ~111.19 km on a 6371 km sphere
+const KM_PER_DEG = 111.19;
+
+describe('haversineDistanceKm', () => {
+  test('is zero for identical points and symmetric', () => {
+    expect(haversineDistanceKm(33.749, -84.388, 33.749, -84.388)).toBe(0);
+    const ab = haversineDistanceKm(33.749, -84.388, 40.7128, -74.006);
+    const ba = haversineDistanceKm(40.7128, -74.006, 33.749, -84.388);
+    expect(ab).toBeCloseTo(ba, 9);
+    expect(ab).toBeGreaterThan(1195);
+    expect(ab).toBeLessThan(1215);
+  });
+
+  test('takes the short way across the antimeridian', () => {
+    expect(haversineDistanceKm(0, 179.5, 0, -179.5)).toBeCloseTo(KM_PER_DEG, 0);
+  });
+});
+
+describe('computeAlongRouteDistanceKm', () => {
+  const straight = [[0, 0], [0, 1], [0, 2]];
+
+  test('projects onto the closest segment', () => {
+    const m = computeAlongRouteDistanceKm(0.1, 1.5, straight);
+    expect(m.segmentIndex).toBe(1);
+    expect(m.alongKm).toBeCloseTo(1.5 * KM_PER_DEG, 0);
+    expect(m.offsetKm).toBeCloseTo(0.1 * KM_PER_DEG, 0);
+  });
+
+  test('clamps to the route ends', () => {
+    expect(computeAlongRouteDistanceKm(0, -1, straight).alongKm).toBe(0);
+    expect(computeAlongRouteDistanceKm(0, 3, straight).alongKm).toBeCloseTo(routeLengthKm(straight), 6);
+  });
+
+  test('handles segments crossing the antimeridian', () => {
+    const path = [[10, 179], [10, -179]];
+    const m = computeAlongRouteDistanceKm(10.05, 179.9, path);
+    expect(m.offsetKm).toBeLessThan(6);
+    expect(m.alongKm).toBeGreaterThan(0.8 * KM_PER_DEG * Math.cos(10 * Math.PI / 180));
+    expect(routeLengthKm(path)).toBeLessThan(2.1 * KM_PER_DEG);
+  });
+
+  test('tolerates degenerate (zero-length) segments', () => {
+    const path = [[0, 0], [0, 0], [0, 1], [0, 1], [0, 2]];
+    const m = computeAlongRouteDistanceKm(0, 1.5, path);
+    expect(Number.isFinite(m.alongKm)).toBe(true);
+    expect(m.alongKm).toBeCloseTo(1.5 * KM_PER_DEG, 0);
+    expect(m.offsetKm).toBeCloseTo(0, 3);
+  });
+
+  test('treats a single point as a zero-length route and an empty path as no route', () => {
+    expect(computeAlongRouteDistanceKm(0, 1, [[0, 0]]).offsetKm).toBeCloseTo(KM_PER_DEG, 0);
+    expect(distanceFromPointToPolylineKm(0, 1, [])).toBe(Infinity);
+    expect(distanceFromPointToPolylineKm(0, 1, null)).toBe(Infinity);
+  });
+});
+
+describe('bearingDeg', () => {
+  test('measures clockwise from north', () => {
+    expect(bearingDeg(0, 0, 1, 0)).toBeCloseTo(0, 6);
+    expect(bearingDeg(0, 0, 0, 1)).toBeCloseTo(90, 6);
+    expect(bearingDeg(0, 0, -1, 0)).toBeCloseTo(180, 6);
+    expect(bearingDeg(0, 0, 0, -1)).toBeCloseTo(270, 6);
+    // Eastward across the antimeridian
+    expect(bearingDeg(0, 179.5, 0, -179.5)).toBeCloseTo(90, 6);
+  });
+});
+
+describe('long routes', () => {
+  // ~4,000 km coast-to-coast style route with a vertex every ~1 km
+  const longPath = [];
+  for (let i = 0; i <= 4000; i++) longPath.push([35, -118 + i * (36 / 4000)]);
+
+  test('memoizes prefix distances per path', () => {
+    const first = routePrefixKm(longPath);
+    expect(routePrefixKm(longPath)).toBe(first);
+    expect(first).toHaveLength(longPath.length);
+    expect(first[first.length - 1]).toBeCloseTo(routeLengthKm(longPath), 9);
+  });
+
+  test('measures along-route position near the far end', () => {
+    const total = routeLengthKm(longPath);
+    const m = computeAlongRouteDistanceKm(35.01, -82.5, longPath);
+    expect(m.offsetKm).toBeLessThan(1.2);
+    // 0.5 degrees of longitude short of the end at 35°N
+    const expectedRemaining = 0.5 * KM_PER_DEG * Math.cos(35 * Math.PI / 180);
+    expect(Math.abs(total - m.alongKm - expectedRemaining)).toBeLessThan(1);
+  });
+
+  test('samples roughly every N km and keeps both ends', () => {
+    const samples = sampleRoute(longPath, 50);
+    const total = routeLengthKm(longPath);
+    expect(samples[0]).toEqual(longPath[0]);
+    expect(samples[samples.length - 1]).toEqual(longPath[longPath.length - 1]);
+    expect(samples.length).toBeGreaterThanOrEqual(Math.floor(total / 51));
+    expect(samples.length).toBeLessThanOrEqual(Math.ceil(total / 49) + 2);
+  });
+
+  test('slices the stretch between two along-route distances', () => {
+    const slice = slicePathByKm(longPath, 1000, 1500.5);
+    expect(routeLengthKm(slice)).toBeCloseTo(500.5, 1);
+    expect(computeAlongRouteDistanceKm(slice[0][0], slice[0][1], longPath).alongKm).toBeCloseTo(1000, 1);
+    // Out-of-range bounds clamp to the route's ends
+    expect(slicePathByKm(longPath, -5, 1e6)[0]).toEqual(longPath[0]);
+    expect(routeLengthKm(slicePathByKm(longPath, -5, 1e6))).toBeCloseTo(routeLengthKm(longPath), 6);
+  });
+});
+
+describe('corridor shapes', () => {
+  // ~11 km due east along the equator
+  const path = [[0, 0], [0, 0.05], [0, 0.1]];
+  const square = [[0, 0], [0.1, 0], [0.1, 0.1], [0, 0.1]];
+
+  test('outlines the corridor on both sides of the path', () => {
+    const outline = corridorPolygon(path, 2);
+    expect(pointInPolygon(0.01, 0.05, outline)).toBe(true); // ~1.1 km north of the path
+    expect(pointInPolygon(-0.01, 0.05, outline)).toBe(true);
+    expect(pointInPolygon(0.03, 0.05, outline)).toBe(false); // ~3.3 km off
+    expect(corridorPolygon([[0, 0]], 2)).toEqual([]);
+  });
+
+  test('tells points inside a polygon from points outside', () => {
+    expect(pointInPolygon(0.05, 0.05, square)).toBe(true);
+    expect(pointInPolygon(0.15, 0.05, square)).toBe(false);
+    expect(pointInPolygon(0.05, 0.05, square.slice(0, 2))).toBe(false);
+  });
+
+  test('samples a grid inside the polygon, capped', () => {
+    const samples = samplePolygon(square, 2); // ~11 km square
+    expect(samples.length).toBeGreaterThan(9);
+    expect(samples.every(([lat, lng]) => pointInPolygon(lat, lng, square))).toBe(true);
+    expect(samplePolygon(square, 0.1, 20).length).toBeLessThanOrEqual(20);
+    expect(samplePolygon([[0, 0], [0.0001, 0], [0, 0.0001]], 5)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,153 @@
+// Grid spatial index over a route's segments, for fast "distance to route" and
+// "along-route position" queries on long routes (hundreds of places × thousands of segments).
+//
+// Each segment is bucketed into every grid cell its bounding box touches. A query walks
+// square rings of cells outward from the point's cell and stops once no unvisited cell can
+// hold a closer segment, so only nearby segments are ever projected.
+// Same plain-syntax CommonJS constraints as ./geo (shared with api/).
+
+const { projectOntoSegment, routePrefixKm, computeAlongRouteDistanceKm, wrapLngDelta } = require('./geo');
+
+const KM_PER_DEG_LAT = 111.19;
+const DEFAULT_CELL_KM = 5;
+const MAX_RINGS = 200;
+
+const createRouteIndex = (pathLatLngs, options) => {
+  const path = pathLatLngs || [];
+  const cellKm = (options && options.cellKm) || DEFAULT_CELL_KM;
+  if (path.length < 2) {
+    // Nothing to index; fall back to the brute-force helpers (which handle 0/1 points)
+    return {
+      locate: (lat, lng) => computeAlongRouteDistanceKm(lat, lng, path),
+      withinKm: (lat, lng, maxKm) => {
+        const m = computeAlongRouteDistanceKm(lat, lng, path);
+        return m.offsetKm <= maxKm ? m : null;
+      },
+      segmentCount: 0,
+    };
+  }
+
+  // Unwrap longitudes along the route so antimeridian crossings don't span the whole grid
+  const unwrapped = [path[0][1]];
+  let maxAbsLat = Math.abs(path[0][0]);
+  for (let i = 1; i < path.length; i++) {
+    unwrapped.push(unwrapped[i - 1] + wrapLngDelta(path[i][1] - path[i - 1][1]));
+    maxAbsLat = Math.max(maxAbsLat, Math.abs(path[i][0]));
+  }
+  const refLng = unwrapped[0];
+
+  // Cells are at least cellKm wide everywhere on the route (narrowest at the highest latitude)
+  const cellLat = cellKm / KM_PER_DEG_LAT;
+  const cellLng = cellKm / (KM_PER_DEG_LAT * Math.max(0.01, Math.cos((Math.min(89, maxAbsLat) * Math.PI) / 180)));
+
+  const cellX = (lng) => Math.floor((lng - refLng) / cellLng);
+  const cellY = (lat) => Math.floor(lat / cellLat);
+  const cells = new Map();
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+
+  for (let i = 0; i < path.length - 1; i++) {
+    const x0 = cellX(Math.min(unwrapped[i], unwrapped[i + 1]));
+    const x1 = cellX(Math.max(unwrapped[i], unwrapped[i + 1]));
+    const y0 = cellY(Math.min(path[i][0], path[i + 1][0]));
+    const y1 = cellY(Math.max(path[i][0], path[i + 1][0]));
+    for (let x = x0; x <= x1; x++) {
+      for (let y = y0; y <= y1; y++) {
+        const key = `${x},${y}`;
+        const bucket = cells.get(key);
+        if (bucket) bucket.push(i);
+        else cells.set(key, [i]);
+      }
+    }
+    minX = Math.min(minX, x0);
+    maxX = Math.max(maxX, x1);
+    minY = Math.min(minY, y0);
+    maxY = Math.max(maxY, y1);
+  }
+
+  const prefixKm = routePrefixKm(path);
+
+  // Closest segment projection within maxKm (Infinity = anywhere), or null if none qualifies
+  const search = (lat, lng, maxKm) => {
+    const qLng = refLng + wrapLngDelta(lng - refLng);
+    const cx = cellX(qLng);
+    const cy = cellY(lat);
+    const maxRing = Math.max(
+      Math.abs(cx - minX), Math.abs(cx - maxX),
+      Math.abs(cy - minY), Math.abs(cy - maxY)
+    );
+    const ringLimit = Number.isFinite(maxKm) ? Math.min(maxRing, Math.ceil(maxKm / cellKm) + 1) : maxRing;
+    if (ringLimit > MAX_RINGS) {
+      // Point far from a small route: walking empty rings would cost more than brute force
+      const m = computeAlongRouteDistanceKm(lat, lng, path);
+      return m.offsetKm <= maxKm ? m : null;
+    }
+    const seen = new Set();
+    let best = null;
+
+    const visit = (x, y) => {
+      const bucket = cells.get(`${x},${y}`);
+      if (!bucket) return;
+      for (let k = 0; k < bucket.length; k++) {
+        const i = bucket[k];
+        if (seen.has(i)) continue;
+        seen.add(i);
+        const p = projectOntoSegment(lat, lng, path[i][0], path[i][1], path[i + 1][0], path[i + 1][1]);
+        if (!best || p.offsetKm < best.offsetKm) {
+          best = {
+            alongKm: prefixKm[i] + p.t * (prefixKm[i + 1] - prefixKm[i]),
+            offsetKm: p.offsetKm,
+            segmentIndex: i,
+          };
+        }
+      }
+    };
+
+    for (let r = 0; r <= ringLimit; r++) {
+      if (r === 0) {
+        visit(cx, cy);
+      } else {
+        for (let x = cx - r; x <= cx + r; x++) {
+          visit(x, cy - r);
+          visit(x, cy + r);
+        }
+        for (let y = cy - r + 1; y <= cy + r - 1; y++) {
+          visit(cx - r, y);
+          visit(cx + r, y);
+        }
+      }
+      // Anything in ring r+1 or beyond is at least r cells away
+      if (best && best.offsetKm <= r * cellKm) break;
+    }
+
+    if (!best || best.offsetKm > maxKm) return null;
+    return best;
+  };
+
+  return {
+    // Same result shape as computeAlongRouteDistanceKm
+    locate: (lat, lng) => search(lat, lng, Infinity) || { alongKm: 0, offsetKm: Infinity, segmentIndex: -1 },
+    // Like locate, but returns null when the point is farther than maxKm from the route
+    withinKm: (lat, lng, maxKm) => search(lat, lng, maxKm),
+    segmentCount: path.length - 1,
+  };
+};
+
+// Places inside the corridor, each with its along-route position and offset, closest first
+const rankPlacesInCorridor = (index, places, corridorKm) => {
+  const ranked = [];
+  for (let i = 0; i < places.length; i++) {
+    const place = places[i];
+    const lat = place.geometry && place.geometry.location && place.geometry.location.lat;
+    const lng = place.geometry && place.geometry.location && place.geometry.location.lng;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    const m = index.withinKm(lat, lng, corridorKm);
+    if (m) ranked.push({ place: place, alongKm: m.alongKm, offsetKm: m.offsetKm });
+  }
+  ranked.sort((a, b) => a.offsetKm - b.offsetKm);
+  return ranked;
+};
+
+module.exports = { createRouteIndex, rankPlacesInCorridor };
@@ -0,0 +1,69 @@
+import { computeAlongRouteDistanceKm } from './geo';
+import { createRouteIndex, rankPlacesInCorridor } from './routeIndex';
+
+// Deterministic pseudo-random numbers so failures are reproducible
+const rng = (seed) => () => {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+};
+
+const wigglyRoute = (startLat, startLng, n, stepDeg, rand) => {
+  const path = [[startLat, startLng]];
+  for (let i = 1; i < n; i++) {
+    const [lat, lng] = path[i - 1];
+    path.push([lat + (rand() - 0.3) * stepDeg, lng + (rand() - 0.2) * stepDeg]);
+  }
+  return path;
+};
+
+describe('createRouteIndex', () => {
+  test('matches brute-force projection on a long route', () => {
+    const rand = rng(42);
+    const path = wigglyRoute(34, -118, 3000, 0.02, rand);
+    const index = createRouteIndex(path, { cellKm: 3 });
+    for (let k = 0; k < 200; k++) {
+      const [lat, lng] = path[Math.floor(rand() * path.length)];
+      const qLat = lat + (rand() - 0.5) * 0.2;
+      const qLng = lng + (rand() - 0.5) * 0.2;
+      const expected = computeAlongRouteDistanceKm(qLat, qLng, path);
+      const actual = index.locate(qLat, qLng);
+      expect(actual.offsetKm).toBeCloseTo(expected.offsetKm, 6);
+      expect(actual.alongKm).toBeCloseTo(expected.alongKm, 3);
+    }
+  });
+
+  test('withinKm returns null outside the corridor', () => {
+    const path = [[0, 0], [0, 1]];
+    const index = createRouteIndex(path);
+    expect(index.withinKm(0.01, 0.5, 2)).not.toBeNull();
+    expect(index.withinKm(0.5, 0.5, 2)).toBeNull();
+  });
+
+  test('handles routes crossing the antimeridian', () => {
+    const path = [[-17, 178.5], [-17, 179.5], [-17, -179.5], [-17, -178.5]];
+    const index = createRouteIndex(path, { cellKm: 2 });
+    const m = index.locate(-17.01, -179.9);
+    expect(m.segmentIndex).toBe(1);
+    expect(m.offsetKm).toBeCloseTo(computeAlongRouteDistanceKm(-17.01, -179.9, path).offsetKm, 6);
+  });
+
+  test('falls back gracefully for degenerate paths', () => {
+    expect(createRouteIndex([]).locate(0, 0).offsetKm).toBe(Infinity);
+    expect(createRouteIndex([[0, 0]]).withinKm(0, 0.001, 1)).not.toBeNull();
+  });
+});
+
+describe('rankPlacesInCorridor', () => {
+  test('filters by corridor and sorts closest first', () => {
+    const index = createRouteIndex([[0, 0], [0, 1]]);
+    const place = (id, lat, lng) => ({ place_id: id, geometry: { location: { lat, lng } } });
+    const ranked = rankPlacesInCorridor(index, [
+      place('far', 0.2, 0.5),
+      place('mid', 0.02, 0.5),
+      place('near', 0.001, 0.9),
+      { place_id: 'nogeo' },
+    ], 5);
+    expect(ranked.map((r) => r.place.place_id)).toEqual(['near', 'mid']);
+    expect(ranked[0].alongKm).toBeGreaterThan(ranked[1].alongKm);
+  });
+});
@@ -0,0 +1,85 @@
+// When is each point of a route reached? Shared by the app and api/ (plain-syntax CommonJS,
+// see ./geo). Directions legs/steps give distance + duration per step; we lay those
+// cumulatively along the decoded overview polyline so along-route km (from
+// computeAlongRouteDistanceKm) can be turned into seconds into the drive and back.
+
+const { routeLengthKm } = require('./geo');
+
+// Seconds for one Directions leg: duration_in_traffic when Google returned it (driving with a
+// departure_time) unless `useTraffic` is false, otherwise the typical duration
+const legSeconds = (leg, useTraffic = true) => {
+  const duration = useTraffic && leg?.duration_in_traffic ? leg.duration_in_traffic : leg?.duration;
+  return duration?.value || 0;
+};
+
+const routeSeconds = (route, useTraffic = true) => (route?.legs || []).reduce((sum, leg) => sum + legSeconds(leg, useTraffic), 0);
+
+// Google leaves duration_in_traffic out for routes with stopovers, so check every leg has it
+const hasTrafficTimes = (route) => {
+  const legs = route?.legs || [];
+  return legs.length > 0 && legs.every((leg) => Boolean(leg.duration_in_traffic));
+};
+
+// Piecewise-linear lookup on an ascending `xs`; clamps outside the range
+const interpolate = (xs, ys, x) => {
+  if (xs.length === 0) return 0;
+  if (x <= xs[0]) return ys[0];
+  const last = xs.length - 1;
+  if (x >= xs[last]) return ys[last];
+  let lo = 0;
+  let hi = last;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (xs[mid] <= x) lo = mid; else hi = mid;
+  }
+  const span = xs[hi] - xs[lo];
+  const t = span > 0 ? (x - xs[lo]) / span : 0;
+  return ys[lo] + t * (ys[hi] - ys[lo]);
+};
+
+// { km: [...], sec: [...] } breakpoints along `pathLatLngs` (the route's decoded polyline).
+// Step distances are scaled to the polyline's length so both share one km axis.
+const createRouteTimeline = (route, pathLatLngs) => {
+  const pieces = [];
+  (route?.legs || []).forEach((leg) => {
+    const steps = leg.steps && leg.steps.length > 0 ? leg.steps : [leg];
+    steps.forEach((s) => pieces.push({ meters: s.distance?.value || 0, sec: s.duration?.value || 0 }));
+  });
+  const totalMeters = pieces.reduce((sum, p) => sum + p.meters, 0);
+  const totalSec = pieces.reduce((sum, p) => sum + p.sec, 0);
+  const pathKm = routeLengthKm(pathLatLngs);
+
+  if (totalMeters === 0) return { km: [0, pathKm], sec: [0, totalSec], totalKm: pathKm, totalSec };
+
+  const scale = pathKm / (totalMeters / 1000);
+  const km = [0];
+  const sec = [0];
+  pieces.forEach((p) => {
+    km.push(km[km.length - 1] + (p.meters / 1000) * scale);
+    sec.push(sec[sec.length - 1] + p.sec);
+  });
+  return { km, sec, totalKm: pathKm, totalSec };
+};
+
+const secondsAtKm = (timeline, alongKm) => interpolate(timeline.km, timeline.sec, alongKm);
+
+const kmAtSeconds = (timeline, seconds) => interpolate(timeline.sec, timeline.km, seconds);
+
+// Stretch of road driven between `fromSec` and `toSec` after departure, as { startKm, endKm },
+// or null when the window is empty or starts after arrival
+const windowKmRange = (timeline, fromSec, toSec) => {
+  const from = Math.max(0, Math.min(fromSec, toSec));
+  const to = Math.min(timeline.totalSec, Math.max(fromSec, toSec));
+  if (from > timeline.totalSec || to <= from) return null;
+  return { startKm: kmAtSeconds(timeline, from), endKm: kmAtSeconds(timeline, to) };
+};
+
+module.exports = {
+  legSeconds,
+  routeSeconds,
+  hasTrafficTimes,
+  createRouteTimeline,
+  secondsAtKm,
+  kmAtSeconds,
+  windowKmRange,
+};
@@ -0,0 +1,50 @@
+import { routeLengthKm } from './geo';
+import { createRouteTimeline, secondsAtKm, kmAtSeconds, windowKmRange } from './routeTiming';
+
+// Straight 2-degree route along the equator (~222 km)
+const path = [];
+for (let i = 0; i <= 200; i++) path.push([0, i * 0.01]);
+
+// Two legs: a slow first half (city) and a fast second half (highway)
+const route = {
+  legs: [
+    { distance: { value: 100000 }, duration: { value: 7200 }, steps: [
+      { distance: { value: 50000 }, duration: { value: 3600 } },
+      { distance: { value: 50000 }, duration: { value: 3600 } },
+    ] },
+    { distance: { value: 100000 }, duration: { value: 3600 } },
+  ],
+};
+
+describe('route timeline', () => {
+  const timeline = createRouteTimeline(route, path);
+  const half = routeLengthKm(path) / 2;
+
+  test('scales step distances onto the polyline', () => {
+    expect(timeline.totalSec).toBe(10800);
+    expect(timeline.km[timeline.km.length - 1]).toBeCloseTo(routeLengthKm(path), 6);
+    expect(secondsAtKm(timeline, half)).toBeCloseTo(7200, 3);
+    expect(secondsAtKm(timeline, half / 2)).toBeCloseTo(3600, 3);
+  });
+
+  test('maps time back to distance, faster on the highway leg', () => {
+    expect(kmAtSeconds(timeline, 7200)).toBeCloseTo(half, 6);
+    expect(kmAtSeconds(timeline, 9000)).toBeCloseTo(half * 1.5, 6);
+    expect(kmAtSeconds(timeline, -10)).toBe(0);
+    expect(kmAtSeconds(timeline, 1e6)).toBeCloseTo(routeLengthKm(path), 6);
+  });
+
+  test('turns a meal window into a stretch of road', () => {
+    const range = windowKmRange(timeline, 3600, 9000);
+    expect(range.startKm).toBeCloseTo(half / 2, 6);
+    expect(range.endKm).toBeCloseTo(half * 1.5, 6);
+    // Clamped to arrival; empty once the window starts after we arrive
+    expect(windowKmRange(timeline, 9000, 99999).endKm).toBeCloseTo(routeLengthKm(path), 6);
+    expect(windowKmRange(timeline, 20000, 30000)).toBeNull();
+  });
+
+  test('falls back to a uniform pace without step distances', () => {
+    const flat = createRouteTimeline({ legs: [{ duration: { value: 600 } }] }, path);
+    expect(secondsAtKm(flat, half)).toBeCloseTo(300, 6);
+  });
+});
@@ -0,0 +1,60 @@
+// Travel modes accepted by the Directions and Distance Matrix APIs (their `mode` parameter),
+// with the corridor width and route sampling that suit each one: a 1-6 mile corridor is
+// reasonable from a car but not on foot. Shared by the app and api/ (plain-syntax CommonJS,
+// see ./geo).
+
+const TRAVEL_MODES = {
+  driving: {
+    label: 'Drive',
+    icon: '🚗',
+    corridorMiles: { min: 1, max: 6, step: 1, default: 1 },
+    sampleEveryKm: { sparse: 9, dense: 5 },
+  },
+  walking: {
+    label: 'Walk',
+    icon: '🚶',
+    corridorMiles: { min: 0.1, max: 0.5, step: 0.1, default: 0.2 },
+    sampleEveryKm: { sparse: 0.8, dense: 0.4 },
+  },
+  bicycling: {
+    label: 'Bike',
+    icon: '🚲',
+    corridorMiles: { min: 0.25, max: 2, step: 0.25, default: 0.5 },
+    sampleEveryKm: { sparse: 3, dense: 1.5 },
+  },
+  transit: {
+    label: 'Transit',
+    icon: '🚆',
+    corridorMiles: { min: 0.1, max: 0.5, step: 0.1, default: 0.2 },
+    sampleEveryKm: { sparse: 2, dense: 1 },
+  },
+};
+
+const DEFAULT_TRAVEL_MODE = 'driving';
+
+const normalizeTravelMode = (mode) => {
+  const key = String(mode || '').toLowerCase();
+  return Object.prototype.hasOwnProperty.call(TRAVEL_MODES, key) ? key : DEFAULT_TRAVEL_MODE;
+};
+
+// Corridor width in miles, clamped to the mode's range (its default when missing)
+const clampCorridorMiles = (mode, miles) => {
+  const range = TRAVEL_MODES[normalizeTravelMode(mode)].corridorMiles;
+  return Math.max(range.min, Math.min(range.max, Number(miles) || range.default));
+};
+
+// Adaptive sampling: the narrowest corridor samples sparser unless thorough mode is on
+const sampleEveryKmFor = (mode, corridorMiles, thorough) => {
+  const config = TRAVEL_MODES[normalizeTravelMode(mode)];
+  return !thorough && corridorMiles <= config.corridorMiles.min
+    ? config.sampleEveryKm.sparse
+    : config.sampleEveryKm.dense;
+};
+
+module.exports = {
+  TRAVEL_MODES,
+  DEFAULT_TRAVEL_MODE,
+  normalizeTravelMode,
+  clampCorridorMiles,
+  sampleEveryKmFor,
+};
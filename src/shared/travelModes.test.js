@@ -0,0 +1,24 @@
+import { normalizeTravelMode, clampCorridorMiles, sampleEveryKmFor } from './travelModes';
+
+describe('travel modes', () => {
+  test('falls back to driving for unknown modes', () => {
+    expect(normalizeTravelMode('WALKING')).toBe('walking');
+    expect(normalizeTravelMode('teleport')).toBe('driving');
+    expect(normalizeTravelMode(undefined)).toBe('driving');
+  });
+
+  test('clamps the corridor to the mode range', () => {
+    expect(clampCorridorMiles('driving', 10)).toBe(6);
+    expect(clampCorridorMiles('driving', undefined)).toBe(1);
+    expect(clampCorridorMiles('walking', 3)).toBe(0.5);
+    expect(clampCorridorMiles('walking', '')).toBe(0.2);
+  });
+
+  test('samples sparser only for the narrowest corridor', () => {
+    expect(sampleEveryKmFor('driving', 1, false)).toBe(9);
+    expect(sampleEveryKmFor('driving', 1, true)).toBe(5);
+    expect(sampleEveryKmFor('driving', 3, false)).toBe(5);
+    expect(sampleEveryKmFor('walking', 0.1, false)).toBe(0.8);
+    expect(sampleEveryKmFor('walking', 0.3, false)).toBe(0.4);
+  });
+});
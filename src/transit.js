@@ -0,0 +1,53 @@
+// Transit details from Google Directions steps (mode=transit). Transit steps carry a
+// `transit_details` object with the line, the boarding/alighting stops and times.
+
+const VEHICLE_ICONS = {
+  BUS: '🚌',
+  INTERCITY_BUS: '🚌',
+  TROLLEYBUS: '🚎',
+  SUBWAY: '🚇',
+  METRO_RAIL: '🚇',
+  TRAM: '🚊',
+  LIGHT_RAIL: '🚊',
+  RAIL: '🚆',
+  HEAVY_RAIL: '🚆',
+  COMMUTER_TRAIN: '🚆',
+  HIGH_SPEED_TRAIN: '🚄',
+  FERRY: '⛴️',
+  CABLE_CAR: '🚡',
+  GONDOLA_LIFT: '🚡',
+  FUNICULAR: '🚞',
+};
+
+// One ride: { icon, vehicle, line, color, headsign, from, to, numStops, departs, arrives }
+export const transitRide = (details) => {
+  const line = details?.line || {};
+  const vehicleType = line.vehicle?.type;
+  return {
+    icon: VEHICLE_ICONS[vehicleType] || '🚆',
+    vehicle: line.vehicle?.name || 'Transit',
+    line: line.short_name || line.name || '',
+    color: line.color || null,
+    headsign: details?.headsign || '',
+    from: details?.departure_stop?.name || '',
+    to: details?.arrival_stop?.name || '',
+    numStops: details?.num_stops || 0,
+    departs: details?.departure_time?.text || '',
+    arrives: details?.arrival_time?.text || '',
+  };
+};
+
+// Spoken/printed instruction for a transit step
+export const describeTransitStep = (details) => {
+  const ride = transitRide(details);
+  const what = [ride.vehicle, ride.line].filter(Boolean).join(' ');
+  const toward = ride.headsign ? ` toward ${ride.headsign}` : '';
+  const at = ride.departs ? ` at ${ride.departs}` : '';
+  const stops = ride.numStops ? ` (${ride.numStops} stop${ride.numStops === 1 ? '' : 's'})` : '';
+  return `Take ${what}${toward} from ${ride.from}${at}; get off at ${ride.to}${stops}`;
+};
+
+// Every ride in a Directions leg, in order
+export const legTransitRides = (leg) => (leg?.steps || [])
+  .filter(st => st.travel_mode === 'TRANSIT' && st.transit_details)
+  .map(st => transitRide(st.transit_details));
@@ -0,0 +1,40 @@
+import { transitRide, describeTransitStep, legTransitRides } from './transit';
+
+const busDetails = {
+  line: { short_name: '12', name: 'Crosstown', color: '#ff0000', vehicle: { name: 'Bus', type: 'BUS' } },
+  headsign: 'Downtown',
+  departure_stop: { name: 'Main St' },
+  arrival_stop: { name: '5th Ave' },
+  num_stops: 4,
+  departure_time: { text: '12:05 PM' },
+  arrival_time: { text: '12:20 PM' },
+};
+
+describe('transit steps', () => {
+  test('summarizes a ride', () => {
+    expect(transitRide(busDetails)).toEqual({
+      icon: '🚌',
+      vehicle: 'Bus',
+      line: '12',
+      color: '#ff0000',
+      headsign: 'Downtown',
+      from: 'Main St',
+      to: '5th Ave',
+      numStops: 4,
+      departs: '12:05 PM',
+      arrives: '12:20 PM',
+    });
+  });
+
+  test('describes a ride as an instruction', () => {
+    expect(describeTransitStep(busDetails)).toBe('Take Bus 12 toward Downtown from Main St at 12:05 PM; get off at 5th Ave (4 stops)');
+    expect(describeTransitStep({ line: { name: 'Red Line', vehicle: { name: 'Subway' } }, departure_stop: { name: 'A' }, arrival_stop: { name: 'B' }, num_stops: 1 }))
+      .toBe('Take Subway Red Line from A; get off at B (1 stop)');
+  });
+
+  test('lists only the transit steps of a leg', () => {
+    const leg = { steps: [{ travel_mode: 'WALKING' }, { travel_mode: 'TRANSIT', transit_details: busDetails }, { travel_mode: 'WALKING' }] };
+    expect(legTransitRides(leg).map(r => r.line)).toEqual(['12']);
+    expect(legTransitRides(undefined)).toEqual([]);
+  });
+});
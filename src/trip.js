@@ -0,0 +1,64 @@
+// Multi-stop trip helpers. A trip is an ordered list of stops (detour options:
+// { place, totalTime, addedTime, leg1Sec?, leg2Sec?, typicalLeg2Sec?, route? }) plus the
+// Directions route through all of them, whose legs run origin -> stop 1 -> ... -> stop N -> destination.
+
+import { legSeconds, routeSeconds, hasTrafficTimes } from './shared/routeTiming';
+
+export const MAX_TRIP_STOPS = 10;
+
+export const routeDurationSec = (route) => routeSeconds(route);
+
+// Move the stop at `from` to `to`, returning a new array
+export const moveStop = (stops, from, to) => {
+  if (to < 0 || to >= stops.length || from === to) return stops;
+  const next = stops.slice();
+  const [stop] = next.splice(from, 1);
+  next.splice(to, 0, stop);
+  return next;
+};
+
+// Per-stop breakdown against the direct (baseline) route.
+// cumulativeAddedSec for stop k is the extra time if the trip ended with stop k and then drove
+// straight to the destination: legs up to stop k + stop k -> destination - baseline. That uses
+// the stop's scored leg2Sec; the last stop uses the route's real final leg so the numbers add up
+// to the trip total. addedSec is each stop's share (difference from the previous stop).
+// Routes through stopovers usually come back without traffic times; then the typical
+// baseline and the stops' typical leg times are used so everything compares like-for-like.
+export const summarizeTrip = (route, stops, baseTimeSec, typicalBaseTimeSec = baseTimeSec) => {
+  const legs = route?.legs || [];
+  const traffic = hasTrafficTimes(route);
+  const baselineSec = traffic ? baseTimeSec : typicalBaseTimeSec;
+  const legSec = (i) => (legs[i] ? legSeconds(legs[i], traffic) : 0);
+  const legMeters = (i) => legs[i]?.distance?.value || 0;
+
+  let elapsedSec = 0;
+  let prevAddedSec = 0;
+  const rows = stops.map((stop, i) => {
+    elapsedSec += legSec(i);
+    const isLast = i === stops.length - 1;
+    const scoredRestSec = traffic ? stop.leg2Sec : (stop.typicalLeg2Sec ?? stop.leg2Sec);
+    const restSec = !isLast && Number.isFinite(scoredRestSec)
+      ? scoredRestSec
+      : legs.slice(i + 1).reduce((sum, l) => sum + legSeconds(l, traffic), 0);
+    const cumulativeAddedSec = Math.max(0, elapsedSec + restSec - (baselineSec || 0));
+    const row = {
+      stop,
+      legSec: legSec(i),
+      legMeters: legMeters(i),
+      arriveAfterSec: elapsedSec,
+      addedSec: cumulativeAddedSec - prevAddedSec,
+      cumulativeAddedSec,
+    };
+    prevAddedSec = cumulativeAddedSec;
+    return row;
+  });
+
+  const totalTime = routeSeconds(route, traffic);
+  return {
+    stops: rows,
+    finalLegSec: legSec(stops.length),
+    totalTime,
+    addedTime: Math.max(0, totalTime - (baselineSec || 0)),
+    trafficAware: traffic,
+  };
+};
@@ -0,0 +1,62 @@
+import { moveStop, summarizeTrip } from './trip';
+
+const leg = (sec, meters = sec * 20) => ({ duration: { value: sec }, distance: { value: meters } });
+const stop = (id, leg2Sec) => ({ place: { place_id: id, name: id }, leg2Sec });
+
+describe('moveStop', () => {
+  test('reorders without mutating', () => {
+    const stops = ['a', 'b', 'c'];
+    expect(moveStop(stops, 0, 2)).toEqual(['b', 'c', 'a']);
+    expect(moveStop(stops, 2, 1)).toEqual(['a', 'c', 'b']);
+    expect(stops).toEqual(['a', 'b', 'c']);
+  });
+
+  test('ignores moves past either end', () => {
+    const stops = ['a', 'b'];
+    expect(moveStop(stops, 0, -1)).toBe(stops);
+    expect(moveStop(stops, 1, 2)).toBe(stops);
+  });
+});
+
+describe('summarizeTrip', () => {
+  test('breaks added time down per stop and adds up to the trip total', () => {
+    // Baseline 60 min. Breakfast 20 min in, lunch 50 min after that, 40 min to the destination.
+    const route = { legs: [leg(1200), leg(3000), leg(2400)] };
+    const stops = [stop('breakfast', 3300), stop('lunch', 2400)];
+    const summary = summarizeTrip(route, stops, 3600);
+
+    expect(summary.totalTime).toBe(6600);
+    expect(summary.addedTime).toBe(3000);
+    expect(summary.finalLegSec).toBe(2400);
+
+    const [breakfast, lunch] = summary.stops;
+    expect(breakfast.arriveAfterSec).toBe(1200);
+    expect(breakfast.cumulativeAddedSec).toBe(1200 + 3300 - 3600);
+    expect(lunch.arriveAfterSec).toBe(4200);
+    expect(lunch.cumulativeAddedSec).toBe(summary.addedTime);
+    expect(breakfast.addedSec + lunch.addedSec).toBe(summary.addedTime);
+  });
+
+  test('falls back to the remaining legs when a stop has no scored leg2', () => {
+    const route = { legs: [leg(600), leg(600), leg(600)] };
+    const summary = summarizeTrip(route, [stop('a'), stop('b')], 1500);
+    expect(summary.stops[0].cumulativeAddedSec).toBe(300);
+    expect(summary.stops[1].cumulativeAddedSec).toBe(300);
+    expect(summary.stops[1].addedSec).toBe(0);
+  });
+
+  test('compares typical times when the trip route has no traffic times', () => {
+    // Traffic baseline 80 min, typical 60 min; stopover routes come back without duration_in_traffic
+    const route = { legs: [leg(1200), leg(3000)] };
+    const summary = summarizeTrip(route, [{ ...stop('a', 4000), typicalLeg2Sec: 3000 }], 4800, 3600);
+    expect(summary.trafficAware).toBe(false);
+    expect(summary.addedTime).toBe(600);
+    expect(summary.stops[0].cumulativeAddedSec).toBe(600);
+
+    const inTraffic = { legs: [{ ...leg(1200), duration_in_traffic: { value: 1500 } }, { ...leg(3000), duration_in_traffic: { value: 4000 } }] };
+    const withTraffic = summarizeTrip(inTraffic, [{ ...stop('a', 4000), typicalLeg2Sec: 3000 }], 4800, 3600);
+    expect(withTraffic.trafficAware).toBe(true);
+    expect(withTraffic.totalTime).toBe(5500);
+    expect(withTraffic.addedTime).toBe(700);
+  });
+});
@@ -0,0 +1,74 @@
+// Spoken turn-by-turn guidance with the Web Speech API. Google's step instructions describe the
+// maneuver at the start of a step, so while on step i we announce step i+1 as we approach the
+// end of step i: once at a "prepare" distance and again just before the maneuver.
+
+import { upcomingManeuvers } from './navigation';
+
+// Announcement distances (meters before the maneuver) by travel mode
+const CUE_DISTANCES_M = {
+  driving: { prepare: 800, now: 150 },
+  bicycling: { prepare: 300, now: 50 },
+  walking: { prepare: 150, now: 30 },
+  transit: { prepare: 150, now: 30 },
+};
+
+const METERS_PER_MILE = 1609.34;
+const METERS_PER_FOOT = 0.3048;
+
+export const speechSupported = () => typeof window !== 'undefined'
+  && 'speechSynthesis' in window
+  && typeof window.SpeechSynthesisUtterance === 'function';
+
+// "500 feet" / "0.3 miles" / "2 miles", or "200 meters" / "1.5 kilometers"
+export const formatDistance = (meters, units = 'mi') => {
+  const m = Math.max(0, meters || 0);
+  if (units === 'km') {
+    if (m < 1000) return `${Math.max(10, Math.round(m / 10) * 10)} meters`;
+    const km = m < 10000 ? Math.round(m / 100) / 10 : Math.round(m / 1000);
+    return `${km} kilometer${km === 1 ? '' : 's'}`;
+  }
+  const miles = m / METERS_PER_MILE;
+  if (miles < 0.1) return `${Math.max(50, Math.round(m / METERS_PER_FOOT / 50) * 50)} feet`;
+  const rounded = miles < 10 ? Math.round(miles * 10) / 10 : Math.round(miles);
+  return `${rounded} mile${rounded === 1 ? '' : 's'}`;
+};
+
+// What happens at the end of the current step: the next instruction, a food stop or the destination
+const upcoming = (navigation) => {
+  const [item] = upcomingManeuvers(navigation, 1);
+  if (item?.type === 'step') return { arrival: false, text: item.step.instruction };
+  if (item?.type === 'stop') return { arrival: true, text: item.name };
+  return { arrival: true, text: 'your destination' };
+};
+
+const lowerFirst = (s) => (s ? s[0].toLowerCase() + s.slice(1) : s);
+
+// Announcements due for the current step, given the distance left to its end.
+// Each cue has a key so it is spoken once; the caller remembers which keys were said.
+export const guidanceCues = (navigation, metersToStepEnd, { units = 'mi', mode = 'driving' } = {}) => {
+  if (!navigation?.steps?.length) return [];
+  const idx = navigation.current || 0;
+  const cues = [];
+  if (idx === 0) cues.push({ key: 'start', text: navigation.steps[0].instruction });
+
+  const distances = CUE_DISTANCES_M[mode] || CUE_DISTANCES_M.driving;
+  const next = upcoming(navigation);
+  if (metersToStepEnd <= distances.now) {
+    cues.push({ key: `${idx}:now`, text: next.arrival ? `Arriving at ${next.text}` : next.text });
+  } else if (metersToStepEnd <= distances.prepare) {
+    const inDistance = `In ${formatDistance(metersToStepEnd, units)}`;
+    cues.push({ key: `${idx}:prepare`, text: next.arrival ? `${inDistance}, you'll arrive at ${next.text}` : `${inDistance}, ${lowerFirst(next.text)}` });
+  }
+  return cues;
+};
+
+// Speak `text`, cutting off anything still queued so guidance never lags behind
+export const speak = (text, { voiceURI, rate = 1 } = {}) => {
+  if (!speechSupported() || !text) return;
+  const utterance = new window.SpeechSynthesisUtterance(text);
+  const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === voiceURI);
+  if (voice) utterance.voice = voice;
+  utterance.rate = rate;
+  window.speechSynthesis.cancel();
+  window.speechSynthesis.speak(utterance);
+};
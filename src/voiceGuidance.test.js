@@ -0,0 +1,47 @@
+import { formatDistance, guidanceCues, speechSupported } from './voiceGuidance';
+
+const navigation = {
+  current: 0,
+  steps: [
+    { instruction: 'Head north on Main St', legIndex: 0, legEnd: false },
+    { instruction: 'Turn left onto Oak Ave', legIndex: 0, legEnd: true },
+    { instruction: 'Turn right onto Elm St', legIndex: 1, legEnd: true },
+  ],
+  stops: [{ place: { name: 'Taco Spot' } }],
+};
+
+describe('formatDistance', () => {
+  test('speaks feet and miles', () => {
+    expect(formatDistance(120)).toBe('400 feet');
+    expect(formatDistance(800)).toBe('0.5 miles');
+    expect(formatDistance(1609.34)).toBe('1 mile');
+    expect(formatDistance(40000)).toBe('25 miles');
+  });
+
+  test('speaks meters and kilometers', () => {
+    expect(formatDistance(143, 'km')).toBe('140 meters');
+    expect(formatDistance(1000, 'km')).toBe('1 kilometer');
+    expect(formatDistance(2450, 'km')).toBe('2.5 kilometers');
+  });
+});
+
+describe('guidanceCues', () => {
+  test('announces the first instruction and the next maneuver ahead of time', () => {
+    expect(guidanceCues(navigation, 2000)).toEqual([{ key: 'start', text: 'Head north on Main St' }]);
+    expect(guidanceCues(navigation, 700).map(c => c.text)).toEqual(['Head north on Main St', 'In 0.4 miles, turn left onto Oak Ave']);
+    expect(guidanceCues(navigation, 100, { units: 'km' })[1]).toEqual({ key: '0:now', text: 'Turn left onto Oak Ave' });
+  });
+
+  test('announces arriving at the food stop and the destination', () => {
+    expect(guidanceCues({ ...navigation, current: 1 }, 500)).toEqual([{ key: '1:prepare', text: "In 0.3 miles, you'll arrive at Taco Spot" }]);
+    expect(guidanceCues({ ...navigation, current: 2 }, 20, { mode: 'walking' })).toEqual([{ key: '2:now', text: 'Arriving at your destination' }]);
+  });
+
+  test('uses shorter distances on foot', () => {
+    expect(guidanceCues({ ...navigation, current: 1 }, 500, { mode: 'walking' })).toEqual([]);
+  });
+});
+
+test('reports missing speech synthesis', () => {
+  expect(speechSupported()).toBe(false);
+});